@@ -0,0 +1,122 @@
+/**
+ * AUTH
+ * Password hashing and signed session tokens for room hosts and Foundation rooms
+ *
+ * Hashes are stored as "scrypt$N$r$p$salt$hash" (base64 salt/hash). Legacy
+ * unsalted SHA-256 hex digests still verify and are reported as needing a
+ * rehash so callers can upgrade them on the next successful login.
+ *
+ * Session tokens are "payload.signature" (base64url JSON + HMAC-SHA256).
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_SCHEME = 'scrypt';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const LEGACY_SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+
+function normalizePassword(password) {
+  return typeof password === 'string' ? password : String(password ?? '');
+}
+
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Hash a password with a random salt.
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const key = await scrypt(normalizePassword(password), salt, KEY_LENGTH, { N, r, p });
+  return [HASH_SCHEME, N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+function parseScryptHash(stored) {
+  const parts = stored.split('$');
+  if (parts.length !== 6 || parts[0] !== HASH_SCHEME) return null;
+  const [, N, r, p, salt, key] = parts;
+  const params = { N: Number(N), r: Number(r), p: Number(p) };
+  if (!Object.values(params).every((value) => Number.isInteger(value) && value > 0)) return null;
+  return {
+    params,
+    salt: Buffer.from(salt, 'base64'),
+    key: Buffer.from(key, 'base64')
+  };
+}
+
+function isLegacySha256Hash(stored) {
+  return typeof stored === 'string' && LEGACY_SHA256_PATTERN.test(stored);
+}
+
+/**
+ * Verify a password against a stored hash in constant time.
+ * Resolves to { ok, needsRehash }.
+ */
+async function verifyPassword(password, stored) {
+  if (!stored || typeof stored !== 'string') return { ok: false, needsRehash: false };
+  const input = normalizePassword(password);
+
+  if (isLegacySha256Hash(stored)) {
+    const digest = crypto.createHash('sha256').update(input).digest();
+    const ok = safeEqual(digest, Buffer.from(stored, 'hex'));
+    return { ok, needsRehash: ok };
+  }
+
+  const parsed = parseScryptHash(stored);
+  if (!parsed || !parsed.key.length) return { ok: false, needsRehash: false };
+  const key = await scrypt(input, parsed.salt, parsed.key.length, parsed.params);
+  const ok = safeEqual(key, parsed.key);
+  const current =
+    parsed.params.N === SCRYPT_PARAMS.N &&
+    parsed.params.r === SCRYPT_PARAMS.r &&
+    parsed.params.p === SCRYPT_PARAMS.p &&
+    parsed.key.length === KEY_LENGTH;
+  return { ok, needsRehash: ok && !current };
+}
+
+function signPayload(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest();
+}
+
+/**
+ * Sign a JSON payload. Set payload.exp (ms epoch) to make the token expire.
+ */
+function signToken(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${signPayload(body, secret).toString('base64url')}`;
+}
+
+/**
+ * Verify a token signature and expiry. Returns the payload or null.
+ */
+function verifyToken(token, secret) {
+  if (typeof token !== 'string') return null;
+  const [body, signature, extra] = token.split('.');
+  if (!body || !signature || extra !== undefined) return null;
+  if (!safeEqual(Buffer.from(signature, 'base64url'), signPayload(body, secret))) return null;
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!payload || typeof payload !== 'object') return null;
+  if (typeof payload.exp === 'number' && Date.now() > payload.exp) return null;
+  return payload;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  isLegacySha256Hash,
+  signToken,
+  verifyToken
+};
@@ -0,0 +1,203 @@
+/**
+ * ENGAGEMENT
+ * Reaction aggregation, live polls and the Q&A queue for a room
+ *
+ * Reactions are counted per room and flushed as one burst per second, so a
+ * busy room costs one broadcast a second instead of one per tap. Polls live
+ * with the room session: one poll per room, one vote per fingerprint. Q&A
+ * questions also live with the session, one upvote per fingerprint each.
+ */
+
+const crypto = require('crypto');
+
+const REACTION_EMOJIS = ['❤️', '🔥', '😂', '👏', '😮', '👍'];
+const REACTION_FLUSH_MS = 1000;
+
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 6;
+const POLL_QUESTION_MAX = 200;
+const POLL_OPTION_MAX = 80;
+
+const QUESTION_TEXT_MAX = 300;
+const QUESTION_QUEUE_MAX = 100;
+const QUESTIONS_OPEN_PER_ASKER = 3;
+
+class ReactionAggregator {
+  /**
+   * onFlush(roomName, counts) receives { emoji: count } for each window.
+   */
+  constructor(onFlush, intervalMs = REACTION_FLUSH_MS) {
+    this.onFlush = onFlush;
+    this.intervalMs = intervalMs;
+    this.pending = new Map();
+  }
+
+  add(roomName, emoji) {
+    if (!REACTION_EMOJIS.includes(emoji)) return false;
+    let entry = this.pending.get(roomName);
+    if (!entry) {
+      entry = { counts: {}, timer: setTimeout(() => this.flush(roomName), this.intervalMs) };
+      this.pending.set(roomName, entry);
+    }
+    entry.counts[emoji] = (entry.counts[emoji] || 0) + 1;
+    return true;
+  }
+
+  flush(roomName) {
+    const entry = this.pending.get(roomName);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    this.pending.delete(roomName);
+    this.onFlush(roomName, entry.counts);
+  }
+
+  clear(roomName) {
+    const entry = this.pending.get(roomName);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    this.pending.delete(roomName);
+  }
+}
+
+/**
+ * Build a poll from host input. Returns { ok, poll } or { ok:false, error }.
+ */
+function createPoll({ question, options }) {
+  const text = typeof question === 'string' ? question.trim().slice(0, POLL_QUESTION_MAX) : '';
+  if (!text) return { ok: false, error: 'Poll question is required.' };
+  const choices = (Array.isArray(options) ? options : [])
+    .map((option) => (typeof option === 'string' ? option.trim().slice(0, POLL_OPTION_MAX) : ''))
+    .filter(Boolean)
+    .slice(0, POLL_MAX_OPTIONS);
+  if (choices.length < POLL_MIN_OPTIONS) {
+    return { ok: false, error: `A poll needs at least ${POLL_MIN_OPTIONS} options.` };
+  }
+  return {
+    ok: true,
+    poll: {
+      id: crypto.randomUUID(),
+      question: text,
+      options: choices.map((choice) => ({ text: choice, votes: 0 })),
+      votesBy: new Map(),
+      open: true,
+      createdAt: Date.now()
+    }
+  };
+}
+
+/**
+ * Record one vote per voter key. Returns { ok } or { ok:false, error }.
+ */
+function castVote(poll, voterKey, optionIndex) {
+  if (!poll || !poll.open) return { ok: false, error: 'This poll is closed.' };
+  if (!Number.isInteger(optionIndex) || !poll.options[optionIndex]) {
+    return { ok: false, error: 'Invalid poll option.' };
+  }
+  if (poll.votesBy.has(voterKey)) return { ok: false, error: 'You already voted.' };
+  poll.votesBy.set(voterKey, optionIndex);
+  poll.options[optionIndex].votes += 1;
+  return { ok: true };
+}
+
+// Client-facing snapshot; voter identities never leave the server.
+function pollView(poll, voterKey) {
+  if (!poll) return null;
+  const view = {
+    id: poll.id,
+    question: poll.question,
+    options: poll.options.map(({ text, votes }) => ({ text, votes })),
+    totalVotes: poll.votesBy.size,
+    open: poll.open
+  };
+  if (voterKey !== undefined) {
+    view.myVote = poll.votesBy.has(voterKey) ? poll.votesBy.get(voterKey) : null;
+  }
+  return view;
+}
+
+/**
+ * Add a viewer question to the queue. Returns { ok, question } or { ok:false, error }.
+ */
+function submitQuestion(queue, { text, name, askerKey }) {
+  const body = typeof text === 'string' ? text.trim().slice(0, QUESTION_TEXT_MAX) : '';
+  if (!body) return { ok: false, error: 'Question text is required.' };
+  const openByAsker = queue.filter((q) => q.askerKey === askerKey && !q.answered).length;
+  if (openByAsker >= QUESTIONS_OPEN_PER_ASKER) {
+    return { ok: false, error: `You can have ${QUESTIONS_OPEN_PER_ASKER} unanswered questions at a time.` };
+  }
+  if (queue.length >= QUESTION_QUEUE_MAX) {
+    // Make room by dropping the oldest answered question, if any.
+    const answeredIndex = queue.findIndex((q) => q.answered && !q.pinned);
+    if (answeredIndex === -1) return { ok: false, error: 'The question queue is full.' };
+    queue.splice(answeredIndex, 1);
+  }
+  const question = {
+    id: crypto.randomUUID(),
+    text: body,
+    name: name || 'Anon',
+    askerKey,
+    upvotesBy: new Set([askerKey]),
+    answered: false,
+    pinned: false,
+    createdAt: Date.now()
+  };
+  queue.push(question);
+  return { ok: true, question };
+}
+
+/**
+ * Toggle one upvote per voter key. Returns { ok, upvoted } or { ok:false, error }.
+ */
+function toggleUpvote(question, voterKey) {
+  if (!question) return { ok: false, error: 'That question is gone.' };
+  if (question.answered) return { ok: false, error: 'That question was already answered.' };
+  if (question.upvotesBy.has(voterKey)) {
+    question.upvotesBy.delete(voterKey);
+    return { ok: true, upvoted: false };
+  }
+  question.upvotesBy.add(voterKey);
+  return { ok: true, upvoted: true };
+}
+
+// Pin one question (or none, with a null id); pinning also reopens it.
+function pinQuestion(queue, questionId) {
+  const target = questionId ? queue.find((q) => q.id === questionId) : null;
+  if (questionId && !target) return { ok: false, error: 'That question is gone.' };
+  queue.forEach((q) => {
+    q.pinned = q === target;
+  });
+  if (target) target.answered = false;
+  return { ok: true };
+}
+
+// Client-facing queue: pinned first, then open by upvotes, then answered.
+function questionQueueView(queue, voterKey) {
+  const rank = (q) => (q.pinned ? 0 : q.answered ? 2 : 1);
+  return queue
+    .slice()
+    .sort((a, b) => rank(a) - rank(b) || b.upvotesBy.size - a.upvotesBy.size || a.createdAt - b.createdAt)
+    .map((q) => {
+      const view = {
+        id: q.id,
+        text: q.text,
+        name: q.name,
+        upvotes: q.upvotesBy.size,
+        answered: q.answered,
+        pinned: q.pinned
+      };
+      if (voterKey !== undefined) view.upvoted = q.upvotesBy.has(voterKey);
+      return view;
+    });
+}
+
+module.exports = {
+  REACTION_EMOJIS,
+  ReactionAggregator,
+  createPoll,
+  castVote,
+  pollView,
+  submitQuestion,
+  toggleUpvote,
+  pinQuestion,
+  questionQueueView
+};
@@ -0,0 +1,285 @@
+/**
+ * EVENT SCHEMAS
+ * Payload validation for socket events, registered per event name
+ *
+ * Each schema describes the first argument a client sends with the event.
+ * Malformed payloads are rejected before any handler runs, so handlers can
+ * rely on field types (optional fields may still be missing or null).
+ */
+
+const INVALID_PAYLOAD = 'INVALID_PAYLOAD';
+
+const str = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+const required = (spec) => ({ ...spec, required: true });
+const object = (fields, extra = {}) => ({ type: 'object', fields, ...extra });
+
+const ROOM = str(200);
+const DISPLAY_NAME = str(200);
+const SOCKET_ID = str(64);
+const PASSWORD = str(256);
+const TOKEN = str(2048);
+const BOOL = { type: 'boolean' };
+const NUMBER = { type: 'number' };
+const CHAT_TEXT = str(5000);
+const SDP = object({ type: str(32), sdp: str(100000) }, { required: true });
+const MIXER_LAYOUT = {
+  type: 'enum',
+  values: [
+    'SOLO',
+    'GUEST',
+    'PIP',
+    'PIP_INVERTED',
+    'SPLIT',
+    'GRID_2X2',
+    'THREE_UP',
+    'SPEAKER_FILMSTRIP',
+    'SIDE_BY_SIDE'
+  ]
+};
+const STREAM_QUALITY = { type: 'enum', values: ['auto', '1080p', '720p', '360p', 'audio'] };
+const CANDIDATE_TYPE = { type: 'enum', values: ['host', 'srflx', 'prflx', 'relay'] };
+const ICE_CANDIDATE = object({}, { required: true });
+
+const EVENT_SCHEMAS = {
+  'enter-host-room': object({
+    roomName: required(ROOM),
+    password: PASSWORD,
+    privacy: { type: 'enum', values: ['public', 'private'] },
+    hostToken: TOKEN
+  }),
+  'get-room-info': object({ roomName: required(ROOM) }),
+  'get-room-config': object({ roomName: required(ROOM) }),
+  'check-room-claimed': object({ roomName: required(ROOM) }),
+  'auth-host-room': object({ name: ROOM, roomName: ROOM, password: required(PASSWORD) }),
+  'host-login': object({ name: required(ROOM), password: required(PASSWORD) }),
+  'change-host-password': object({
+    roomName: required(ROOM),
+    currentPassword: PASSWORD,
+    newPassword: required(PASSWORD)
+  }),
+  'update-room-privacy': object({
+    roomName: ROOM,
+    name: ROOM,
+    privacy: required({ type: 'enum', values: ['public', 'private'] })
+  }),
+  'update-vip-required': object({ roomName: required(ROOM), vipRequired: BOOL }),
+  'update-room-live': object({
+    roomName: ROOM,
+    name: ROOM,
+    isLive: BOOL,
+    live: BOOL,
+    viewers: NUMBER,
+    title: str(500)
+  }),
+  'update-room-payments': object({
+    roomName: required(ROOM),
+    paymentEnabled: BOOL,
+    paymentLabel: str(500),
+    paymentUrl: str(2000)
+  }),
+  'update-room-clips': object({ roomName: required(ROOM), clipsEnabled: required(BOOL) }),
+  'update-room-turn': object({ roomName: required(ROOM), turnConfig: object({}) }),
+  'add-vip-user': object({ room: required(ROOM), userName: required(DISPLAY_NAME) }),
+  'generate-vip-code': object({ room: required(ROOM), maxUses: NUMBER }),
+  'get-vip-codes': object({ roomName: ROOM, room: ROOM }),
+  'revoke-vip-code': object({ roomName: required(ROOM), code: required(str(64)) }),
+  'redeem-vip-code': object({ code: required(str(64)), desiredName: DISPLAY_NAME }),
+  'join-room': object({
+    room: required(ROOM),
+    name: DISPLAY_NAME,
+    isViewer: BOOL,
+    vipCode: str(64),
+    vipToken: TOKEN,
+    hostToken: TOKEN,
+    deviceToken: TOKEN,
+    ownerToken: TOKEN
+  }),
+  'promote-to-host': object({ targetId: required(SOCKET_ID) }),
+  'set-user-role': object({
+    targetId: required(SOCKET_ID),
+    role: required({ type: 'enum', values: ['moderator', 'cohost', 'none'] })
+  }),
+  'get-room-roles': object({ roomName: required(ROOM) }),
+  'remove-room-role': object({ roomName: required(ROOM), fingerprint: required(str(64)) }),
+  'mixer-command': object({
+    layout: MIXER_LAYOUT,
+    activeGuestId: SOCKET_ID
+  }),
+  'accept-call-request': object({ targetId: required(SOCKET_ID) }),
+  'decline-call-request': object({ targetId: required(SOCKET_ID) }),
+  'skip-call-request': object({ targetId: required(SOCKET_ID) }),
+  'update-stage-limit': object({ maxGuests: required(NUMBER) }),
+  'lock-room': required(BOOL),
+  'update-stream-title': required(str(500)),
+  'kick-user': required(SOCKET_ID),
+  'webrtc-offer': object({ targetId: required(SOCKET_ID), sdp: SDP }),
+  'webrtc-answer': object({ targetId: required(SOCKET_ID), sdp: SDP }),
+  'webrtc-ice-candidate': object({ targetId: required(SOCKET_ID), candidate: ICE_CANDIDATE }),
+  'ring-user': required(SOCKET_ID),
+  'call-offer': object({ targetId: required(SOCKET_ID), offer: SDP }),
+  'call-answer': object({ targetId: required(SOCKET_ID), answer: SDP }),
+  'call-ice': object({ targetId: required(SOCKET_ID), candidate: ICE_CANDIDATE }),
+  'call-end': object({ targetId: required(SOCKET_ID) }),
+  'public-chat': object({ room: ROOM, name: DISPLAY_NAME, text: required(CHAT_TEXT), fromViewer: BOOL }),
+  'get-chat-history': object({ room: ROOM, roomName: ROOM, before: str(64), limit: NUMBER }),
+  'private-chat': object({ room: ROOM, name: DISPLAY_NAME, text: required(CHAT_TEXT) }),
+  'direct-message': object({ targetId: SOCKET_ID, text: required(CHAT_TEXT) }),
+  'file-share': object({
+    room: ROOM,
+    name: DISPLAY_NAME,
+    fileName: required(str(500)),
+    fileType: str(200),
+    fileData: required({ type: 'string' })
+  }),
+  'send-reaction': object({ emoji: required(str(16)) }),
+  'set-stream-quality': object({ quality: required(STREAM_QUALITY) }),
+  'report-stats': object({
+    latency: NUMBER,
+    loss: NUMBER,
+    bitrateKbps: NUMBER,
+    fps: NUMBER,
+    freezeCount: NUMBER,
+    candidateType: CANDIDATE_TYPE
+  }),
+  'create-poll': object({
+    question: required(str(500)),
+    options: required({ type: 'array', items: str(200), maxItems: 10 })
+  }),
+  'vote-poll': object({ pollId: required(str(64)), optionIndex: required(NUMBER) }),
+  'close-poll': object({ clear: BOOL }),
+  'submit-question': object({ text: required(CHAT_TEXT) }),
+  'upvote-question': object({ questionId: required(str(64)) }),
+  'answer-question': object({ questionId: required(str(64)), answered: BOOL }),
+  'pin-question': object({ questionId: str(64) }),
+  'remove-question': object({ questionId: required(str(64)) }),
+  'delete-chat-message': object({ messageId: required(str(64)) }),
+  'timeout-user': object({ targetId: required(SOCKET_ID), minutes: NUMBER }),
+  'ban-user': object({ targetId: required(SOCKET_ID) }),
+  'unban-user': object({ roomName: required(ROOM), fingerprint: required(str(64)) }),
+  'update-blocked-words': object({
+    roomName: required(ROOM),
+    words: required({ type: 'array', items: str(200), maxItems: 500 })
+  }),
+  'get-moderation-state': object({ roomName: required(ROOM) }),
+  'get-scenes': object({ roomName: required(ROOM) }),
+  'save-scene': object({
+    roomName: required(ROOM),
+    scene: object(
+      {
+        id: str(64),
+        name: required(str(200)),
+        hotkey: str(2),
+        layout: required(MIXER_LAYOUT),
+        slotAssignments: object({}),
+        cropWidth: NUMBER,
+        activeGuestId: SOCKET_ID,
+        overlayHTML: str(200000),
+        overlayFieldValues: object({})
+      },
+      { required: true }
+    )
+  }),
+  'delete-scene': object({ roomName: required(ROOM), sceneId: required(str(64)) }),
+  'set-active-scene': object({ roomName: required(ROOM), sceneId: str(64) }),
+  'join-room-relay': object({
+    room: required(ROOM),
+    name: DISPLAY_NAME,
+    deviceInfo: object({}),
+    vipCode: str(64),
+    vipToken: TOKEN,
+    deviceToken: TOKEN
+  }),
+  'relay-offer': object({ to: required(SOCKET_ID), offer: SDP }),
+  'relay-answer': object({ to: required(SOCKET_ID), answer: SDP }),
+  'relay-ice': object({ to: required(SOCKET_ID), candidate: ICE_CANDIDATE, forParent: BOOL })
+};
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a value against a schema. Returns an error message or null.
+ * Unknown object fields are allowed; null counts as missing.
+ */
+function validateValue(spec, value, label = 'payload') {
+  if (value === undefined || value === null) {
+    return spec.required ? `${label} is required.` : null;
+  }
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${label} must be a string.`;
+      if (spec.maxLength && value.length > spec.maxLength) {
+        return `${label} must be at most ${spec.maxLength} characters.`;
+      }
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${label} must be true or false.`;
+    case 'number':
+      return typeof value === 'number' ? null : `${label} must be a number.`;
+    case 'array': {
+      if (!Array.isArray(value)) return `${label} must be a list.`;
+      if (spec.maxItems && value.length > spec.maxItems) {
+        return `${label} must have at most ${spec.maxItems} items.`;
+      }
+      if (spec.items) {
+        for (const item of value) {
+          const error = validateValue({ ...spec.items, required: true }, item, `${label} item`);
+          if (error) return error;
+        }
+      }
+      return null;
+    }
+    case 'enum':
+      return spec.values.includes(value) ? null : `${label} must be one of: ${spec.values.join(', ')}.`;
+    case 'object': {
+      if (!isPlainObject(value)) return `${label} must be an object.`;
+      for (const [field, fieldSpec] of Object.entries(spec.fields || {})) {
+        const error = validateValue(fieldSpec, value[field], field);
+        if (error) return error;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate the payload of a named event. Events without a schema pass.
+ */
+function validateEventPayload(eventName, payload) {
+  const schema = EVENT_SCHEMAS[eventName];
+  if (!schema) return null;
+  // Handlers destructure object payloads, so the object itself is required.
+  if (schema.type === 'object' && !isPlainObject(payload)) return 'payload must be an object.';
+  return validateValue(schema, payload);
+}
+
+/**
+ * Build a socket.use() middleware that drops malformed payloads and acks
+ * { ok:false, error, code } when the client passed a callback.
+ */
+function createValidationMiddleware(socket) {
+  return ([eventName, ...args], next) => {
+    const payload = typeof args[0] === 'function' ? undefined : args[0];
+    const error = validateEventPayload(eventName, payload);
+    if (!error) return next();
+
+    console.warn(
+      `[Validation] Rejected ${eventName} from ${socket.id} (${socket.handshake.address}): ${error}`
+    );
+    const callback = args[args.length - 1];
+    if (typeof callback === 'function') {
+      callback({ ok: false, error, code: INVALID_PAYLOAD });
+    }
+  };
+}
+
+module.exports = {
+  EVENT_SCHEMAS,
+  INVALID_PAYLOAD,
+  validateEventPayload,
+  createValidationMiddleware
+};
@@ -5,7 +5,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const crypto = require('crypto');
+const auth = require('./auth');
 
 class FoundationRegistry {
   constructor(registryPath = './data/foundation-registry.json') {
@@ -63,13 +63,10 @@ class FoundationRegistry {
   }
 
   /**
-   * Hash password for secure storage
+   * Hash password for secure storage (salted scrypt, see auth.js)
    */
   hashPassword(password) {
-    return crypto
-      .createHash('sha256')
-      .update(password)
-      .digest('hex');
+    return auth.hashPassword(password);
   }
 
   /**
@@ -89,14 +86,20 @@ class FoundationRegistry {
   }
 
   /**
-   * Verify password for a foundation room
+   * Verify password for a foundation room.
+   * Legacy SHA-256 hashes are upgraded in place on a successful match.
    */
-  verifyPassword(roomName, password) {
+  async verifyPassword(roomName, password) {
     const room = this.registry.rooms[roomName];
     if (!room) return false;
 
-    const hashedInput = this.hashPassword(password);
-    return hashedInput === room.passwordHash;
+    const { ok, needsRehash } = await auth.verifyPassword(password, room.passwordHash);
+    if (ok && needsRehash) {
+      room.passwordHash = await this.hashPassword(password);
+      await this.save();
+      console.log(`[Registry] Upgraded password hash: ${roomName}`);
+    }
+    return ok;
   }
 
   /**
@@ -114,7 +117,7 @@ class FoundationRegistry {
 
     // Create room entry
     this.registry.rooms[roomName] = {
-      passwordHash: this.hashPassword(password),
+      passwordHash: await this.hashPassword(password),
       purchasedAt: new Date().toISOString(),
       purchaserEmail,
       stripeSessionId,
@@ -0,0 +1,199 @@
+/**
+ * METRICS
+ * Counters, gauges and histograms rendered in Prometheus text format
+ *
+ * Counters and histograms are bumped as things happen. Gauges take a
+ * collect callback that reads live state (sockets, rooms, relay trees,
+ * Foundation sales) at scrape time, so they never drift from the source.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels || {}).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels || {}).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    const series = new Map();
+    this.metrics.push({ name, help, type: 'counter', series });
+    return {
+      inc(labels = {}, by = 1) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += by;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  /**
+   * collect() returns a number, or a list of { labels, value } for
+   * labelled series.
+   */
+  gauge(name, help, collect) {
+    this.metrics.push({ name, help, type: 'gauge', collect });
+  }
+
+  histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    const bounds = [...buckets].sort((a, b) => a - b);
+    this.metrics.push({ name, help, type: 'histogram', series, bounds });
+    return {
+      observe(labels = {}, value) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        bounds.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  render() {
+    const lines = [];
+    this.metrics.forEach((metric) => {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      if (metric.type === 'gauge') {
+        let collected;
+        try {
+          collected = metric.collect();
+        } catch (err) {
+          console.error(`[Metrics] Failed to collect ${metric.name}:`, err);
+          return;
+        }
+        const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+        samples.forEach(({ labels, value }) => {
+          lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(value)}`);
+        });
+      } else if (metric.type === 'counter') {
+        metric.series.forEach(({ labels, value }) => {
+          lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(value)}`);
+        });
+      } else {
+        metric.series.forEach(({ labels, counts, sum, count }) => {
+          metric.bounds.forEach((bound, index) => {
+            lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+          });
+          lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          lines.push(`${metric.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+          lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+        });
+      }
+    });
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+/**
+ * Times offer -> answer round trips through the server. An offer from A to
+ * B is answered when B sends an answer of the same kind back to A; offers
+ * that go unanswered for timeoutMs are dropped rather than observed.
+ *
+ * Offers are only tracked when canPair(from, to) allows it (the server
+ * checks the target is connected and in the sender's room), expired ones
+ * are swept on every new offer, and at most maxPending are kept, so a
+ * client spraying offers at made-up ids cannot grow the map.
+ */
+class SignalingTimer {
+  constructor(histogram, { timeoutMs = 30000, maxPending = 10000, canPair = () => true } = {}) {
+    this.histogram = histogram;
+    this.timeoutMs = timeoutMs;
+    this.maxPending = maxPending;
+    this.canPair = canPair;
+    this.pending = new Map(); // key -> { sentAt, fromId, toId }, oldest first
+    this.bySocket = new Map(); // socket id -> keys of the offers it is part of
+  }
+
+  offer(kind, fromId, toId, now = Date.now()) {
+    this.sweep(now);
+    if (!this.canPair(fromId, toId)) return;
+    const key = `${kind}:${fromId}>${toId}`;
+    // Re-adding moves a repeated offer to the back, keeping the map in time order.
+    this.remove(key);
+    this.pending.set(key, { sentAt: now, fromId, toId });
+    [fromId, toId].forEach((id) => {
+      if (!this.bySocket.has(id)) this.bySocket.set(id, new Set());
+      this.bySocket.get(id).add(key);
+    });
+    if (this.pending.size > this.maxPending) this.remove(this.pending.keys().next().value);
+  }
+
+  answer(kind, fromId, toId, now = Date.now()) {
+    const key = `${kind}:${toId}>${fromId}`;
+    const entry = this.pending.get(key);
+    if (!entry) return;
+    this.remove(key);
+    if (now - entry.sentAt <= this.timeoutMs) this.histogram.observe({ kind }, (now - entry.sentAt) / 1000);
+  }
+
+  // Drop offers to or from a socket that went away.
+  forget(socketId) {
+    const keys = this.bySocket.get(socketId);
+    if (keys) [...keys].forEach((key) => this.remove(key));
+  }
+
+  // The map is in time order, so expired offers are always at the front.
+  sweep(now = Date.now()) {
+    for (const [key, entry] of this.pending) {
+      if (now - entry.sentAt <= this.timeoutMs) break;
+      this.remove(key);
+    }
+  }
+
+  remove(key) {
+    const entry = this.pending.get(key);
+    if (!entry) return;
+    this.pending.delete(key);
+    [entry.fromId, entry.toId].forEach((id) => {
+      const keys = this.bySocket.get(id);
+      if (!keys) return;
+      keys.delete(key);
+      if (!keys.size) this.bySocket.delete(id);
+    });
+  }
+}
+
+/**
+ * True when the request carries `Authorization: Bearer <token>` matching the
+ * configured token. Always false when no token is configured.
+ */
+function hasBearerToken(req, token) {
+  if (!token) return false;
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  if (!match) return false;
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const actual = crypto.createHash('sha256').update(match[1].trim()).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  MetricsRegistry,
+  SignalingTimer,
+  hasBearerToken
+};
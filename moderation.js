@@ -0,0 +1,89 @@
+/**
+ * MODERATION
+ * Helpers for room bans, chat timeouts and the blocked-words filter
+ *
+ * Bans, timeouts, votes and role grants are keyed on a device fingerprint:
+ * a hash of a device id the server minted and signed (see resolveDeviceId in
+ * server.js), never of a string the client picked. Bans also record a
+ * network fingerprint (a hash of the client IP) when the server knows that
+ * IP, so dropping the device token does not get around them. Only hashes
+ * are stored or shown to hosts.
+ */
+
+const crypto = require('crypto');
+
+const MAX_BLOCKED_WORDS = 200;
+const MAX_BLOCKED_WORD_LENGTH = 50;
+const MAX_TIMEOUT_MINUTES = 24 * 60;
+
+function hashFingerprint(source) {
+  return crypto.createHash('sha256').update(source).digest('hex').slice(0, 32);
+}
+
+function fingerprintFor(deviceId) {
+  return hashFingerprint(`device:${deviceId}`);
+}
+
+// null without a trusted client IP: such sockets never match network bans.
+function networkFingerprintFor(ip) {
+  return ip ? hashFingerprint(`net:${ip}`) : null;
+}
+
+/**
+ * True when a room's ban list holds this device, or a ban made from the
+ * same network.
+ */
+function isBanned(bannedFingerprints, { fingerprint, networkFingerprint }) {
+  if (!bannedFingerprints) return false;
+  if (bannedFingerprints[fingerprint]) return true;
+  if (!networkFingerprint) return false;
+  return Object.values(bannedFingerprints).some((ban) => ban.network === networkFingerprint);
+}
+
+/**
+ * Trim, lowercase and dedupe a blocked-words list.
+ */
+function normalizeBlockedWords(words) {
+  if (!Array.isArray(words)) return [];
+  const unique = new Set();
+  words.forEach((word) => {
+    if (typeof word !== 'string') return;
+    const normalized = word.trim().toLowerCase().slice(0, MAX_BLOCKED_WORD_LENGTH);
+    if (normalized) unique.add(normalized);
+  });
+  return Array.from(unique).slice(0, MAX_BLOCKED_WORDS);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Mask blocked words (whole words, case-insensitive) with asterisks.
+ * Returns { text, filtered }.
+ */
+function applyWordFilter(text, words) {
+  if (!Array.isArray(words) || !words.length) return { text, filtered: false };
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${words.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'giu');
+  let filtered = false;
+  const masked = text.replace(pattern, (match, lead, word) => {
+    filtered = true;
+    return `${lead}${'*'.repeat(word.length)}`;
+  });
+  return { text: masked, filtered };
+}
+
+function clampTimeoutMinutes(minutes) {
+  const value = Math.floor(Number(minutes));
+  if (!Number.isFinite(value) || value < 1) return 5;
+  return Math.min(MAX_TIMEOUT_MINUTES, value);
+}
+
+module.exports = {
+  fingerprintFor,
+  networkFingerprintFor,
+  isBanned,
+  normalizeBlockedWords,
+  applyWordFilter,
+  clampTimeoutMinutes
+};
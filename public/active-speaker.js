@@ -0,0 +1,96 @@
+/**
+ * ACTIVE SPEAKER MODULE
+ * Picks who is talking from per-participant audio levels
+ *
+ * Levels (RMS, 0..1) are smoothed, and a participant counts as speaking
+ * once they rise above speakOn until they fall below speakOff. The active
+ * speaker only changes when someone else has been clearly louder for
+ * switchAfterMs and the current speaker has held the floor for minHoldMs,
+ * so coughs and crosstalk do not make the director flap.
+ */
+
+class ActiveSpeakerDetector {
+  constructor({
+    speakOn = 0.06,
+    speakOff = 0.035,
+    smoothing = 0.3,
+    switchMargin = 1.4,
+    switchAfterMs = 500,
+    minHoldMs = 2500
+  } = {}) {
+    this.options = { speakOn, speakOff, smoothing, switchMargin, switchAfterMs, minHoldMs };
+    this.levels = {};
+    this.speaking = new Set();
+    this.activeId = null;
+    this.activeSince = 0;
+    this.pendingId = null;
+    this.pendingSince = 0;
+  }
+
+  /**
+   * Feed the latest raw levels ({ id: rms }). Returns
+   * { activeId, speaking, changed } where changed is true when the active
+   * speaker switched on this update.
+   */
+  update(rawLevels, now = performance.now()) {
+    const { speakOn, speakOff, smoothing, switchMargin, switchAfterMs, minHoldMs } = this.options;
+
+    Object.keys(this.levels).forEach((id) => {
+      if (!(id in rawLevels)) {
+        delete this.levels[id];
+        this.speaking.delete(id);
+      }
+    });
+    Object.entries(rawLevels).forEach(([id, level]) => {
+      const previous = this.levels[id] ?? level;
+      const smoothed = previous + (level - previous) * smoothing;
+      this.levels[id] = smoothed;
+      if (this.speaking.has(id) && smoothed < speakOff) this.speaking.delete(id);
+      else if (!this.speaking.has(id) && smoothed > speakOn) this.speaking.add(id);
+    });
+
+    let candidate = null;
+    this.speaking.forEach((id) => {
+      if (!candidate || this.levels[id] > this.levels[candidate]) candidate = id;
+    });
+
+    const previousId = this.activeId;
+    if (this.activeId && !(this.activeId in this.levels)) this.activeId = null;
+
+    if (!this.activeId) {
+      if (candidate) this.setActive(candidate, now);
+    } else if (candidate && candidate !== this.activeId) {
+      const clearlyLouder =
+        !this.speaking.has(this.activeId) ||
+        this.levels[candidate] > this.levels[this.activeId] * switchMargin;
+      if (!clearlyLouder) {
+        this.pendingId = null;
+      } else if (this.pendingId !== candidate) {
+        this.pendingId = candidate;
+        this.pendingSince = now;
+      } else if (now - this.pendingSince >= switchAfterMs && now - this.activeSince >= minHoldMs) {
+        this.setActive(candidate, now);
+      }
+    } else {
+      this.pendingId = null;
+    }
+
+    return { activeId: this.activeId, speaking: new Set(this.speaking), changed: this.activeId !== previousId };
+  }
+
+  setActive(id, now) {
+    this.activeId = id;
+    this.activeSince = now;
+    this.pendingId = null;
+  }
+
+  reset() {
+    this.levels = {};
+    this.speaking.clear();
+    this.activeId = null;
+    this.pendingId = null;
+  }
+}
+
+// Export singleton instance
+window.activeSpeaker = new ActiveSpeakerDetector();
@@ -104,6 +104,9 @@ const state = {
   isPrivateMode: false,
   allowedGuests: [],
   mutedUsers: new Set(),
+  chatOldestId: null,
+  chatHasMore: false,
+  chatHistoryLoading: false,
   localStream: null,
   screenStream: null,
   isScreenSharing: false,
@@ -111,8 +114,17 @@ const state = {
   activeToolboxFile: null,
   audioContext: null,
   audioDestination: null,
+  recording: null,
+  recordingStarting: false,
+  secondaryAudioStream: null,
   audioAnalysers: {},
+  autoDirector: false,
+  activeSpeakerId: null,
+  speakingIds: new Set(),
   mixerLayout: 'SOLO',
+  mixerSlots: [],
+  scenes: [],
+  activeSceneId: null,
   activeGuestId: null,
   overlayActive: false,
   overlayImage: new Image(),
@@ -126,6 +138,18 @@ const state = {
   vipUsers: [],
   vipCodes: [],
   vipRequired: false,
+  clipsEnabled: true,
+  qualityLadder: 'standard',
+  health: null,
+  healthExpanded: new Set(),
+  bans: [],
+  blockedWords: [],
+  roomRoles: [],
+  myRoomRole: null,
+  stage: { maxGuests: 2, onStage: 0, waiting: 0 },
+  poll: null,
+  reactionTickerTimer: null,
+  questions: [],
   turnConfig: {
     enabled: false,
     host: '',
@@ -199,10 +223,19 @@ const dom = {
   tabRoom: $('tabRoomChat'),
   tabFiles: $('tabFiles'),
   tabUsers: $('tabUsers'),
+  tabDirect: $('tabDirect'),
+  tabQa: $('tabQa'),
+  tabHealth: $('tabHealth'),
   contentStream: $('contentStreamChat'),
   contentRoom: $('contentRoomChat'),
   contentFiles: $('contentFiles'),
   contentUsers: $('contentUsers'),
+  contentDirect: $('contentDirect'),
+  contentQa: $('contentQa'),
+  contentHealth: $('contentHealth'),
+  healthSummary: $('healthSummary'),
+  healthViewers: $('healthViewers'),
+  qaList: $('qaList'),
   settingsPanel: $('settingsPanel'),
   audioSource: $('audioSource'),
   audioSource2: $('audioSource2'),
@@ -248,7 +281,28 @@ const dom = {
   inputPublic: $('inputPublic'),
   btnSendPrivate: $('btnSendPrivate'),
   inputPrivate: $('inputPrivate'),
+  btnSendDirect: $('btnSendDirect'),
+  inputDirect: $('inputDirect'),
+  dmTargetSelect: $('dmTargetSelect'),
+  chatLogDirect: $('chatLogDirect'),
+  moderationPanel: $('moderationPanel'),
+  blockedWordsInput: $('blockedWordsInput'),
+  saveBlockedWordsBtn: $('saveBlockedWordsBtn'),
+  banList: $('banList'),
+  staffSection: $('staffSection'),
+  staffList: $('staffList'),
+  stageQueuePanel: $('stageQueuePanel'),
+  stageQueueSummary: $('stageQueueSummary'),
+  stageQueueList: $('stageQueueList'),
+  stageLimitInput: $('stageLimitInput'),
+  moderationStatus: $('moderationStatus'),
   emojiStripPublic: $('emojiStripPublic'),
+  reactionTicker: $('reactionTicker'),
+  pollQuestionInput: $('pollQuestionInput'),
+  pollOptionsInput: $('pollOptionsInput'),
+  startPollBtn: $('startPollBtn'),
+  closePollBtn: $('closePollBtn'),
+  pollResults: $('pollResults'),
   emojiStripPrivate: $('emojiStripPrivate'),
   fileInput: $('fileInput'),
   fileNameLabel: $('fileNameLabel'),
@@ -261,7 +315,9 @@ const dom = {
   overlayFields: $('overlayFields'),
   userList: $('userList'),
   openStreamBtn: $('openStreamBtn'),
-  vipRequiredToggle: $('vipRequiredToggle')
+  vipRequiredToggle: $('vipRequiredToggle'),
+  clipsEnabledToggle: $('clipsEnabledToggle'),
+  qualityLadderSelect: $('qualityLadderSelect')
 };
 
 function applyRoomQueryDefaults() {
@@ -320,93 +376,17 @@ function drawMixer(timestamp) {
   ctx.fillStyle = '#000';
   ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-  const myVideo = $('localVideo');
-  let guestVideo = null;
-  if (state.activeGuestId) {
-    const el = document.getElementById(`vid-${state.activeGuestId}`);
-    if (el) guestVideo = el.querySelector('video');
-  }
-
-  if (state.mixerLayout === 'SOLO') {
-    if (myVideo && myVideo.readyState === 4) {
-      ctx.drawImage(myVideo, 0, 0, canvas.width, canvas.height);
-    }
-  } else if (state.mixerLayout === 'GUEST') {
-    if (guestVideo && guestVideo.readyState === 4) {
-      ctx.drawImage(guestVideo, 0, 0, canvas.width, canvas.height);
-    } else {
-      ctx.fillStyle = '#333';
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-      ctx.fillStyle = '#fff';
-      ctx.font = '60px Arial';
-      ctx.textAlign = 'center';
-      ctx.fillText('Waiting for Guest Signal...', canvas.width / 2, canvas.height / 2);
-    }
-  } else if (state.mixerLayout === 'SPLIT') {
-    const participants = [];
-    if (myVideo && myVideo.readyState === 4) {
-      participants.push(myVideo);
-    }
-
-    Object.keys(callPeers).forEach((id) => {
-      const el = document.getElementById(`vid-${id}`);
-      const vid = el && el.querySelector('video');
-      if (vid && vid.readyState === 4) {
-        participants.push(vid);
-      }
-    });
-
-    const count = participants.length || 1;
-    const slotW = canvas.width / count;
-    const aspect = 16 / 9;
-    const vidH = slotW / aspect;
-    const yOffset = (canvas.height - vidH) / 2;
-
-    participants.forEach((vid, i) => {
-      ctx.drawImage(vid, i * slotW, yOffset, slotW, vidH);
-      if (i > 0) {
-        ctx.strokeStyle = '#222';
-        ctx.lineWidth = 4;
-        ctx.beginPath();
-        ctx.moveTo(i * slotW, 0);
-        ctx.lineTo(i * slotW, canvas.height);
-        ctx.stroke();
-      }
-    });
-  } else if (state.mixerLayout === 'PIP') {
-    if (myVideo && myVideo.readyState === 4) {
-      ctx.drawImage(myVideo, 0, 0, canvas.width, canvas.height);
-    }
-    if (guestVideo && guestVideo.readyState === 4) {
-      const pipW = 480;
-      const pipH = 270;
-      const padding = 30;
-      const x = canvas.width - pipW - padding;
-      const y = canvas.height - pipH - padding;
-      ctx.strokeStyle = '#4af3a3';
-      ctx.lineWidth = 5;
-      ctx.strokeRect(x, y, pipW, pipH);
-      ctx.drawImage(guestVideo, x, y, pipW, pipH);
-    }
-  } else if (state.mixerLayout === 'PIP_INVERTED') {
-    if (guestVideo && guestVideo.readyState === 4) {
-      ctx.drawImage(guestVideo, 0, 0, canvas.width, canvas.height);
-    } else {
-      ctx.fillStyle = '#111';
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-    }
-    if (myVideo && myVideo.readyState === 4) {
-      const pipW = 480;
-      const pipH = 270;
-      const padding = 30;
-      const x = canvas.width - pipW - padding;
-      const y = canvas.height - pipH - padding;
-      ctx.strokeStyle = '#4af3a3';
-      ctx.lineWidth = 5;
-      ctx.strokeRect(x, y, pipW, pipH);
-      ctx.drawImage(myVideo, x, y, pipW, pipH);
-    }
-  }
+  const sources = { local: $('localVideo') };
+  Object.keys(callPeers).forEach((id) => {
+    const el = document.getElementById(`vid-${id}`);
+    const vid = el && el.querySelector('video');
+    if (vid) sources[id] = vid;
+  });
+  state.mixerSlots = window.mixerLayouts.draw(ctx, canvas.width, canvas.height, sources, {
+    activeGuestId: state.activeGuestId,
+    highlightIds: state.speakingIds,
+    now: timestamp
+  });
 
   if (state.overlayActive && state.overlayImage.complete) {
     ctx.drawImage(state.overlayImage, 0, 0, canvas.width, canvas.height);
@@ -418,12 +398,10 @@ function drawMixer(timestamp) {
 // AUDIO ANALYSIS HELPERS (NEW PATCH)
 // ======================================================
 function setupAudioAnalysis(id, stream) {
-  if (!state.audioContext) {
-    state.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-  }
+  const audioContext = getAudioContext();
   try {
-    const source = state.audioContext.createMediaStreamSource(stream);
-    const analyser = state.audioContext.createAnalyser();
+    const source = audioContext.createMediaStreamSource(stream);
+    const analyser = audioContext.createAnalyser();
     analyser.fftSize = 256;
     source.connect(analyser);
     state.audioAnalysers[id] = {
@@ -436,39 +414,323 @@ function setupAudioAnalysis(id, stream) {
   }
 }
 
+// RMS level (0..1) of the latest audio frame for one analyser.
+function readAudioLevel(entry) {
+  entry.analyser.getByteTimeDomainData(entry.data);
+  let sum = 0;
+  for (let i = 0; i < entry.data.length; i += 1) {
+    const sample = (entry.data[i] - 128) / 128;
+    sum += sample * sample;
+  }
+  entry.vol = Math.sqrt(sum / entry.data.length);
+  return entry.vol;
+}
+
+// ======================================================
+// ACTIVE SPEAKER + AUTO DIRECTOR
+// ======================================================
+const SPEAKER_SAMPLE_MS = 100;
+// Layouts the director may swap between; other layouts keep the host's
+// choice and only follow the speaker through activeGuestId.
+const DIRECTOR_LAYOUTS = { host: 'PIP', guest: 'PIP_INVERTED' };
+const DIRECTOR_MANAGED_LAYOUTS = ['SOLO', 'GUEST', 'PIP', 'PIP_INVERTED'];
+
+function speakerName(id) {
+  if (!id) return '';
+  if (id === 'local') return state.userName || 'Host';
+  return callPeers[id]?.name || 'Guest';
+}
+
+function updateSpeakingIndicators() {
+  document.querySelectorAll('.video-container').forEach((el) => {
+    const id = el.id === 'localContainer' ? 'local' : el.id.replace(/^vid-/, '');
+    el.classList.toggle('speaking', state.speakingIds.has(id));
+    el.classList.toggle('active-speaker', state.activeSpeakerId === id);
+  });
+}
+
+function runAutoDirector(speakerId) {
+  if (!state.autoDirector || !state.iAmHost || !speakerId) return;
+  const hasGuests = Object.keys(callPeers).length > 0;
+  if (speakerId !== 'local' && callPeers[speakerId]) window.setActiveGuest(speakerId);
+  if (!hasGuests || !DIRECTOR_MANAGED_LAYOUTS.includes(state.mixerLayout)) return;
+  const layout = speakerId === 'local' ? DIRECTOR_LAYOUTS.host : DIRECTOR_LAYOUTS.guest;
+  if (layout !== state.mixerLayout) window.setMixerLayout(layout);
+}
+
+function sampleAudioLevels() {
+  const levels = {};
+  Object.entries(state.audioAnalysers).forEach(([id, entry]) => {
+    if (id !== 'local' && !callPeers[id]) return;
+    try {
+      levels[id] = readAudioLevel(entry);
+    } catch (e) {
+      // Analyser from a closed stream; it is dropped with the video tile.
+    }
+  });
+  const { activeId, speaking, changed } = window.activeSpeaker.update(levels);
+  const speakingChanged =
+    speaking.size !== state.speakingIds.size || [...speaking].some((id) => !state.speakingIds.has(id));
+  state.speakingIds = speaking;
+  state.activeSpeakerId = activeId;
+  if (speakingChanged || changed) updateSpeakingIndicators();
+  if (speakingChanged) updateSoundboardDucking();
+  if (!changed) return;
+  runAutoDirector(activeId);
+  if (state.overlayActive && state.currentRawHTML.includes('{{speaker}}')) {
+    renderHTMLLayout(state.currentRawHTML);
+  }
+}
+
+setInterval(sampleAudioLevels, SPEAKER_SAMPLE_MS);
+
+if ($('autoDirectorBtn')) {
+  $('autoDirectorBtn').onclick = () => {
+    state.autoDirector = !state.autoDirector;
+    $('autoDirectorBtn').classList.toggle('active', state.autoDirector);
+    $('autoDirectorBtn').textContent = state.autoDirector ? '🎬 Auto Director: On' : '🎬 Auto Director: Off';
+    if (state.autoDirector) runAutoDirector(state.activeSpeakerId);
+  };
+}
+
 // ======================================================
 // BITRATE & STATS HELPERS (NEW PATCH)
 // ======================================================
-async function applyBitrateConstraints(pc) {
+// Every viewer has its own encoder on its own PeerConnection, so instead of
+// simulcast (which needs an SFU to pick layers) each viewer sender moves up
+// and down a quality ladder on its own. The encoding also carries temporal
+// layers (L1T3) where the browser supports them, so frame rate can drop
+// without a keyframe. Rungs scale the 1920x1080 canvas down per viewer.
+const QUALITY_LADDERS = {
+  high: {
+    label: 'High (up to 1080p, 6 Mbps)',
+    rungs: [
+      { name: '1080p', scale: 1, fps: 30, kbps: 6000 },
+      { name: '720p', scale: 1.5, fps: 30, kbps: 3000 },
+      { name: '540p', scale: 2, fps: 30, kbps: 1800 },
+      { name: '360p', scale: 3, fps: 30, kbps: 900 },
+      { name: '180p', scale: 6, fps: 15, kbps: 300 }
+    ]
+  },
+  standard: {
+    label: 'Standard (up to 1080p, 4 Mbps)',
+    rungs: [
+      { name: '1080p', scale: 1, fps: 30, kbps: 4000 },
+      { name: '720p', scale: 1.5, fps: 30, kbps: 2500 },
+      { name: '540p', scale: 2, fps: 30, kbps: 1500 },
+      { name: '360p', scale: 3, fps: 24, kbps: 700 },
+      { name: '180p', scale: 6, fps: 15, kbps: 250 }
+    ]
+  },
+  saver: {
+    label: 'Data saver (up to 720p, 1.5 Mbps)',
+    rungs: [
+      { name: '720p', scale: 1.5, fps: 30, kbps: 1500 },
+      { name: '540p', scale: 2, fps: 24, kbps: 900 },
+      { name: '360p', scale: 3, fps: 20, kbps: 500 },
+      { name: '180p', scale: 6, fps: 12, kbps: 200 }
+    ]
+  }
+};
+const QUALITY_LADDER_STORAGE_KEY = 'rebel:qualityLadder';
+const QUALITY_START_KBPS = 2500;
+const ABR_DOWN_LOSS = 0.08;
+const ABR_UP_LOSS = 0.02;
+const ABR_DOWN_RTT_S = 0.4;
+const ABR_UP_RTT_S = 0.25;
+const ABR_DOWN_SAMPLES = 2;
+const ABR_UP_SAMPLES = 5;
+const ABR_HOLD_AFTER_DROP_MS = 20000;
+
+// Per-viewer controller state: { rung, bad, good, holdUntil, requested }.
+// requested is the viewer's own choice: 'auto', a height cap such as
+// '720p' (the controller still drops below it), or 'audio' for no video.
+const viewerQuality = {};
+
+function loadQualityLadderName() {
+  try {
+    const name = localStorage.getItem(QUALITY_LADDER_STORAGE_KEY);
+    return QUALITY_LADDERS[name] ? name : 'standard';
+  } catch (err) {
+    return 'standard';
+  }
+}
+
+state.qualityLadder = loadQualityLadderName();
+
+function getQualityRungs() {
+  return QUALITY_LADDERS[state.qualityLadder].rungs;
+}
+
+function startingRung() {
+  const rungs = getQualityRungs();
+  const index = rungs.findIndex((rung) => rung.kbps <= QUALITY_START_KBPS);
+  return index === -1 ? rungs.length - 1 : index;
+}
+
+// Highest rung index a viewer may use, from their requested cap.
+function ceilingRung(requested) {
+  const rungs = getQualityRungs();
+  const height = parseInt(requested, 10);
+  if (!height) return 0;
+  const index = rungs.findIndex((rung) => parseInt(rung.name, 10) <= height);
+  return index === -1 ? rungs.length - 1 : index;
+}
+
+function getViewerQuality(id) {
+  if (!viewerQuality[id]) {
+    const requested = state.latestUserList.find((u) => u.id === id)?.quality || 'auto';
+    viewerQuality[id] = {
+      rung: Math.max(startingRung(), ceilingRung(requested)),
+      bad: 0,
+      good: 0,
+      holdUntil: 0,
+      requested
+    };
+  }
+  return viewerQuality[id];
+}
+
+function buildViewerEncoding(id) {
+  const quality = getViewerQuality(id);
+  const rung = getQualityRungs()[quality.rung];
+  return {
+    active: quality.requested !== 'audio',
+    maxBitrate: rung.kbps * 1000,
+    scaleResolutionDownBy: rung.scale,
+    maxFramerate: rung.fps
+  };
+}
+
+function describeViewerQuality(id) {
+  const quality = getViewerQuality(id);
+  if (quality.requested === 'audio') return 'audio only';
+  const name = getQualityRungs()[quality.rung].name;
+  return quality.requested === 'auto' ? name : `${name} (max ${quality.requested})`;
+}
+
+async function applyBitrateConstraints(pc, id) {
   const senders = pc.getSenders();
   const videoSender = senders.find((s) => s.track && s.track.kind === 'video');
   if (!videoSender) return;
 
   try {
     const parameters = videoSender.getParameters();
-    if (!parameters.encodings) parameters.encodings = [{}];
-    parameters.encodings[0].maxBitrate = 2500 * 1000; // 2.5 Mbps cap
+    if (!parameters.encodings || !parameters.encodings.length) parameters.encodings = [{}];
+    Object.assign(parameters.encodings[0], buildViewerEncoding(id));
     await videoSender.setParameters(parameters);
   } catch (e) {
     console.error('Bitrate cap failed', e);
   }
 }
 
+/**
+ * Move one viewer up or down the ladder from the latest stats sample.
+ * Drops need two bad samples in a row; climbs need ten seconds of clean
+ * samples, headroom in the estimated bandwidth, and no recent drop.
+ */
+function updateViewerQuality(id, pc, { loss, rtt, availableBitrate }) {
+  const quality = getViewerQuality(id);
+  if (quality.requested === 'audio') return;
+  const rungs = getQualityRungs();
+  const current = rungs[quality.rung];
+  const next = quality.rung > ceilingRung(quality.requested) ? rungs[quality.rung - 1] : null;
+
+  const congested =
+    loss > ABR_DOWN_LOSS ||
+    rtt > ABR_DOWN_RTT_S ||
+    (availableBitrate && availableBitrate < current.kbps * 1000 * 0.8);
+  const healthy =
+    loss < ABR_UP_LOSS &&
+    rtt < ABR_UP_RTT_S &&
+    (!availableBitrate || !next || availableBitrate > next.kbps * 1000 * 1.15);
+
+  quality.bad = congested ? quality.bad + 1 : 0;
+  quality.good = healthy ? quality.good + 1 : 0;
+
+  let target = quality.rung;
+  if (quality.bad >= ABR_DOWN_SAMPLES && quality.rung < rungs.length - 1) {
+    target = quality.rung + 1;
+    quality.holdUntil = Date.now() + ABR_HOLD_AFTER_DROP_MS;
+  } else if (quality.good >= ABR_UP_SAMPLES && next && Date.now() > quality.holdUntil) {
+    target = quality.rung - 1;
+  }
+  if (target === quality.rung) return;
+
+  quality.rung = target;
+  quality.bad = 0;
+  quality.good = 0;
+  applyBitrateConstraints(pc, id);
+}
+
+function setQualityLadder(name) {
+  if (!QUALITY_LADDERS[name]) return;
+  state.qualityLadder = name;
+  try {
+    localStorage.setItem(QUALITY_LADDER_STORAGE_KEY, name);
+  } catch (err) {
+    // Private mode: the choice lasts for this tab.
+  }
+  const last = getQualityRungs().length - 1;
+  Object.keys(viewerPeers).forEach((id) => {
+    const quality = getViewerQuality(id);
+    quality.rung = Math.max(Math.min(quality.rung, last), ceilingRung(quality.requested));
+    applyBitrateConstraints(viewerPeers[id], id);
+  });
+}
+
+// A viewer picked a quality level in their player.
+socket.on('viewer-quality', ({ id, quality: requested }) => {
+  if (!state.iAmHost) return;
+  const quality = getViewerQuality(id);
+  quality.requested = requested || 'auto';
+  const ceiling = ceilingRung(quality.requested);
+  // A lower cap applies at once; a higher one lets the controller climb.
+  if (quality.rung < ceiling) quality.rung = ceiling;
+  quality.good = 0;
+  quality.bad = 0;
+  if (viewerPeers[id]) applyBitrateConstraints(viewerPeers[id], id);
+});
+
+if (dom.qualityLadderSelect) {
+  dom.qualityLadderSelect.innerHTML = '';
+  Object.entries(QUALITY_LADDERS).forEach(([name, ladder]) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = ladder.label;
+    dom.qualityLadderSelect.appendChild(option);
+  });
+  dom.qualityLadderSelect.value = state.qualityLadder;
+  dom.qualityLadderSelect.onchange = () => setQualityLadder(dom.qualityLadderSelect.value);
+}
+
 setInterval(async () => {
+  Object.keys(viewerQuality).forEach((id) => {
+    if (!viewerPeers[id]) delete viewerQuality[id];
+  });
   for (const id in viewerPeers) {
     const pc = viewerPeers[id];
     if (pc.connectionState !== 'connected') continue;
     const stats = await pc.getStats();
+    let sample = null;
+    let availableBitrate = 0;
     stats.forEach((report) => {
-      if (report.type === 'remote-inbound-rtp') {
-        const badge = document.getElementById(`stats-${id}`);
-        if (badge) {
-          const rtt = report.roundTripTime ? Math.round(report.roundTripTime * 1000) : 0;
-          const loss = report.fractionLost ? (report.fractionLost * 100).toFixed(1) : 0;
-          badge.innerHTML = `⏱️ ${rtt}ms | 📉 ${loss}%`;
-        }
+      if (report.type === 'remote-inbound-rtp' && report.kind === 'video') {
+        sample = { loss: report.fractionLost || 0, rtt: report.roundTripTime || 0 };
+      }
+      if (report.type === 'candidate-pair' && report.nominated && report.state === 'succeeded') {
+        availableBitrate = report.availableOutgoingBitrate || 0;
       }
     });
+    if (!sample) continue;
+    updateViewerQuality(id, pc, { ...sample, availableBitrate });
+
+    const badge = document.getElementById(`stats-${id}`);
+    if (badge) {
+      const rtt = Math.round(sample.rtt * 1000);
+      const loss = (sample.loss * 100).toFixed(1);
+      badge.innerHTML = `⏱️ ${rtt}ms | 📉 ${loss}% | 🎚️ ${describeViewerQuality(id)}`;
+    }
   }
 }, 2000);
 
@@ -771,11 +1033,16 @@ function renderHTMLLayout(htmlString) {
 
   const chatHTML = buildChatHTMLFromLogs(14);
 
+  // Function replacers: token values carry viewer text, and a string
+  // replacement would expand `$&`, `` $` `` and `$'` inside it.
   const processedHTML = htmlString
-    .replace(/{{viewers}}/g, viewerCount)
-    .replace(/{{guests}}/g, guestCount)
-    .replace(/{{title}}/g, streamTitle)
-    .replace(/{{chat}}/g, chatHTML);
+    .replace(/{{viewers}}/g, () => viewerCount)
+    .replace(/{{guests}}/g, () => guestCount)
+    .replace(/{{title}}/g, () => streamTitle)
+    .replace(/{{chat}}/g, () => chatHTML)
+    .replace(/{{poll}}/g, () => buildPollHTML())
+    .replace(/{{question}}/g, () => buildPinnedQuestionHTML())
+    .replace(/{{speaker}}/g, () => escapeOverlayText(speakerName(state.activeSpeakerId)));
 
   const container = ensureOverlayContainer();
   container.innerHTML = `
@@ -786,6 +1053,7 @@ function renderHTMLLayout(htmlString) {
   applyOverlayFieldValues(container);
   state.overlayVideoElements = Array.from(container.querySelectorAll('video'));
   state.overlayVideoElements.forEach((video) => prepareOverlayVideo(video));
+  updateOverlayAudio(state.overlayVideoElements);
 
   const svg = `
         <svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080">
@@ -810,7 +1078,13 @@ function renderHTMLLayout(htmlString) {
 }
 
 window.setMixerLayout = (mode) => {
+  // Co-hosts drive the owner's mixer; the owner's client does the mixing.
+  if (!state.iAmHost && hasRoomRole('cohost')) {
+    socket.emit('mixer-command', { layout: mode });
+  }
   state.mixerLayout = mode;
+  window.mixerLayouts.setLayout(mode);
+  renderSlotMap();
   document.querySelectorAll('.mixer-btn').forEach((b) => {
     b.classList.remove('active');
     if (b.getAttribute('onclick') && b.getAttribute('onclick').includes(`'${mode}'`)) {
@@ -822,14 +1096,241 @@ window.setMixerLayout = (mode) => {
 
 window.setActiveGuest = (id) => {
   state.activeGuestId = id;
+  renderSlotMap();
 };
 
+// ======================================================
+// 3b. SLOT MAP (drag participants into layout slots)
+// ======================================================
+function getMixerParticipants() {
+  return [
+    { id: 'local', name: 'You' },
+    ...Object.keys(callPeers).map((id) => ({ id, name: callPeers[id].name || 'Guest' }))
+  ];
+}
+
+function participantName(id) {
+  return getMixerParticipants().find((p) => p.id === id)?.name || 'Guest';
+}
+
+function buildParticipantChip(participant) {
+  const chip = document.createElement('span');
+  chip.className = 'slot-chip';
+  chip.textContent = participant.name;
+  chip.draggable = true;
+  chip.ondragstart = (e) => e.dataTransfer.setData('text/participant', participant.id);
+  return chip;
+}
+
+function renderSlotMap() {
+  const stage = $('slotMapStage');
+  const chips = $('slotMapChips');
+  if (!stage || !chips) return;
+  const engine = window.mixerLayouts;
+  const participants = getMixerParticipants();
+  const slots = engine.getSlots(state.mixerLayout, participants.length);
+  const resolved = engine.resolve(
+    participants.map((p) => p.id),
+    { activeGuestId: state.activeGuestId }
+  );
+
+  stage.innerHTML = '';
+  slots.forEach((slot, index) => {
+    const box = document.createElement('div');
+    box.className = 'slot-box';
+    box.style.left = `${slot.x * 100}%`;
+    box.style.top = `${slot.y * 100}%`;
+    box.style.width = `${slot.w * 100}%`;
+    box.style.height = `${slot.h * 100}%`;
+    box.style.zIndex = String(index + 1);
+    box.textContent = resolved[index] ? participantName(resolved[index]) : 'Empty';
+    box.title = 'Drop someone here · drag onto another slot to swap · double-click to reset';
+    box.draggable = !!resolved[index];
+    box.ondragstart = (e) => e.dataTransfer.setData('text/slot', String(index));
+    box.ondragover = (e) => {
+      e.preventDefault();
+      box.classList.add('drop-target');
+    };
+    box.ondragleave = () => box.classList.remove('drop-target');
+    box.ondrop = (e) => {
+      e.preventDefault();
+      const participantId = e.dataTransfer.getData('text/participant');
+      const fromSlot = e.dataTransfer.getData('text/slot');
+      if (participantId) engine.assign(index, participantId);
+      else if (fromSlot !== '') engine.swap(Number(fromSlot), index, resolved);
+      renderSlotMap();
+    };
+    box.ondblclick = () => {
+      engine.assign(index, null);
+      renderSlotMap();
+    };
+    stage.appendChild(box);
+  });
+
+  chips.innerHTML = '';
+  participants.forEach((p) => chips.appendChild(buildParticipantChip(p)));
+
+  const cropField = $('slotCropField');
+  if (cropField) cropField.style.display = engine.isCroppable(state.mixerLayout) ? 'flex' : 'none';
+  const cropInput = $('slotCropInput');
+  if (cropInput) cropInput.value = Math.round(engine.getCropWidth() * 100);
+}
+
+if ($('slotCropInput')) {
+  $('slotCropInput').oninput = (e) => window.mixerLayouts.setCropWidth(Number(e.target.value) / 100);
+}
+
+renderSlotMap();
+
+// ======================================================
+// 3c. SCENES (saved layout + guest + overlay, hotkeys 1-9/0)
+// ======================================================
+function setSceneStatus(message) {
+  const status = $('sceneStatus');
+  if (status) status.textContent = message || '';
+}
+
+function captureScene(name) {
+  const existing = state.scenes.find((scene) => scene.name === name);
+  return {
+    id: existing?.id,
+    name,
+    layout: state.mixerLayout,
+    ...window.mixerLayouts.exportLayoutState(state.mixerLayout),
+    activeGuestId: state.activeGuestId || null,
+    overlayHTML: state.overlayActive ? state.currentRawHTML : '',
+    overlayFieldValues: state.overlayActive ? { ...state.overlayFieldValues } : {}
+  };
+}
+
+function applyScene(scene, { remember = true } = {}) {
+  if (!scene) return;
+  window.mixerLayouts.importLayoutState(scene.layout, scene);
+  window.setMixerLayout(scene.layout);
+  // Guests are call peers; a saved guest only comes back if they are still on a call.
+  if (scene.activeGuestId && callPeers[scene.activeGuestId]) {
+    window.setActiveGuest(scene.activeGuestId);
+  }
+  if (scene.overlayHTML) {
+    buildOverlayFieldsFromHTML(scene.overlayHTML);
+    Object.assign(state.overlayFieldValues, scene.overlayFieldValues || {});
+    renderOverlayFieldControls();
+    renderHTMLLayout(scene.overlayHTML);
+    if (dom.overlayStatus) dom.overlayStatus.textContent = `[Scene: ${scene.name}]`;
+  } else if (state.overlayActive) {
+    window.clearOverlay();
+  }
+  state.activeSceneId = scene.id;
+  renderSceneDeck();
+  renderUserList();
+  if (remember && state.currentRoom) {
+    socket.emit('set-active-scene', { roomName: state.currentRoom, sceneId: scene.id });
+  }
+}
+
+function renderSceneDeck() {
+  const deck = $('sceneDeck');
+  const buttons = $('sceneButtons');
+  if (!deck || !buttons) return;
+  deck.style.display = state.iAmHost ? 'flex' : 'none';
+  buttons.innerHTML = '';
+  state.scenes.forEach((scene) => {
+    const btn = document.createElement('button');
+    btn.className = 'scene-btn';
+    if (scene.id === state.activeSceneId) btn.classList.add('active');
+    btn.title = `${scene.name} (${scene.layout})${scene.hotkey ? ` · key ${scene.hotkey}` : ''}`;
+
+    const key = document.createElement('span');
+    key.className = 'scene-key';
+    key.textContent = scene.hotkey || '';
+    btn.appendChild(key);
+    btn.appendChild(document.createTextNode(scene.name));
+
+    const del = document.createElement('span');
+    del.className = 'scene-delete';
+    del.textContent = '✕';
+    del.title = 'Delete scene';
+    del.onclick = (e) => {
+      e.stopPropagation();
+      deleteScene(scene);
+    };
+    btn.appendChild(del);
+
+    btn.onclick = () => applyScene(scene);
+    buttons.appendChild(btn);
+  });
+}
+
+function loadScenes(roomName, { restore = false } = {}) {
+  socket.emit('get-scenes', { roomName }, (resp) => {
+    if (!resp?.ok) {
+      state.scenes = [];
+      renderSceneDeck();
+      setSceneStatus(resp?.error || '');
+      return;
+    }
+    state.scenes = Array.isArray(resp.scenes) ? resp.scenes : [];
+    state.activeSceneId = resp.activeSceneId || null;
+    setSceneStatus('');
+    const active = state.scenes.find((scene) => scene.id === state.activeSceneId);
+    if (restore && active) applyScene(active, { remember: false });
+    else renderSceneDeck();
+  });
+}
+
+function deleteScene(scene) {
+  if (!state.currentRoom || !confirm(`Delete scene "${scene.name}"?`)) return;
+  socket.emit('delete-scene', { roomName: state.currentRoom, sceneId: scene.id }, (resp) => {
+    if (!resp?.ok) {
+      setSceneStatus(resp?.error || 'Unable to delete scene.');
+      return;
+    }
+    state.scenes = resp.scenes || [];
+    if (state.activeSceneId === scene.id) state.activeSceneId = null;
+    renderSceneDeck();
+  });
+}
+
+if ($('saveSceneBtn')) {
+  $('saveSceneBtn').onclick = () => {
+    if (!state.currentRoom || !state.iAmHost) return;
+    const active = state.scenes.find((scene) => scene.id === state.activeSceneId);
+    const name = prompt('Scene name (an existing name is overwritten):', active ? active.name : '');
+    if (!name || !name.trim()) return;
+    socket.emit('save-scene', { roomName: state.currentRoom, scene: captureScene(name.trim()) }, (resp) => {
+      if (!resp?.ok) {
+        setSceneStatus(resp?.error || 'Unable to save scene.');
+        return;
+      }
+      state.scenes = resp.scenes || [];
+      state.activeSceneId = resp.scene.id;
+      setSceneStatus(`Saved "${resp.scene.name}".`);
+      renderSceneDeck();
+      socket.emit('set-active-scene', { roomName: state.currentRoom, sceneId: resp.scene.id });
+    });
+  };
+}
+
+// Number keys switch scenes unless the host is typing somewhere.
+document.addEventListener('keydown', (e) => {
+  if (!state.iAmHost || e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+  const target = e.target;
+  if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+  const scene = state.scenes.find((s) => s.hotkey === e.key);
+  if (!scene) return;
+  e.preventDefault();
+  applyScene(scene);
+});
+
 // ======================================================
 // 4. TAB NAVIGATION INTERFACE
 // ======================================================
 const tabs = {
   stream: dom.tabStream,
   room: dom.tabRoom,
+  direct: dom.tabDirect,
+  qa: dom.tabQa,
+  health: dom.tabHealth,
   files: dom.tabFiles,
   users: dom.tabUsers
 };
@@ -837,6 +1338,9 @@ const tabs = {
 const contents = {
   stream: dom.contentStream,
   room: dom.contentRoom,
+  direct: dom.contentDirect,
+  qa: dom.contentQa,
+  health: dom.contentHealth,
   files: dom.contentFiles,
   users: dom.contentUsers
 };
@@ -852,6 +1356,9 @@ function switchTab(name) {
 
 if (tabs.stream) tabs.stream.onclick = () => switchTab('stream');
 if (tabs.room) tabs.room.onclick = () => switchTab('room');
+if (tabs.direct) tabs.direct.onclick = () => switchTab('direct');
+if (tabs.qa) tabs.qa.onclick = () => switchTab('qa');
+if (tabs.health) tabs.health.onclick = () => switchTab('health');
 if (tabs.files) tabs.files.onclick = () => switchTab('files');
 if (tabs.users) tabs.users.onclick = () => switchTab('users');
 
@@ -955,28 +1462,27 @@ async function startLocalMedia() {
     const mainStream = await navigator.mediaDevices.getUserMedia(constraints);
     setupAudioAnalysis('local', mainStream);
 
-    let finalAudioTrack = mainStream.getAudioTracks()[0];
+    setAudioChannel('mic', { label: 'Mic', kind: 'mic', input: mainStream });
 
+    if (state.secondaryAudioStream) {
+      state.secondaryAudioStream.getTracks().forEach((t) => t.stop());
+      state.secondaryAudioStream = null;
+    }
     const secondaryId = dom.audioSource2 ? dom.audioSource2.value : null;
     if (secondaryId) {
-      const secStream = await navigator.mediaDevices.getUserMedia({
+      state.secondaryAudioStream = await navigator.mediaDevices.getUserMedia({
         audio: { deviceId: { exact: secondaryId } }
       });
-      if (!state.audioContext) state.audioContext = new AudioContext();
-      state.audioDestination = state.audioContext.createMediaStreamDestination();
-
-      const src1 = state.audioContext.createMediaStreamSource(mainStream);
-      const src2 = state.audioContext.createMediaStreamSource(secStream);
-      src1.connect(state.audioDestination);
-      src2.connect(state.audioDestination);
-
-      finalAudioTrack = state.audioDestination.stream.getAudioTracks()[0];
+      setAudioChannel('input2', { label: 'Second input', kind: 'input2', input: state.secondaryAudioStream });
+    } else {
+      removeAudioChannel('input2');
     }
 
+    // The raw mic track stays on localStream so Mute silences the mic channel.
     state.localStream = new MediaStream([
       mainStream.getVideoTracks()[0],
-      finalAudioTrack
-    ]);
+      mainStream.getAudioTracks()[0]
+    ].filter(Boolean));
 
     const localVideo = $('localVideo');
     if (localVideo) {
@@ -986,19 +1492,15 @@ async function startLocalMedia() {
 
     const mixedVideoTrack = canvasStream.getVideoTracks()[0];
 
+    // Audio senders carry the mixer bus tracks, which never change.
     const updateViewerPC = (pc) => {
       if (!pc) return;
       const senders = pc.getSenders();
       const vSender = senders.find((s) => s.track && s.track.kind === 'video');
-      const aSender = senders.find((s) => s.track && s.track.kind === 'audio');
 
       if (vSender && mixedVideoTrack) {
         vSender.replaceTrack(mixedVideoTrack);
       }
-
-      if (aSender && finalAudioTrack) {
-        aSender.replaceTrack(finalAudioTrack);
-      }
     };
 
     Object.values(viewerPeers).forEach(updateViewerPC);
@@ -1006,14 +1508,10 @@ async function startLocalMedia() {
     Object.values(callPeers).forEach((p) => {
       const senders = p.pc.getSenders();
       const vSender = senders.find((s) => s.track && s.track.kind === 'video');
-      const aSender = senders.find((s) => s.track && s.track.kind === 'audio');
 
       if (vSender && mainStream.getVideoTracks()[0]) {
         vSender.replaceTrack(mainStream.getVideoTracks()[0]);
       }
-      if (aSender && finalAudioTrack) {
-        aSender.replaceTrack(finalAudioTrack);
-      }
     });
 
     if (dom.hangupBtn) dom.hangupBtn.disabled = false;
@@ -1072,112 +1570,559 @@ if (toggleCamBtn) {
 }
 
 // ======================================================
-// 7. SCREEN SHARING
+// 6b. AUDIO MIXER (per-source channels -> master bus)
 // ======================================================
-if (dom.shareScreenBtn) {
-  dom.shareScreenBtn.onclick = async () => {
-    if (state.isScreenSharing) {
-      stopScreenShare();
-    } else {
-      try {
-        state.screenStream = await navigator.mediaDevices.getDisplayMedia({
-          video: true,
-          audio: true
-        });
-        state.isScreenSharing = true;
-        dom.shareScreenBtn.textContent = 'Stop Screen';
-        dom.shareScreenBtn.classList.add('danger');
-
-        const localVideo = $('localVideo');
-        if (localVideo) {
-          localVideo.srcObject = state.screenStream;
-        }
-
-        const st = state.screenStream.getVideoTracks()[0];
-        const sa = state.screenStream.getAudioTracks()[0];
+// Every source viewers hear is a channel: source -> fader -> mute -> master.
+// The meter taps the fader, so a muted channel still shows it is live. The
+// master feeds one MediaStreamDestination whose track never changes, so
+// viewer connections need no track swaps as sources come and go. Guests on
+// a call get a second feed without the guest channels (no self-echo).
+const AUDIO_CHANNEL_ORDER = ['mic', 'input2', 'screen', 'overlay', 'soundboard', 'guest'];
+const AUDIO_FADE_SECONDS = 0.015;
+const AUDIO_METER_MS = 80;
+
+const audioBus = {
+  master: null,
+  masterMeter: null,
+  output: null,
+  callFeed: null,
+  channels: new Map(),
+  overlayInput: null,
+  overlaySources: []
+};
 
-        Object.values(callPeers).forEach((p) => {
-          p.pc.getSenders().forEach((s) => {
-            if (s.track && s.track.kind === 'video' && st) {
-              s.replaceTrack(st);
-            }
-            if (sa && s.track && s.track.kind === 'audio') {
-              s.replaceTrack(sa);
-            }
-          });
-        });
+function getAudioContext() {
+  if (!state.audioContext) {
+    state.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  }
+  if (state.audioContext.state === 'suspended') state.audioContext.resume().catch(() => {});
+  return state.audioContext;
+}
 
-        st.onended = stopScreenShare;
-      } catch (e) {
-        console.error(e);
-      }
-    }
-  };
+function ensureAudioBus() {
+  if (audioBus.master) return audioBus;
+  const ctx = getAudioContext();
+  audioBus.master = ctx.createGain();
+  audioBus.output = ctx.createMediaStreamDestination();
+  audioBus.callFeed = ctx.createMediaStreamDestination();
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 256;
+  audioBus.masterMeter = { analyser, data: new Uint8Array(analyser.fftSize), vol: 0 };
+  audioBus.master.connect(audioBus.output);
+  audioBus.master.connect(analyser);
+  state.audioDestination = audioBus.output;
+  return audioBus;
 }
 
-function stopScreenShare() {
-  if (!state.isScreenSharing) return;
-  if (state.screenStream) {
-    state.screenStream.getTracks().forEach((t) => t.stop());
-  }
-  state.screenStream = null;
-  state.isScreenSharing = false;
+// Master mix sent to every viewer.
+function getBroadcastAudioTrack() {
+  return ensureAudioBus().output.stream.getAudioTracks()[0];
+}
 
-  if (dom.shareScreenBtn) {
-    dom.shareScreenBtn.textContent = 'Share Screen';
-    dom.shareScreenBtn.classList.remove('danger');
-  }
+// Host-side channels only, sent to call guests.
+function getCallAudioTrack() {
+  return ensureAudioBus().callFeed.stream.getAudioTracks()[0];
+}
 
-  startLocalMedia();
+function isChannelAudible(channel) {
+  const anySolo = [...audioBus.channels.values()].some((c) => c.solo);
+  return !channel.muted && (!anySolo || channel.solo);
 }
 
-// ======================================================
-// 8. BROADCAST STREAMING
-// ======================================================
+function applyAudioRouting() {
+  const ctx = state.audioContext;
+  if (!ctx) return;
+  audioBus.channels.forEach((channel) => {
+    channel.fader.gain.setTargetAtTime(channel.gain, ctx.currentTime, AUDIO_FADE_SECONDS);
+    channel.mute.gain.setTargetAtTime(isChannelAudible(channel) ? 1 : 0, ctx.currentTime, AUDIO_FADE_SECONDS);
+  });
+}
 
-/**
- * Update the host UI button label/state for broadcast control.
- * Called when the host toggles streaming. No signaling occurs here.
- */
-function updateStreamButton(isLive) {
-    const startBtn = $('startStreamBtn'); //
-    if (!startBtn) return; //
-    startBtn.textContent = isLive ? "Stop Stream" : "Start Stream"; //
-    startBtn.classList.toggle('danger', isLive); //
+function disconnectAudioChannel(channel) {
+  try {
+    channel.source.disconnect(channel.fader);
+  } catch (e) {
+    // Already detached.
+  }
+  channel.fader.disconnect();
+  channel.mute.disconnect();
 }
 
 /**
- * Stop broadcast streaming (host side only).
- * Called when the host clicks "Stop Stream".
- * PeerConnection impact: closes all viewer PeerConnections.
+ * Add a mixer channel or swap the input of an existing one, keeping its
+ * gain, mute and solo. `input` is a MediaStream or an AudioNode; a stream
+ * without audio tracks removes the channel.
  */
-function stopStream() {
-    state.isStreaming = false; //
-    updateStreamButton(false); //
-    if (state.currentRoom) {
-      socket.emit('update-room-live', { roomName: state.currentRoom, isLive: false });
-    }
+function setAudioChannel(id, { label, kind, input }) {
+  const bus = ensureAudioBus();
+  const ctx = state.audioContext;
+  const previous = bus.channels.get(id);
+  if (input instanceof MediaStream && !input.getAudioTracks().length) {
+    removeAudioChannel(id);
+    return null;
+  }
 
-    Object.values(viewerPeers).forEach(pc => pc.close()); //
-    for (const k in viewerPeers) {
-        delete viewerPeers[k]; //
-    }
+  let source;
+  try {
+    source = input instanceof MediaStream ? ctx.createMediaStreamSource(input) : input;
+  } catch (e) {
+    console.warn('[AudioMixer] Could not add channel', id, e);
+    return null;
+  }
+  if (previous) disconnectAudioChannel(previous);
+
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 256;
+  const channel = {
+    id,
+    label: label || previous?.label || id,
+    kind,
+    input,
+    source,
+    fader: ctx.createGain(),
+    mute: ctx.createGain(),
+    analyser,
+    data: new Uint8Array(analyser.fftSize),
+    vol: 0,
+    gain: previous ? previous.gain : 1,
+    muted: previous ? previous.muted : false,
+    solo: previous ? previous.solo : false
+  };
+  source.connect(channel.fader);
+  channel.fader.connect(analyser);
+  channel.fader.connect(channel.mute);
+  channel.mute.connect(bus.master);
+  if (kind !== 'guest') channel.mute.connect(bus.callFeed);
+  bus.channels.set(id, channel);
+
+  applyAudioRouting();
+  renderAudioMixer();
+  return channel;
 }
 
-/**
- * Start broadcast streaming (host side only).
- * Called when the host clicks "Start Stream".
- * Signaling direction: [HOST] -> (webrtc-offer) -> [SERVER] -> [VIEWER]
- * PeerConnection impact: creates viewer PeerConnections and sends offers.
- */
-async function startStream() {
-    if (!state.currentRoom || !state.iAmHost) return; //
+function removeAudioChannel(id) {
+  const channel = audioBus.channels.get(id);
+  if (!channel) return;
+  disconnectAudioChannel(channel);
+  audioBus.channels.delete(id);
+  applyAudioRouting();
+  renderAudioMixer();
+}
 
-  if (!state.localStream) {
-    await startLocalMedia();
-  }
+function updateAudioChannel(id, changes) {
+  const channel = audioBus.channels.get(id);
+  if (!channel) return;
+  Object.assign(channel, changes);
+  applyAudioRouting();
+  renderAudioMixer();
+}
 
-    state.isStreaming = true; //
+// Overlay <video> elements are rebuilt on every overlay render, so they
+// share one channel whose input node outlives them.
+function updateOverlayAudio(videos) {
+  const bus = ensureAudioBus();
+  if (!bus.overlayInput) {
+    bus.overlayInput = state.audioContext.createGain();
+    setAudioChannel('overlay', { label: 'Overlay video', kind: 'overlay', input: bus.overlayInput });
+  }
+  bus.overlaySources.forEach((node) => node.disconnect());
+  bus.overlaySources = [];
+  videos.forEach((video) => {
+    if (typeof video.captureStream !== 'function') return;
+    const connect = () => {
+      const stream = video.captureStream();
+      if (!stream.getAudioTracks().length || !state.overlayVideoElements.includes(video)) return;
+      const node = state.audioContext.createMediaStreamSource(stream);
+      node.connect(bus.overlayInput);
+      bus.overlaySources.push(node);
+    };
+    if (video.readyState >= 1) connect();
+    else video.addEventListener('loadedmetadata', connect, { once: true });
+  });
+}
+
+function meterPercent(rms) {
+  if (!rms) return 0;
+  const db = 20 * Math.log10(rms);
+  return Math.max(0, Math.min(100, ((db + 60) / 60) * 100));
+}
+
+function renderAudioMixer() {
+  const list = $('audioChannels');
+  if (!list) return;
+  list.innerHTML = '';
+  const channels = [...audioBus.channels.values()].sort(
+    (a, b) => AUDIO_CHANNEL_ORDER.indexOf(a.kind) - AUDIO_CHANNEL_ORDER.indexOf(b.kind)
+  );
+  if (!channels.length) {
+    list.innerHTML = '<div class="audio-empty">Start your camera to open the mixer.</div>';
+    return;
+  }
+
+  channels.forEach((channel) => {
+    const strip = document.createElement('div');
+    strip.className = 'audio-strip';
+    strip.classList.toggle('muted', !isChannelAudible(channel));
+    strip.dataset.channelId = channel.id;
+
+    const name = document.createElement('span');
+    name.className = 'audio-strip-name';
+    name.textContent = channel.label;
+    name.title = channel.label;
+
+    const meter = document.createElement('div');
+    meter.className = 'audio-meter';
+    meter.innerHTML = '<div class="audio-meter-fill"></div>';
+
+    const fader = document.createElement('input');
+    fader.type = 'range';
+    fader.min = '0';
+    fader.max = '200';
+    fader.value = String(Math.round(channel.gain * 100));
+    fader.title = `${fader.value}%`;
+    fader.oninput = () => {
+      channel.gain = Number(fader.value) / 100;
+      fader.title = `${fader.value}%`;
+      applyAudioRouting();
+    };
+
+    const muteBtn = document.createElement('button');
+    muteBtn.className = 'btn small secondary';
+    muteBtn.textContent = 'M';
+    muteBtn.title = 'Mute';
+    muteBtn.classList.toggle('danger', channel.muted);
+    muteBtn.onclick = () => updateAudioChannel(channel.id, { muted: !channel.muted });
+
+    const soloBtn = document.createElement('button');
+    soloBtn.className = 'btn small secondary';
+    soloBtn.textContent = 'S';
+    soloBtn.title = 'Solo';
+    soloBtn.classList.toggle('active', channel.solo);
+    soloBtn.onclick = () => updateAudioChannel(channel.id, { solo: !channel.solo });
+
+    strip.append(name, meter, fader, muteBtn, soloBtn);
+    list.appendChild(strip);
+  });
+}
+
+function updateAudioMeters() {
+  const panel = $('audioMixerPanel');
+  if (!panel || !panel.open || !audioBus.master) return;
+  audioBus.channels.forEach((channel) => {
+    const fill = panel.querySelector(`[data-channel-id="${CSS.escape(channel.id)}"] .audio-meter-fill`);
+    if (fill) fill.style.width = `${meterPercent(readAudioLevel(channel))}%`;
+  });
+  const masterFill = $('audioMasterMeter');
+  if (masterFill) masterFill.style.width = `${meterPercent(readAudioLevel(audioBus.masterMeter))}%`;
+}
+
+setInterval(updateAudioMeters, AUDIO_METER_MS);
+
+if ($('audioMasterGain')) {
+  $('audioMasterGain').oninput = (e) => {
+    ensureAudioBus().master.gain.setTargetAtTime(
+      Number(e.target.value) / 100,
+      state.audioContext.currentTime,
+      AUDIO_FADE_SECONDS
+    );
+  };
+}
+
+// ======================================================
+// 6c. SOUNDBOARD (pads -> mixer soundboard channel)
+// ======================================================
+// Local audio files are decoded into pads that play into the mixer's
+// soundboard channel, so viewers hear them alongside the mic. Loop pads
+// suit music beds; duck pads drop while anyone on the call is speaking.
+// Pads live in this tab only; files are never uploaded.
+const SOUND_PAD_KEYS = ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p'];
+const SOUND_DUCK_GAIN = 0.25;
+const SOUND_DUCK_SECONDS = 0.25;
+
+const soundboard = { input: null, pads: [] };
+
+function ensureSoundboardInput() {
+  if (soundboard.input) return soundboard.input;
+  ensureAudioBus();
+  soundboard.input = state.audioContext.createGain();
+  setAudioChannel('soundboard', { label: 'Soundboard', kind: 'soundboard', input: soundboard.input });
+  return soundboard.input;
+}
+
+async function addSoundPads(files) {
+  const input = ensureSoundboardInput();
+  for (const file of files) {
+    const hotkey = SOUND_PAD_KEYS.find((key) => !soundboard.pads.some((p) => p.hotkey === key));
+    if (!hotkey) {
+      setSoundboardStatus(`Up to ${SOUND_PAD_KEYS.length} pads.`);
+      break;
+    }
+    try {
+      const buffer = await state.audioContext.decodeAudioData(await file.arrayBuffer());
+      const gain = state.audioContext.createGain();
+      gain.connect(input);
+      soundboard.pads.push({
+        id: `pad-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+        name: file.name.replace(/\.[^.]+$/, ''),
+        buffer,
+        hotkey,
+        loop: false,
+        duck: false,
+        gain,
+        player: null
+      });
+    } catch (e) {
+      console.warn('[Soundboard] Could not decode', file.name, e);
+      setSoundboardStatus(`Could not play ${file.name}.`);
+    }
+  }
+  updateSoundboardDucking();
+  renderSoundboard();
+}
+
+function stopSoundPad(pad) {
+  if (!pad.player) return;
+  const player = pad.player;
+  pad.player = null;
+  player.onended = null;
+  try {
+    player.stop();
+  } catch (e) {
+    // Already finished.
+  }
+}
+
+// Pressing a playing pad stops it; otherwise it restarts from the top.
+function toggleSoundPad(pad) {
+  if (pad.player) {
+    stopSoundPad(pad);
+    renderSoundboard();
+    return;
+  }
+  getAudioContext();
+  const player = state.audioContext.createBufferSource();
+  player.buffer = pad.buffer;
+  player.loop = pad.loop;
+  player.connect(pad.gain);
+  player.onended = () => {
+    if (pad.player !== player) return;
+    pad.player = null;
+    renderSoundboard();
+  };
+  player.start();
+  pad.player = player;
+  renderSoundboard();
+}
+
+function removeSoundPad(pad) {
+  stopSoundPad(pad);
+  pad.gain.disconnect();
+  soundboard.pads = soundboard.pads.filter((p) => p !== pad);
+  renderSoundboard();
+}
+
+function updateSoundboardDucking() {
+  const ctx = state.audioContext;
+  if (!ctx) return;
+  const ducked = state.speakingIds.size > 0;
+  soundboard.pads.forEach((pad) => {
+    const level = pad.duck && ducked ? SOUND_DUCK_GAIN : 1;
+    pad.gain.gain.setTargetAtTime(level, ctx.currentTime, SOUND_DUCK_SECONDS / 3);
+  });
+}
+
+function setSoundboardStatus(text) {
+  if ($('soundboardStatus')) $('soundboardStatus').textContent = text;
+}
+
+function renderSoundboard() {
+  const grid = $('soundPads');
+  if (!grid) return;
+  grid.innerHTML = '';
+  if (!soundboard.pads.length) {
+    grid.innerHTML = '<div class="audio-empty">Add audio files to make pads.</div>';
+    return;
+  }
+
+  soundboard.pads.forEach((pad) => {
+    const el = document.createElement('div');
+    el.className = 'sound-pad';
+    el.classList.toggle('playing', Boolean(pad.player));
+
+    const playBtn = document.createElement('button');
+    playBtn.className = 'sound-pad-play';
+    playBtn.title = pad.player ? 'Stop' : 'Play';
+    const key = document.createElement('span');
+    key.className = 'sound-pad-key';
+    key.textContent = pad.hotkey.toUpperCase();
+    playBtn.append(key, document.createTextNode(pad.name));
+    playBtn.onclick = () => toggleSoundPad(pad);
+
+    const options = document.createElement('div');
+    options.className = 'sound-pad-options';
+    [
+      ['loop', '🔁', 'Loop'],
+      ['duck', '🔉', 'Duck under voices']
+    ].forEach(([option, icon, title]) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn small secondary';
+      btn.textContent = icon;
+      btn.title = title;
+      btn.classList.toggle('active', pad[option]);
+      btn.onclick = () => {
+        pad[option] = !pad[option];
+        if (option === 'loop' && pad.player) pad.player.loop = pad.loop;
+        updateSoundboardDucking();
+        renderSoundboard();
+      };
+      options.appendChild(btn);
+    });
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn small secondary';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove pad';
+    removeBtn.onclick = () => removeSoundPad(pad);
+    options.appendChild(removeBtn);
+
+    el.append(playBtn, options);
+    grid.appendChild(el);
+  });
+}
+
+if ($('soundFileInput')) {
+  $('soundFileInput').onchange = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    setSoundboardStatus('');
+    if (files.length) addSoundPads(files);
+  };
+}
+
+if ($('stopSoundsBtn')) {
+  $('stopSoundsBtn').onclick = () => {
+    soundboard.pads.forEach(stopSoundPad);
+    renderSoundboard();
+  };
+}
+
+document.addEventListener('keydown', (e) => {
+  if (!state.iAmHost || e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+  const target = e.target;
+  if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+  const pad = soundboard.pads.find((p) => p.hotkey === e.key.toLowerCase());
+  if (!pad) return;
+  e.preventDefault();
+  toggleSoundPad(pad);
+});
+
+// ======================================================
+// 7. SCREEN SHARING
+// ======================================================
+if (dom.shareScreenBtn) {
+  dom.shareScreenBtn.onclick = async () => {
+    if (state.isScreenSharing) {
+      stopScreenShare();
+    } else {
+      try {
+        state.screenStream = await navigator.mediaDevices.getDisplayMedia({
+          video: true,
+          audio: true
+        });
+        state.isScreenSharing = true;
+        dom.shareScreenBtn.textContent = 'Stop Screen';
+        dom.shareScreenBtn.classList.add('danger');
+
+        const localVideo = $('localVideo');
+        if (localVideo) {
+          localVideo.srcObject = state.screenStream;
+        }
+
+        const st = state.screenStream.getVideoTracks()[0];
+        setAudioChannel('screen', { label: 'Screen audio', kind: 'screen', input: state.screenStream });
+
+        Object.values(callPeers).forEach((p) => {
+          p.pc.getSenders().forEach((s) => {
+            if (s.track && s.track.kind === 'video' && st) {
+              s.replaceTrack(st);
+            }
+          });
+        });
+
+        st.onended = stopScreenShare;
+      } catch (e) {
+        console.error(e);
+      }
+    }
+  };
+}
+
+function stopScreenShare() {
+  if (!state.isScreenSharing) return;
+  if (state.screenStream) {
+    state.screenStream.getTracks().forEach((t) => t.stop());
+  }
+  state.screenStream = null;
+  state.isScreenSharing = false;
+  removeAudioChannel('screen');
+
+  if (dom.shareScreenBtn) {
+    dom.shareScreenBtn.textContent = 'Share Screen';
+    dom.shareScreenBtn.classList.remove('danger');
+  }
+
+  startLocalMedia();
+}
+
+// ======================================================
+// 8. BROADCAST STREAMING
+// ======================================================
+
+/**
+ * Update the host UI button label/state for broadcast control.
+ * Called when the host toggles streaming. No signaling occurs here.
+ */
+function updateStreamButton(isLive) {
+    const startBtn = $('startStreamBtn'); //
+    if (!startBtn) return; //
+    startBtn.textContent = isLive ? "Stop Stream" : "Start Stream"; //
+    startBtn.classList.toggle('danger', isLive); //
+}
+
+/**
+ * Stop broadcast streaming (host side only).
+ * Called when the host clicks "Stop Stream".
+ * PeerConnection impact: closes all viewer PeerConnections.
+ */
+function stopStream() {
+    state.isStreaming = false; //
+    updateStreamButton(false); //
+    if (state.currentRoom) {
+      socket.emit('update-room-live', { roomName: state.currentRoom, isLive: false });
+    }
+
+    Object.values(viewerPeers).forEach(pc => pc.close()); //
+    for (const k in viewerPeers) {
+        delete viewerPeers[k]; //
+    }
+
+    // Ending the broadcast finishes the recording and offers the file.
+    if (state.recording) stopRecording();
+}
+
+/**
+ * Start broadcast streaming (host side only).
+ * Called when the host clicks "Start Stream".
+ * Signaling direction: [HOST] -> (webrtc-offer) -> [SERVER] -> [VIEWER]
+ * PeerConnection impact: creates viewer PeerConnections and sends offers.
+ */
+async function startStream() {
+    if (!state.currentRoom || !state.iAmHost) return; //
+
+  if (!state.localStream) {
+    await startLocalMedia();
+  }
+
+    state.isStreaming = true; //
     updateStreamButton(true); //
     if (state.currentRoom) {
       socket.emit('update-room-live', { roomName: state.currentRoom, isLive: true });
@@ -1205,6 +2150,383 @@ if (startStreamBtn) {
     };
 }
 
+// ======================================================
+// 8b. RECORDING (mixed canvas + master audio to a local file)
+// ======================================================
+// The program feed (canvasStream + the mixer's master bus) is recorded with
+// MediaRecorder in one-second chunks that are written out as they arrive, so
+// long streams stay out of memory. Files go to a folder (isolated guests) or
+// file the host picks where the File System Access API exists, otherwise to
+// the origin-private file system and are offered for download at the end.
+// Only browsers with neither keep recordings in memory.
+const RECORDING_TIMESLICE_MS = 1000;
+const RECORDING_SCRATCH_DIR = 'rebel-recordings';
+// ontrack fires once per track; how long to wait for a guest's second track
+// before recording whichever one arrived (camera-only or audio-only guests).
+const GUEST_TRACK_WAIT_MS = 3000;
+const RECORDING_MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+  'video/mp4'
+];
+
+function pickRecordingMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return RECORDING_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+function formatRecordingSize(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+function formatRecordingTime(ms) {
+  const total = Math.floor(ms / 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+}
+
+function reportRecordingProblem(text) {
+  appendChat($('chatLogPrivate'), 'System', text, Date.now());
+}
+
+// Ask where to save when the File System Access API exists. Returns a
+// writable, null for the in-memory fallback, or throws AbortError.
+async function openRecordingFile(fileName) {
+  if (typeof window.showSaveFilePicker !== 'function') return null;
+  const extension = fileName.slice(fileName.lastIndexOf('.'));
+  const handle = await window.showSaveFilePicker({
+    suggestedName: fileName,
+    types: [{ description: 'Video', accept: { [extension === '.mp4' ? 'video/mp4' : 'video/webm']: [extension] } }]
+  });
+  return handle.createWritable();
+}
+
+// Scratch folder in the origin-private file system (Firefox, Safari).
+// Files from earlier page loads are cleared the first time. Returns null
+// where OPFS files cannot be written from the page.
+async function openPrivateRecordingDir() {
+  if (!navigator.storage || typeof navigator.storage.getDirectory !== 'function') return null;
+  try {
+    const root = await navigator.storage.getDirectory();
+    if (!state.recordingScratchCleared) {
+      state.recordingScratchCleared = true;
+      await root.removeEntry(RECORDING_SCRATCH_DIR, { recursive: true }).catch(() => {});
+    }
+    const dir = await root.getDirectoryHandle(RECORDING_SCRATCH_DIR, { create: true });
+    const probe = await dir.getFileHandle('.probe', { create: true });
+    const writable = typeof probe.createWritable === 'function';
+    await dir.removeEntry('.probe');
+    return writable ? dir : null;
+  } catch (e) {
+    console.warn('[Recorder] Private file system unavailable', e);
+    return null;
+  }
+}
+
+/**
+ * Decide where this recording's files go: { kind, dir?, mainFile? } with
+ * kind 'directory', 'file', 'opfs' or 'memory'. Throws AbortError when the
+ * host cancels a picker.
+ */
+async function openRecordingTarget(mainFileName, isolateGuests) {
+  if (isolateGuests && typeof window.showDirectoryPicker === 'function') {
+    return { kind: 'directory', dir: await window.showDirectoryPicker({ mode: 'readwrite' }) };
+  }
+  const writable = await openRecordingFile(mainFileName);
+  if (writable) return { kind: 'file', mainFile: { writable } };
+  const dir = await openPrivateRecordingDir();
+  if (dir) return { kind: 'opfs', dir };
+  return { kind: 'memory' };
+}
+
+// Open one recording file in the target ({ writable, handle }), or null to
+// buffer that file in memory. The handle is only kept for OPFS files, which
+// are offered for download once finished.
+async function openTrackFile(target, fileName) {
+  if (target.mainFile) {
+    const file = target.mainFile;
+    target.mainFile = null;
+    return file;
+  }
+  if (!target.dir) return null;
+  const handle = await target.dir.getFileHandle(fileName, { create: true });
+  return { writable: await handle.createWritable(), handle: target.kind === 'opfs' ? handle : null };
+}
+
+/**
+ * Start one MediaRecorder on a stream. Chunks are written to `file` when
+ * given, otherwise kept in memory. A failed write stops the recorder and
+ * calls onWriteError once. finished resolves once the file is complete.
+ */
+function createRecordingTrack(stream, fileName, mimeType, file, { onWriteError } = {}) {
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const writable = file ? file.writable : null;
+  const track = {
+    recorder,
+    fileName,
+    writable,
+    handle: file ? file.handle : null,
+    chunks: [],
+    bytes: 0,
+    failed: null,
+    writeChain: Promise.resolve()
+  };
+
+  recorder.ondataavailable = (e) => {
+    if (!e.data || !e.data.size || track.failed) return;
+    track.bytes += e.data.size;
+    if (!writable) {
+      track.chunks.push(e.data);
+      return;
+    }
+    track.writeChain = track.writeChain
+      .then(() => !track.failed && writable.write(e.data))
+      .catch((err) => {
+        if (track.failed) return;
+        track.failed = err;
+        console.error('[Recorder] Write failed', fileName, err);
+        if (recorder.state !== 'inactive') recorder.stop();
+        if (onWriteError) onWriteError(track, err);
+      });
+  };
+
+  track.finished = new Promise((resolve) => {
+    recorder.onstop = async () => {
+      try {
+        await track.writeChain;
+        if (writable) await (track.failed ? writable.abort() : writable.close());
+      } catch (e) {
+        console.error('[Recorder] Failed to finish file', fileName, e);
+      }
+      resolve(track);
+    };
+  });
+
+  recorder.start(RECORDING_TIMESLICE_MS);
+  return track;
+}
+
+function stopRecordingTrack(track) {
+  if (track.recorder.state !== 'inactive') track.recorder.stop();
+  return track.finished;
+}
+
+async function offerRecordingDownload(track) {
+  const list = $('recordingDownloads');
+  if (!list) return;
+  const link = document.createElement('a');
+  link.className = 'btn small secondary';
+  if (track.failed) {
+    link.textContent = `⚠ ${track.fileName} failed after ${formatRecordingSize(track.bytes)}`;
+  } else if (track.writable && !track.handle) {
+    link.textContent = `✔ Saved ${track.fileName} (${formatRecordingSize(track.bytes)})`;
+  } else {
+    // OPFS files are read back from disk; memory recordings from their chunks.
+    const blob = track.handle
+      ? await track.handle.getFile()
+      : new Blob(track.chunks, { type: track.recorder.mimeType || 'video/webm' });
+    track.chunks = [];
+    link.href = URL.createObjectURL(blob);
+    link.download = track.fileName;
+    link.textContent = `⬇ ${track.fileName} (${formatRecordingSize(track.bytes)})`;
+  }
+  list.appendChild(link);
+}
+
+function recordingElapsed(recording) {
+  const pausedFor = recording.pausedAt ? Date.now() - recording.pausedAt : 0;
+  return Date.now() - recording.startedAt - recording.pausedMs - pausedFor;
+}
+
+// Guest entries are null while their file is being opened.
+function recordingTracks(recording) {
+  return [recording.main, ...recording.guests.values()].filter(Boolean);
+}
+
+function updateRecordingUI() {
+  const recording = state.recording;
+  const recordBtn = $('recordBtn');
+  const pauseBtn = $('pauseRecordBtn');
+  const status = $('recordStatus');
+  if (recordBtn) {
+    recordBtn.textContent = recording ? '■ Stop Recording' : '⏺ Record';
+    recordBtn.classList.toggle('danger', Boolean(recording));
+  }
+  if (pauseBtn) {
+    pauseBtn.disabled = !recording;
+    pauseBtn.textContent = recording && recording.pausedAt ? 'Resume' : 'Pause';
+  }
+  if (!status) return;
+  if (!recording) {
+    status.textContent = '';
+    return;
+  }
+  const bytes = recordingTracks(recording).reduce((sum, track) => sum + track.bytes, 0);
+  const label = recording.pausedAt ? '⏸' : '⏺';
+  const where = recording.target.kind === 'memory' ? ' · in memory' : '';
+  status.textContent = `${label} ${formatRecordingTime(recordingElapsed(recording))} · ${formatRecordingSize(bytes)}${where}`;
+}
+
+function handleRecordingWriteError(track, err) {
+  const recording = state.recording;
+  reportRecordingProblem(`Recording stopped: could not write ${track.fileName} (${err.message || err.name}).`);
+  if (recording && track === recording.main) {
+    stopRecording();
+  } else if (recording) {
+    recording.guests.forEach((guestTrack, id) => {
+      if (guestTrack === track) stopGuestRecording(id);
+    });
+  }
+}
+
+function startGuestRecording(id, stream) {
+  const recording = state.recording;
+  if (!recording || !recording.isolateGuests || recording.guests.has(id) || !stream) return;
+  const complete = stream.getAudioTracks().length > 0 && stream.getVideoTracks().length > 0;
+  if (!complete) {
+    if (!recording.pendingGuests.has(id)) {
+      recording.pendingGuests.set(
+        id,
+        setTimeout(() => {
+          recording.pendingGuests.delete(id);
+          beginGuestRecording(recording, id, stream);
+        }, GUEST_TRACK_WAIT_MS)
+      );
+    }
+    return;
+  }
+  clearTimeout(recording.pendingGuests.get(id));
+  recording.pendingGuests.delete(id);
+  beginGuestRecording(recording, id, stream);
+}
+
+async function beginGuestRecording(recording, id, stream) {
+  if (state.recording !== recording || recording.guests.has(id)) return;
+  if (!stream.getTracks().some((t) => t.readyState === 'live')) return;
+  recording.guests.set(id, null);
+  const name = (callPeers[id]?.name || 'guest').replace(/[^\w-]+/g, '_');
+  const fileName = `${recording.baseName}-${name}.${recording.extension}`;
+  let file = null;
+  try {
+    file = await openTrackFile(recording.target, fileName);
+  } catch (e) {
+    console.error('[Recorder] Could not open guest file', fileName, e);
+    reportRecordingProblem(`Could not create ${fileName}; that guest's recording is kept in memory.`);
+  }
+  // Stopped, or the guest left, while the file was opening.
+  if (state.recording !== recording || recording.guests.get(id) !== null) {
+    if (file) {
+      await file.writable.abort().catch(() => {});
+      await recording.target.dir?.removeEntry(fileName).catch(() => {});
+    }
+    return;
+  }
+  const track = createRecordingTrack(stream, fileName, recording.mimeType, file, {
+    onWriteError: handleRecordingWriteError
+  });
+  if (recording.pausedAt) track.recorder.pause();
+  recording.guests.set(id, track);
+}
+
+function stopGuestRecording(id) {
+  const recording = state.recording;
+  if (!recording) return;
+  clearTimeout(recording.pendingGuests.get(id));
+  recording.pendingGuests.delete(id);
+  const track = recording.guests.get(id);
+  recording.guests.delete(id);
+  if (track) stopRecordingTrack(track).then(offerRecordingDownload);
+}
+
+async function startRecording() {
+  if (state.recording || state.recordingStarting || !canvasStream) return;
+  const mimeType = pickRecordingMimeType();
+  if (mimeType === null) {
+    alert('Recording is not supported in this browser.');
+    return;
+  }
+  const extension = mimeType.startsWith('video/mp4') ? 'mp4' : 'webm';
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const baseName = `${state.currentRoom || 'stream'}-${stamp}`;
+  const isolateGuests = Boolean($('recordGuestsToggle') && $('recordGuestsToggle').checked);
+
+  state.recordingStarting = true;
+  let target;
+  let mainFile;
+  try {
+    target = await openRecordingTarget(`${baseName}.${extension}`, isolateGuests);
+    mainFile = await openTrackFile(target, `${baseName}.${extension}`);
+  } catch (e) {
+    state.recordingStarting = false;
+    if (e.name !== 'AbortError') {
+      console.error('[Recorder] Could not open file', e);
+      reportRecordingProblem(`Could not start recording: ${e.message || e.name}.`);
+    }
+    return;
+  }
+  state.recordingStarting = false;
+  if (target.kind === 'memory') {
+    reportRecordingProblem('This browser cannot write recordings to disk, so they are kept in memory. Keep them short.');
+  }
+
+  const program = new MediaStream([...canvasStream.getVideoTracks(), getBroadcastAudioTrack()]);
+  state.recording = {
+    baseName,
+    extension,
+    mimeType,
+    target,
+    isolateGuests,
+    main: createRecordingTrack(program, `${baseName}.${extension}`, mimeType, mainFile, {
+      onWriteError: handleRecordingWriteError
+    }),
+    guests: new Map(),
+    pendingGuests: new Map(),
+    startedAt: Date.now(),
+    pausedAt: null,
+    pausedMs: 0,
+    timer: setInterval(updateRecordingUI, 1000)
+  };
+  Object.keys(callPeers).forEach((id) => {
+    const video = document.querySelector(`#vid-${CSS.escape(id)} video`);
+    startGuestRecording(id, video && video.srcObject);
+  });
+  updateRecordingUI();
+}
+
+async function stopRecording() {
+  const recording = state.recording;
+  if (!recording) return;
+  state.recording = null;
+  clearInterval(recording.timer);
+  recording.pendingGuests.forEach((timer) => clearTimeout(timer));
+  updateRecordingUI();
+  const finished = await Promise.all(recordingTracks(recording).map(stopRecordingTrack));
+  for (const track of finished) await offerRecordingDownload(track);
+}
+
+function togglePauseRecording() {
+  const recording = state.recording;
+  if (!recording) return;
+  const tracks = recordingTracks(recording);
+  if (recording.pausedAt) {
+    recording.pausedMs += Date.now() - recording.pausedAt;
+    recording.pausedAt = null;
+    tracks.forEach((track) => track.recorder.state === 'paused' && track.recorder.resume());
+  } else {
+    recording.pausedAt = Date.now();
+    tracks.forEach((track) => track.recorder.state === 'recording' && track.recorder.pause());
+  }
+  updateRecordingUI();
+}
+
+if ($('recordBtn')) {
+  $('recordBtn').onclick = () => (state.recording ? stopRecording() : startRecording());
+}
+if ($('pauseRecordBtn')) $('pauseRecordBtn').onclick = togglePauseRecording;
+
 // ======================================================
 // 9. P2P CALLING (1-to-1)
 // ======================================================
@@ -1234,13 +2556,14 @@ function setupCallPeerConnection(targetId, name) {
 }
 
 /**
- * Attach local cam/mic tracks to a call PeerConnection.
+ * Attach the local camera and the mixer's call feed to a call PeerConnection.
  * Called right before creating offers/answers.
  * PeerConnection impact: adds local media tracks for the call.
  */
 function attachLocalTracksToCall(pc) {
     if (!state.localStream) return;
-    state.localStream.getTracks().forEach((t) => pc.addTrack(t, state.localStream));
+    state.localStream.getVideoTracks().forEach((t) => pc.addTrack(t, state.localStream));
+    pc.addTrack(getCallAudioTrack(), state.localStream);
 }
 
 const hangupBtn = $('hangupBtn'); //
@@ -1266,10 +2589,10 @@ socket.on('ring-alert', handleRingAlert);
 // Listener for Viewer "Hand Raise" call requests
 /**
  * Handle a viewer "raise hand" request.
- * Called when the server notifies the host.
+ * Called when the server adds the viewer to the stage queue.
  * Signaling direction: [VIEWER] -> (request-to-call) -> [SERVER] -> [HOST]
  */
-function handleCallRequestReceived({ id, name }) {
+function handleCallRequestReceived({ id, name, position }) {
     const privateLog = $('chatLogPrivate'); //
     if (privateLog) {
         const atBottom =
@@ -1277,26 +2600,50 @@ function handleCallRequestReceived({ id, name }) {
         const div = document.createElement('div'); //
         div.className = 'chat-line system-msg'; //
         div.style.color = "var(--accent)"; //
-        div.innerHTML = `<strong>✋ CALL REQUEST:</strong> ${name} wants to join the stream.`; //
+        const label = document.createElement('strong');
+        label.textContent = '✋ CALL REQUEST: ';
+        div.appendChild(label);
+        div.appendChild(document.createTextNode(`${name} joined the stage queue (#${position}).`));
         privateLog.appendChild(div); //
         if (atBottom) {
             privateLog.scrollTop = privateLog.scrollHeight; //
         }
     }
 
-    // NEW: behave like a call – give you a choice to ring them now
-    const doRing = confirm(
-        `${name} has requested to join the stream.\n\nRing them now?`
-    ); //
-    if (doRing && window.ringUser) {
-        window.ringUser(id); //
-    }
-
+    // Requests wait in the Users tab queue instead of prompting one by one.
+    if (tabs.users && !tabs.users.classList.contains('active')) tabs.users.classList.add('has-new');
     renderUserList(); //
 }
 
 socket.on('call-request-received', handleCallRequestReceived);
 
+// A stage slot was granted (by us or a co-host); ring them from the mixer.
+socket.on('call-request-accepted', ({ id, name, by, byOwner }) => {
+  if (!byOwner) appendChat($('chatLogPrivate'), 'System', `${by} accepted ${name}'s request to join.`, Date.now());
+  if (window.ringUser) window.ringUser(id);
+});
+
+// A guest left the stage and someone is waiting for the free slot.
+socket.on('stage-slot-open', ({ next, waiting }) => {
+  appendChat(
+    $('chatLogPrivate'),
+    'System',
+    `A stage slot opened. ${next.name} is next in line (${waiting} waiting).`,
+    Date.now()
+  );
+  if (tabs.users && !tabs.users.classList.contains('active')) tabs.users.classList.add('has-new');
+});
+
+socket.on('mixer-command', ({ layout, activeGuestId, by }) => {
+  if (!state.iAmHost) return;
+  if (layout) window.setMixerLayout(layout);
+  if (activeGuestId) {
+    window.setActiveGuest(activeGuestId);
+    renderUserList();
+  }
+  appendChat($('chatLogPrivate'), 'System', `${by} changed the mixer.`, Date.now());
+});
+
 /**
  * Create an outgoing call offer to a peer.
  * Called after the host accepts a ring or initiates a call.
@@ -1403,16 +2750,24 @@ function endPeerCall(id, isIncomingSignal) {
 // ======================================================
 
 /**
- * Attach the mixed canvas stream + host audio to the viewer PeerConnection.
+ * Attach the mixed canvas stream + the audio mixer's master bus to the
+ * viewer PeerConnection. Both share one stream id so viewers play them together.
+ * The video starts on the viewer's ladder rung with temporal layers when
+ * the browser can encode them.
  * Called when creating a viewer PeerConnection.
  */
-function attachBroadcastTracks(pc) {
-    canvasStream.getTracks().forEach(t => pc.addTrack(t, canvasStream)); //
-
-    if (state.localStream) {
-        const at = state.localStream.getAudioTracks()[0];
-        if (at) pc.addTrack(at, state.localStream);
+function attachBroadcastTracks(pc, targetId) {
+    const videoTrack = canvasStream.getVideoTracks()[0];
+    if (videoTrack) {
+        const encoding = buildViewerEncoding(targetId);
+        const init = { direction: 'sendonly', streams: [canvasStream] };
+        try {
+            pc.addTransceiver(videoTrack, { ...init, sendEncodings: [{ ...encoding, scalabilityMode: 'L1T3' }] });
+        } catch (e) {
+            pc.addTransceiver(videoTrack, { ...init, sendEncodings: [encoding] });
+        }
     }
+    pc.addTrack(getBroadcastAudioTrack(), canvasStream);
 }
 
 /**
@@ -1437,7 +2792,7 @@ function setupViewerPeerConnection(targetId) {
     }
   };
 
-    attachBroadcastTracks(pc); //
+    attachBroadcastTracks(pc, targetId); //
 
   if (state.activeToolboxFile) {
     pushFileToPeer(pc, state.activeToolboxFile, null);
@@ -1459,7 +2814,7 @@ async function connectViewer(targetId) {
     const offer = await pc.createOffer(); //
     await pc.setLocalDescription(offer); //
 
-  await applyBitrateConstraints(pc);
+  await applyBitrateConstraints(pc, targetId);
 
   socket.emit('webrtc-offer', { targetId, sdp: offer });
 }
@@ -1503,6 +2858,9 @@ socket.on('connect', () => {
   }
   state.myId = socket.id;
   updatePrivacyControlAvailability();
+  if (state.joined && state.iAmHost && state.currentRoom) {
+    rejoinHostRoom(state.currentRoom);
+  }
 });
 
 socket.on('disconnect', () => {
@@ -1520,6 +2878,74 @@ function emitWithAck(eventName, payload) {
   });
 }
 
+// Signed device token the server mints on first join; it carries the id
+// behind this browser's ban/vote fingerprint.
+function getDeviceToken() {
+  try {
+    return localStorage.getItem('rebel:deviceToken') || undefined;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+socket.on('device-token', (token) => {
+  try {
+    localStorage.setItem('rebel:deviceToken', token);
+    localStorage.removeItem('rebel:deviceId');
+  } catch (err) {
+    // Storage blocked: the server mints a new id on the next join.
+  }
+});
+
+// Host session tokens are signed by the server and replace the old
+// sessionStorage password stash; they survive reloads and reconnects.
+function getHostToken(roomName) {
+  return sessionStorage.getItem(`hostToken:${roomName}`);
+}
+
+function storeHostToken(roomName, token) {
+  sessionStorage.removeItem(`hostPassword:${roomName}`);
+  if (token) {
+    sessionStorage.setItem(`hostToken:${roomName}`, token);
+  } else {
+    sessionStorage.removeItem(`hostToken:${roomName}`);
+  }
+}
+
+// After a Socket.IO reconnect the server sees a new socket; rejoin with the
+// stored token so host access is restored without a password prompt.
+function rejoinHostRoom(room) {
+  const hostToken = getHostToken(room) || undefined;
+  const deviceToken = getDeviceToken();
+  const ownerToken = getOwnerToken(room);
+  socket.emit('join-room', { room, name: state.userName, isViewer: false, hostToken, deviceToken, ownerToken }, (resp) => {
+    if (resp?.error) {
+      console.warn('[Host] Rejoin failed:', resp.error);
+      return;
+    }
+    // Old viewer connections were negotiated with the previous socket id.
+    if (resp?.isHost && state.isStreaming) {
+      Object.keys(viewerPeers).forEach((id) => {
+        viewerPeers[id].close();
+        delete viewerPeers[id];
+      });
+      state.latestUserList.forEach((u) => {
+        if (u.id !== state.myId) connectViewer(u.id);
+      });
+    }
+  });
+}
+
+// Owner tokens name this browser's ownership session; after a disconnect
+// only this token can take the room back during the reclaim grace period.
+function getOwnerToken(roomName) {
+  return sessionStorage.getItem(`ownerToken:${roomName}`) || undefined;
+}
+
+socket.on('owner-token', ({ room, token } = {}) => {
+  if (room && token) sessionStorage.setItem(`ownerToken:${room}`, token);
+});
+
 async function ensureHostRoom(roomName) {
   const info = await emitWithAck('get-room-info', { roomName });
   if (!info?.exists) {
@@ -1534,8 +2960,16 @@ async function ensureHostRoom(roomName) {
   }
 
   if (info.hasOwnerPassword) {
-    const storedPassword = sessionStorage.getItem(`hostPassword:${roomName}`);
-    const password = storedPassword || window.prompt('Enter host password for this room:') || '';
+    const hostToken = getHostToken(roomName);
+    if (hostToken) {
+      const resumeResp = await emitWithAck('enter-host-room', { roomName, hostToken });
+      if (resumeResp?.ok) {
+        storeHostToken(roomName, resumeResp.hostToken);
+        return { ok: true, created: false };
+      }
+      storeHostToken(roomName, null);
+    }
+    const password = window.prompt('Enter host password for this room:') || '';
     if (!password) {
       return { ok: false, error: 'Host password is required to enter this room.' };
     }
@@ -1543,7 +2977,7 @@ async function ensureHostRoom(roomName) {
     if (!authResp?.ok) {
       return { ok: false, error: authResp?.error || 'Invalid password.' };
     }
-    sessionStorage.setItem(`hostPassword:${roomName}`, password);
+    storeHostToken(roomName, authResp.hostToken);
   } else {
     const authResp = await emitWithAck('enter-host-room', { roomName });
     if (!authResp?.ok) {
@@ -1576,7 +3010,10 @@ async function joinRoomAsHost(room) {
     return;
   }
 
-  socket.emit('join-room', { room, name: state.userName, isViewer: false }, (resp) => {
+  const hostToken = getHostToken(room) || undefined;
+  const deviceToken = getDeviceToken();
+  const ownerToken = getOwnerToken(room);
+  socket.emit('join-room', { room, name: state.userName, isViewer: false, hostToken, deviceToken, ownerToken }, (resp) => {
     if (resp?.isHost) {
       state.vipUsers = Array.isArray(resp.vipUsers) ? resp.vipUsers : [];
       state.vipCodes = Array.isArray(resp.vipCodes) ? resp.vipCodes : [];
@@ -1595,6 +3032,8 @@ async function joinRoomAsHost(room) {
         }
       });
       loadRoomConfig(room);
+      loadModerationState(room);
+      loadScenes(room, { restore: true });
     } else if (resp?.error) {
       alert(resp.error);
       return;
@@ -1682,9 +3121,15 @@ socket.on('user-left', ({ id }) => {
   endPeerCall(id, true);
 });
 
-socket.on('room-update', ({ locked, streamTitle, ownerId, users, vipRequired, privacy }) => {
+socket.on('room-update', ({ locked, streamTitle, ownerId, users, vipRequired, privacy, stage }) => {
   state.latestUserList = users || [];
   state.currentOwnerId = ownerId;
+  if (stage) state.stage = stage;
+
+  const me = state.latestUserList.find((u) => u.id === state.myId);
+  const previousRole = state.myRoomRole;
+  state.myRoomRole = me?.role || null;
+  if (state.myRoomRole !== previousRole) applyRoomRole();
 
   if (streamTitle && dom.streamTitleInput) {
     dom.streamTitleInput.value = streamTitle;
@@ -1702,6 +3147,8 @@ socket.on('room-update', ({ locked, streamTitle, ownerId, users, vipRequired, pr
   }
 
   renderUserList();
+  renderStageQueue();
+  renderDirectTargets();
 
   if (typeof privacy === 'string') {
     applyPrivacyState(privacy === 'private', { emitUpdate: false });
@@ -1715,6 +3162,23 @@ socket.on('room-update', ({ locked, streamTitle, ownerId, users, vipRequired, pr
   }
 });
 
+const RATE_LIMIT_ACTIONS = {
+  throttled: 'is being rate limited',
+  muted: 'was muted for flooding',
+  disconnected: 'was disconnected for flooding'
+};
+
+socket.on('rate-limit-notice', ({ name, event, action }) => {
+  const privateLog = $('chatLogPrivate');
+  const summary = RATE_LIMIT_ACTIONS[action] || 'was rate limited';
+  appendChat(privateLog, 'System', `${name} ${summary} (${event})`, Date.now());
+});
+
+socket.on('rate-limited', ({ action }) => {
+  const privateLog = $('chatLogPrivate');
+  appendChat(privateLog, 'System', `You are sending too fast (${action}).`, Date.now());
+});
+
 socket.on('vip-codes-updated', (codes) => {
   state.vipCodes = Array.isArray(codes) ? codes : [];
   renderVipCodes();
@@ -1736,8 +3200,19 @@ socket.on('role', async ({ isHost }) => {
   if (hostControls) {
     hostControls.style.display = isHost ? 'block' : 'none';
   }
+  renderQuestionQueue();
+  renderStageQueue();
+  renderStreamHealth();
+  if (isHost && !state.wasHost && state.currentRoom) loadStreamHealth();
+  if (isHost && !state.wasHost && state.currentRoom) loadScenes(state.currentRoom);
+  else renderSceneDeck();
+  if (dom.moderationPanel && !hasRoomRole('moderator')) {
+    dom.moderationPanel.style.display = 'none';
+  }
+  if (dom.staffSection && !isHost) dom.staffSection.style.display = 'none';
 
   renderUserList();
+  renderDirectTargets();
 });
 
 // ======================================================
@@ -1828,6 +3303,10 @@ function updatePrivacyControlAvailability() {
     dom.vipRequiredToggle.disabled = !ready;
     dom.vipRequiredToggle.title = ready ? '' : 'Join a room to change VIP access.';
   }
+  if (dom.clipsEnabledToggle) {
+    dom.clipsEnabledToggle.disabled = !ready;
+    dom.clipsEnabledToggle.title = ready ? '' : 'Join a room to change clip settings.';
+  }
   updateVipActionAvailability();
 }
 
@@ -1885,6 +3364,28 @@ function applyVipRequiredState(isRequired, { emitUpdate = true } = {}) {
   }
 }
 
+function applyClipsState(isEnabled, { emitUpdate = true } = {}) {
+  const previous = state.clipsEnabled;
+  state.clipsEnabled = !!isEnabled;
+  if (dom.clipsEnabledToggle) {
+    dom.clipsEnabledToggle.textContent = state.clipsEnabled ? 'ON' : 'OFF';
+    dom.clipsEnabledToggle.className = state.clipsEnabled
+      ? 'btn small secondary'
+      : 'btn small danger';
+  }
+  if (emitUpdate && state.currentRoom) {
+    socket.emit(
+      'update-room-clips',
+      { roomName: state.currentRoom, clipsEnabled: state.clipsEnabled },
+      (resp) => {
+        if (resp?.ok) return;
+        setVipStatus(resp?.error || 'Unable to change clip settings.', 'error');
+        applyClipsState(previous, { emitUpdate: false });
+      }
+    );
+  }
+}
+
 if (dom.addGuestBtn) {
   dom.addGuestBtn.onclick = () => {
     if (!dom.guestNameInput) return;
@@ -2012,6 +3513,7 @@ async function loadRoomConfig(roomName) {
   if (resp?.ok) {
     applyPaymentConfig(resp);
     applyTurnConfig(resp.turnConfig);
+    applyClipsState(resp.clipsEnabled !== false, { emitUpdate: false });
   }
 }
 
@@ -2187,6 +3689,16 @@ if (dom.vipRequiredToggle) {
   };
 }
 
+if (dom.clipsEnabledToggle) {
+  dom.clipsEnabledToggle.onclick = () => {
+    if (!canUpdateRoomSettings()) {
+      setVipStatus('Join a room to change clip settings.', 'error');
+      return;
+    }
+    applyClipsState(!state.clipsEnabled);
+  };
+}
+
 if (dom.turnSaveBtn) {
   dom.turnSaveBtn.onclick = () => {
     if (!state.currentRoom) return;
@@ -2208,11 +3720,10 @@ if (dom.turnSaveBtn) {
 // ======================================================
 // 13. CHAT SYSTEM
 // ======================================================
-function appendChat(log, name, text, ts) {
-  if (!log) return;
-
+function buildChatLine(name, text, ts, id) {
   const d = document.createElement('div');
   d.className = 'chat-line';
+  if (id) d.dataset.msgId = id;
 
   const s = document.createElement('strong');
   s.textContent = name;
@@ -2220,13 +3731,77 @@ function appendChat(log, name, text, ts) {
   const t = document.createElement('small');
   t.textContent = new Date(ts).toLocaleTimeString();
 
-  d.appendChild(s);
-  d.appendChild(document.createTextNode(' '));
-  d.appendChild(t);
-  d.appendChild(document.createTextNode(`: ${text}`));
+  d.appendChild(s);
+  d.appendChild(document.createTextNode(' '));
+  d.appendChild(t);
+  d.appendChild(document.createTextNode(`: ${text}`));
+  return d;
+}
+
+function appendChat(log, name, text, ts, id) {
+  if (!log) return null;
+  if (id && log.querySelector(`[data-msg-id="${id}"]`)) return null;
+
+  const line = buildChatLine(name, text, ts, id);
+  log.appendChild(line);
+  log.scrollTop = log.scrollHeight;
+  return line;
+}
+
+// Hosts and moderators can retract public chat messages for everyone.
+function addChatDeleteButton(line) {
+  if (!line || !line.dataset.msgId || !hasRoomRole('moderator')) return line;
+  const btn = document.createElement('button');
+  btn.className = 'chat-delete';
+  btn.title = 'Delete message';
+  btn.textContent = '✕';
+  btn.onclick = () => {
+    socket.emit('delete-chat-message', { messageId: line.dataset.msgId }, (resp) => {
+      if (resp && !resp.ok) alert(resp.error || 'Unable to delete message.');
+    });
+  };
+  line.appendChild(btn);
+  return line;
+}
+
+// Public chat history from the server (oldest first), inserted above the
+// current log without moving the host's scroll position.
+function prependPublicChatHistory(messages, hasMore) {
+  const log = $('chatLogPublic');
+  if (!log) return;
+  const previousHeight = log.scrollHeight;
+  const fragment = document.createDocumentFragment();
+  messages.forEach((m) => {
+    if (state.mutedUsers.has(m.name)) return;
+    if (m.id && log.querySelector(`[data-msg-id="${m.id}"]`)) return;
+    fragment.appendChild(addChatDeleteButton(buildChatLine(m.name, m.text, m.ts, m.id)));
+  });
+  log.insertBefore(fragment, log.firstChild);
+  log.scrollTop += log.scrollHeight - previousHeight;
+
+  if (messages.length) state.chatOldestId = messages[0].id;
+  state.chatHasMore = !!hasMore;
+}
+
+async function loadOlderPublicChat() {
+  if (!state.chatHasMore || state.chatHistoryLoading || !state.currentRoom) return;
+  state.chatHistoryLoading = true;
+  try {
+    const resp = await emitWithAck('get-chat-history', {
+      room: state.currentRoom,
+      before: state.chatOldestId || undefined
+    });
+    if (resp?.ok) prependPublicChatHistory(resp.messages || [], resp.hasMore);
+  } finally {
+    state.chatHistoryLoading = false;
+  }
+}
 
-  log.appendChild(d);
-  log.scrollTop = log.scrollHeight;
+const publicChatLog = $('chatLogPublic');
+if (publicChatLog) {
+  publicChatLog.addEventListener('scroll', () => {
+    if (publicChatLog.scrollTop === 0) loadOlderPublicChat();
+  });
 }
 
 function sendPublic() {
@@ -2277,10 +3852,15 @@ if (dom.inputPrivate) {
   };
 }
 
+socket.on('chat-history', ({ messages, hasMore } = {}) => {
+  prependPublicChatHistory(Array.isArray(messages) ? messages : [], hasMore);
+  if (state.overlayActive) renderHTMLLayout(state.currentRawHTML);
+});
+
 socket.on('public-chat', (d) => {
   if (state.mutedUsers.has(d.name)) return;
   const log = $('chatLogPublic');
-  appendChat(log, d.name, d.text, d.ts);
+  addChatDeleteButton(appendChat(log, d.name, d.text, d.ts, d.id));
   if (tabs.stream && !tabs.stream.classList.contains('active')) {
     tabs.stream.classList.add('has-new');
   }
@@ -2290,6 +3870,13 @@ socket.on('public-chat', (d) => {
   }
 });
 
+socket.on('chat-message-deleted', ({ id } = {}) => {
+  const line = id && $('chatLogPublic')?.querySelector(`[data-msg-id="${id}"]`);
+  if (!line) return;
+  line.remove();
+  if (state.overlayActive) renderHTMLLayout(state.currentRawHTML);
+});
+
 socket.on('private-chat', (d) => {
   const log = $('chatLogPrivate');
   appendChat(log, d.name, d.text, d.ts);
@@ -2298,6 +3885,77 @@ socket.on('private-chat', (d) => {
   }
 });
 
+// Direct messages: the host can message anyone in the room, everyone else
+// only the host. The server enforces recipients.
+function renderDirectTargets() {
+  const select = dom.dmTargetSelect;
+  if (!select) return;
+  const current = select.value;
+  const others = state.latestUserList.filter((u) => u.id !== state.myId);
+  const targets = state.iAmHost
+    ? others
+    : others.filter((u) => u.id === state.currentOwnerId);
+
+  select.innerHTML = '';
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = targets.length ? 'Choose who to message...' : 'Nobody to message yet';
+  select.appendChild(placeholder);
+  targets.forEach((u) => {
+    const opt = document.createElement('option');
+    opt.value = u.id;
+    opt.textContent = u.id === state.currentOwnerId ? `👑 ${u.name}` : u.name;
+    select.appendChild(opt);
+  });
+  if (targets.some((u) => u.id === current)) select.value = current;
+}
+
+function openDirectMessage(targetId) {
+  renderDirectTargets();
+  if (dom.dmTargetSelect) dom.dmTargetSelect.value = targetId;
+  switchTab('direct');
+  if (dom.inputDirect) dom.inputDirect.focus();
+}
+
+function sendDirect() {
+  if (!dom.inputDirect || !dom.dmTargetSelect) return;
+  const text = dom.inputDirect.value.trim();
+  const targetId = dom.dmTargetSelect.value;
+  if (!text || !targetId) return;
+
+  socket.emit('direct-message', { targetId, text }, (resp) => {
+    if (!resp?.ok) {
+      appendChat(dom.chatLogDirect, 'System', resp?.error || 'Message not delivered.', Date.now());
+      return;
+    }
+    const { message } = resp;
+    appendChat(dom.chatLogDirect, `You → ${message.toName}`, message.text, message.ts, message.id);
+  });
+
+  dom.inputDirect.value = '';
+}
+
+if (dom.btnSendDirect) {
+  dom.btnSendDirect.onclick = sendDirect;
+}
+
+if (dom.inputDirect) {
+  dom.inputDirect.onkeydown = (e) => {
+    if (e.key === 'Enter') sendDirect();
+  };
+}
+
+socket.on('direct-message', (message) => {
+  appendChat(dom.chatLogDirect, message.fromName, message.text, message.ts, message.id);
+  if (dom.dmTargetSelect && !dom.dmTargetSelect.value) {
+    renderDirectTargets();
+    dom.dmTargetSelect.value = message.fromId;
+  }
+  if (tabs.direct && !tabs.direct.classList.contains('active')) {
+    tabs.direct.classList.add('has-new');
+  }
+});
+
 if (dom.emojiStripPublic) {
   dom.emojiStripPublic.onclick = (e) => {
     if (e.target.classList.contains('emoji')) {
@@ -2314,6 +3972,232 @@ if (dom.emojiStripPrivate) {
   };
 }
 
+// ======================================================
+// 13b. REACTIONS + POLLS
+// ======================================================
+// The server sends one burst of { emoji: count } per second.
+socket.on('reaction-burst', ({ counts } = {}) => {
+  const ticker = dom.reactionTicker;
+  if (!ticker || !counts) return;
+  ticker.innerHTML = '';
+  Object.entries(counts).forEach(([emoji, count]) => {
+    const item = document.createElement('span');
+    item.textContent = count > 1 ? `${emoji}×${count}` : emoji;
+    ticker.appendChild(item);
+  });
+  ticker.classList.remove('idle');
+  clearTimeout(state.reactionTickerTimer);
+  state.reactionTickerTimer = setTimeout(() => ticker.classList.add('idle'), 2500);
+});
+
+function escapeOverlayText(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function pollPercent(poll, option) {
+  return poll.totalVotes ? Math.round((option.votes / poll.totalVotes) * 100) : 0;
+}
+
+// Markup for the {{poll}} overlay token (empty when no poll is running).
+function buildPollHTML() {
+  const poll = state.poll;
+  if (!poll) return '';
+  const rows = poll.options
+    .map((option) => {
+      const percent = pollPercent(poll, option);
+      return `
+            <div class="ov-poll-option">
+               <span class="ov-poll-text">${escapeOverlayText(option.text)}</span>
+               <span class="ov-poll-votes">${percent}%</span>
+               <div class="ov-poll-bar" style="height:8px; background:rgba(255,255,255,0.15);">
+                  <div style="width:${percent}%; height:100%; background:#4af3a3;"></div>
+               </div>
+            </div>
+        `;
+    })
+    .join('');
+  return `
+        <div class="ov-poll${poll.open ? '' : ' ov-poll-closed'}">
+           <div class="ov-poll-question">${escapeOverlayText(poll.question)}</div>
+           ${rows}
+           <div class="ov-poll-total">${poll.totalVotes} vote${poll.totalVotes === 1 ? '' : 's'}</div>
+        </div>
+    `;
+}
+
+function renderPollResults() {
+  const poll = state.poll;
+  if (dom.closePollBtn) {
+    dom.closePollBtn.disabled = !poll;
+    dom.closePollBtn.textContent = poll && !poll.open ? 'Clear Poll' : 'End Poll';
+  }
+  if (!dom.pollResults) return;
+  dom.pollResults.innerHTML = '';
+  if (!poll) return;
+
+  const title = document.createElement('div');
+  title.style.cssText = 'font-weight:bold; margin-bottom:4px;';
+  title.textContent = `${poll.question}${poll.open ? '' : ' (closed)'}`;
+  dom.pollResults.appendChild(title);
+
+  poll.options.forEach((option) => {
+    const percent = pollPercent(poll, option);
+    const row = document.createElement('div');
+    row.className = 'poll-row';
+    const label = document.createElement('div');
+    label.textContent = `${option.text} — ${option.votes} (${percent}%)`;
+    const bar = document.createElement('div');
+    bar.className = 'poll-bar';
+    const fill = document.createElement('div');
+    fill.style.width = `${percent}%`;
+    bar.appendChild(fill);
+    row.appendChild(label);
+    row.appendChild(bar);
+    dom.pollResults.appendChild(row);
+  });
+
+  const total = document.createElement('div');
+  total.style.color = 'var(--muted)';
+  total.textContent = `${poll.totalVotes} vote${poll.totalVotes === 1 ? '' : 's'}`;
+  dom.pollResults.appendChild(total);
+}
+
+socket.on('poll-update', (poll) => {
+  state.poll = poll || null;
+  renderPollResults();
+  if (state.overlayActive) renderHTMLLayout(state.currentRawHTML);
+});
+
+if (dom.startPollBtn) {
+  dom.startPollBtn.onclick = () => {
+    const question = dom.pollQuestionInput ? dom.pollQuestionInput.value.trim() : '';
+    const options = dom.pollOptionsInput
+      ? dom.pollOptionsInput.value.split('\n').map((o) => o.trim()).filter(Boolean)
+      : [];
+    if (state.poll?.open && !confirm('Replace the running poll?')) return;
+    socket.emit('create-poll', { question, options }, (resp) => {
+      if (!resp?.ok) {
+        alert(resp?.error || 'Unable to start poll.');
+        return;
+      }
+      if (dom.pollQuestionInput) dom.pollQuestionInput.value = '';
+      if (dom.pollOptionsInput) dom.pollOptionsInput.value = '';
+    });
+  };
+}
+
+if (dom.closePollBtn) {
+  dom.closePollBtn.onclick = () => {
+    if (!state.poll) return;
+    socket.emit('close-poll', { clear: !state.poll.open }, (resp) => {
+      if (resp && !resp.ok) alert(resp.error || 'Unable to end poll.');
+    });
+  };
+}
+
+// ======================================================
+// 13c. Q&A QUEUE (TAB)
+// ======================================================
+// Markup for the {{question}} overlay token (empty when nothing is pinned).
+function buildPinnedQuestionHTML() {
+  const pinned = state.questions.find((q) => q.pinned);
+  if (!pinned) return '';
+  return `
+        <div class="ov-question">
+           <div class="ov-question-name">${escapeOverlayText(pinned.name)} asks</div>
+           <div class="ov-question-text">${escapeOverlayText(pinned.text)}</div>
+        </div>
+    `;
+}
+
+function emitQuestionAction(eventName, payload) {
+  socket.emit(eventName, payload, (resp) => {
+    if (resp && !resp.ok) alert(resp.error || 'Unable to update the question.');
+  });
+}
+
+function buildQuestionActionButton(label, title, onClick) {
+  const btn = document.createElement('button');
+  btn.className = 'btn small secondary';
+  btn.textContent = label;
+  btn.title = title;
+  btn.onclick = onClick;
+  return btn;
+}
+
+function renderQuestionQueue() {
+  const list = dom.qaList;
+  if (!list) return;
+  list.innerHTML = '';
+  if (!state.questions.length) {
+    const empty = document.createElement('div');
+    empty.style.color = 'var(--muted)';
+    empty.textContent = 'No questions yet.';
+    list.appendChild(empty);
+    return;
+  }
+  const canManage = hasRoomRole('moderator');
+  state.questions.forEach((question) => {
+    const row = document.createElement('div');
+    row.className = 'qa-item';
+    if (question.answered) row.classList.add('answered');
+    if (question.pinned) row.classList.add('pinned');
+
+    const votes = document.createElement('span');
+    votes.className = 'qa-votes';
+    votes.textContent = `▲${question.upvotes}`;
+
+    const text = document.createElement('div');
+    text.className = 'qa-text';
+    const name = document.createElement('strong');
+    name.textContent = `${question.name}: `;
+    text.appendChild(name);
+    text.appendChild(document.createTextNode(question.text));
+
+    row.appendChild(votes);
+    row.appendChild(text);
+
+    if (canManage) {
+      const actions = document.createElement('div');
+      actions.className = 'qa-actions';
+      actions.appendChild(
+        buildQuestionActionButton(question.pinned ? 'Unpin' : '📌', 'Pin on stream', () =>
+          emitQuestionAction('pin-question', { questionId: question.pinned ? null : question.id })
+        )
+      );
+      actions.appendChild(
+        buildQuestionActionButton(question.answered ? '↺' : '✓', question.answered ? 'Reopen' : 'Mark answered', () =>
+          emitQuestionAction('answer-question', { questionId: question.id, answered: !question.answered })
+        )
+      );
+      actions.appendChild(
+        buildQuestionActionButton('✕', 'Remove question', () =>
+          emitQuestionAction('remove-question', { questionId: question.id })
+        )
+      );
+      row.appendChild(actions);
+    }
+    list.appendChild(row);
+  });
+}
+
+socket.on('qa-update', ({ questions } = {}) => {
+  const previousPinned = state.questions.find((q) => q.pinned)?.id || null;
+  state.questions = Array.isArray(questions) ? questions : [];
+  renderQuestionQueue();
+  const pinned = state.questions.find((q) => q.pinned)?.id || null;
+  if (state.overlayActive && pinned !== previousPinned) renderHTMLLayout(state.currentRawHTML);
+});
+
+// Sent to the owner only, next to the raise-hand prompt in the same chat panel.
+socket.on('question-received', () => {
+  if (tabs.qa && !tabs.qa.classList.contains('active')) tabs.qa.classList.add('has-new');
+});
+
 // ======================================================
 // 14. FILE SHARING (TAB)
 // ======================================================
@@ -2422,6 +4306,7 @@ window.clearOverlay = () => {
   state.overlayFields = [];
   state.overlayFieldValues = {};
   state.overlayVideoElements = [];
+  updateOverlayAudio([]);
   Object.values(state.overlayObjectUrls).forEach((url) => URL.revokeObjectURL(url));
   state.overlayObjectUrls = {};
   if (dom.overlayFields) dom.overlayFields.innerHTML = '';
@@ -2484,8 +4369,23 @@ function renderUserList() {
       nameSpan.textContent += u.name;
 
       if (u.requestingCall) {
-        nameSpan.innerHTML +=
-          ' <span title="Requesting to Join Stream">✋</span>';
+        const hand = document.createElement('span');
+        hand.title = 'Waiting in the stage queue';
+        hand.textContent = ` ✋#${u.stagePosition}`;
+        nameSpan.appendChild(hand);
+      } else if (u.onStage) {
+        const stageMark = document.createElement('span');
+        stageMark.title = 'Accepted onto the stage';
+        stageMark.textContent = ' 🎤';
+        nameSpan.appendChild(stageMark);
+      }
+
+      if (u.role && u.role !== 'host') {
+        const roleBadge = document.createElement('span');
+        roleBadge.textContent = ` ${ROOM_ROLE_LABELS[u.role] || u.role}`;
+        roleBadge.style.cssText =
+          'margin-left:6px; font-size:0.6rem; color:#000; background:var(--muted); padding:2px 5px; border-radius:4px;';
+        nameSpan.appendChild(roleBadge);
       }
 
       if (u.isVip) {
@@ -2535,7 +4435,8 @@ function renderUserList() {
           callBtn.textContent = u.isVip ? 'Call VIP' : 'Call';
         }
         if (u.requestingCall) callBtn.style.borderColor = 'var(--accent)';
-        callBtn.onclick = () => window.ringUser(u.id);
+        // Viewers take a stage slot first; in-room guests are rung directly.
+        callBtn.onclick = () => (u.isViewer && !u.onStage ? acceptStageRequest(u.id) : window.ringUser(u.id));
       }
       actions.appendChild(callBtn);
 
@@ -2551,22 +4452,104 @@ function renderUserList() {
         actions.appendChild(selBtn);
       }
 
+      if (!state.iAmHost && hasRoomRole('cohost') && u.id !== state.currentOwnerId) {
+        if (u.requestingCall) {
+          const acceptBtn = document.createElement('button');
+          acceptBtn.className = 'action-btn';
+          acceptBtn.textContent = 'Accept';
+          acceptBtn.style.borderColor = 'var(--accent)';
+          acceptBtn.onclick = () => acceptStageRequest(u.id);
+          actions.appendChild(acceptBtn);
+        }
+        if (!u.isViewer) {
+          const showBtn = document.createElement('button');
+          showBtn.className = 'action-btn';
+          showBtn.textContent = 'Mix';
+          showBtn.onclick = () => socket.emit('mixer-command', { activeGuestId: u.id });
+          actions.appendChild(showBtn);
+        }
+      }
+
+      if (!state.iAmHost && hasRoomRole('moderator') && canModerateUser(u)) {
+        const tBtn = document.createElement('button');
+        tBtn.className = 'action-btn';
+        tBtn.textContent = 'Timeout';
+        tBtn.onclick = () => timeoutUser(u);
+        actions.appendChild(tBtn);
+
+        const kBtn = document.createElement('button');
+        kBtn.className = 'action-btn kick';
+        kBtn.textContent = 'Kick';
+        kBtn.onclick = () => window.kickUser(u.id);
+        actions.appendChild(kBtn);
+
+        const bBtn = document.createElement('button');
+        bBtn.className = 'action-btn kick';
+        bBtn.textContent = 'Ban';
+        bBtn.onclick = () => banUser(u);
+        actions.appendChild(bBtn);
+      }
+
       if (state.iAmHost) {
+        const roleSelect = document.createElement('select');
+        roleSelect.className = 'select-input';
+        roleSelect.title = 'Room role';
+        roleSelect.style.cssText = 'font-size:0.7rem; margin-left:5px; width:auto;';
+        ['none', 'moderator', 'cohost'].forEach((role) => {
+          const opt = document.createElement('option');
+          opt.value = role;
+          opt.textContent = role === 'none' ? 'No role' : ROOM_ROLE_LABELS[role];
+          roleSelect.appendChild(opt);
+        });
+        roleSelect.value = u.role || 'none';
+        roleSelect.onchange = () => {
+          socket.emit('set-user-role', { targetId: u.id, role: roleSelect.value }, (resp) => {
+            if (resp && !resp.ok) {
+              alert(resp.error || 'Unable to change role.');
+              renderUserList();
+              return;
+            }
+            state.roomRoles = Array.isArray(resp?.roles) ? resp.roles : state.roomRoles;
+            renderStaffList();
+          });
+        };
+        actions.appendChild(roleSelect);
+
+        const dmBtn = document.createElement('button');
+        dmBtn.className = 'action-btn';
+        dmBtn.textContent = 'DM';
+        dmBtn.onclick = () => openDirectMessage(u.id);
+        actions.appendChild(dmBtn);
+
         const pBtn = document.createElement('button');
         pBtn.className = 'action-btn';
         pBtn.textContent = '👑 Promote';
         pBtn.onclick = () => {
           if (confirm(`Hand over Host to ${u.name}?`)) {
-            socket.emit('promote-to-host', { targetId: u.id });
+            socket.emit('promote-to-host', { targetId: u.id }, (resp) => {
+              if (resp && !resp.ok) alert(resp.error || 'Unable to hand over host.');
+            });
           }
         };
         actions.appendChild(pBtn);
 
+        const tBtn = document.createElement('button');
+        tBtn.className = 'action-btn';
+        tBtn.textContent = 'Timeout';
+        tBtn.onclick = () => timeoutUser(u);
+        actions.appendChild(tBtn);
+
         const kBtn = document.createElement('button');
         kBtn.className = 'action-btn kick';
         kBtn.textContent = 'Kick';
         kBtn.onclick = () => window.kickUser(u.id);
         actions.appendChild(kBtn);
+
+        const bBtn = document.createElement('button');
+        bBtn.className = 'action-btn kick';
+        bBtn.textContent = 'Ban';
+        bBtn.onclick = () => banUser(u);
+        actions.appendChild(bBtn);
       }
 
       div.appendChild(nameSpan);
@@ -2579,6 +4562,275 @@ function renderUserList() {
   renderGroup('Stream Viewers', viewers);
 }
 
+// ======================================================
+// 16a. STAGE QUEUE (ordered call requests, host and co-hosts)
+// ======================================================
+function emitStageAction(eventName, targetId, fallbackError) {
+  socket.emit(eventName, { targetId }, (resp) => {
+    if (resp && !resp.ok) alert(resp.error || fallbackError);
+  });
+}
+
+function acceptStageRequest(targetId) {
+  emitStageAction('accept-call-request', targetId, 'Unable to accept request.');
+}
+
+function renderStageQueue() {
+  if (!dom.stageQueuePanel) return;
+  const canManage = hasRoomRole('cohost');
+  dom.stageQueuePanel.style.display = canManage ? 'block' : 'none';
+  if (!canManage) return;
+
+  const { maxGuests, onStage, waiting } = state.stage;
+  if (dom.stageQueueSummary) {
+    dom.stageQueueSummary.textContent = `${onStage}/${maxGuests} on stage · ${waiting} waiting`;
+  }
+  if (dom.stageLimitInput && document.activeElement !== dom.stageLimitInput) {
+    dom.stageLimitInput.value = maxGuests;
+    dom.stageLimitInput.disabled = !state.iAmHost;
+  }
+  if (!dom.stageQueueList) return;
+  dom.stageQueueList.innerHTML = '';
+
+  const queued = state.latestUserList
+    .filter((u) => u.requestingCall)
+    .sort((a, b) => a.stagePosition - b.stagePosition);
+  if (!queued.length) {
+    const empty = document.createElement('div');
+    empty.style.cssText = 'font-size:0.75rem; color:var(--muted);';
+    empty.textContent = 'No one is waiting.';
+    dom.stageQueueList.appendChild(empty);
+    return;
+  }
+
+  queued.forEach((u) => {
+    const row = document.createElement('div');
+    row.className = 'user-item';
+
+    const label = document.createElement('span');
+    label.textContent = `${u.stagePosition}. ${u.name}${u.isVip ? ' (VIP)' : ''}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'user-actions';
+    [
+      ['Accept', 'accept-call-request', 'Unable to accept request.'],
+      ['Skip', 'skip-call-request', 'Unable to skip request.'],
+      ['Decline', 'decline-call-request', 'Unable to decline request.']
+    ].forEach(([text, eventName, fallbackError]) => {
+      const btn = document.createElement('button');
+      btn.className = text === 'Decline' ? 'action-btn kick' : 'action-btn';
+      btn.textContent = text;
+      if (text === 'Accept') {
+        btn.style.borderColor = 'var(--accent)';
+        btn.disabled = onStage >= maxGuests;
+        btn.title = btn.disabled ? 'The stage is full' : '';
+      }
+      btn.onclick = () => emitStageAction(eventName, u.id, fallbackError);
+      actions.appendChild(btn);
+    });
+
+    row.appendChild(label);
+    row.appendChild(actions);
+    dom.stageQueueList.appendChild(row);
+  });
+}
+
+if (dom.stageLimitInput) {
+  dom.stageLimitInput.onchange = () => {
+    socket.emit('update-stage-limit', { maxGuests: Number(dom.stageLimitInput.value) }, (resp) => {
+      if (resp && !resp.ok) alert(resp.error || 'Unable to change the stage size.');
+      if (resp?.ok) dom.stageLimitInput.value = resp.maxGuests;
+    });
+  };
+}
+
+// ======================================================
+// 16b. ROOM ROLES & MODERATION (timeouts, bans, blocked words)
+// ======================================================
+// Mirrors ROLE_RANK in room-permissions.js; the server enforces it.
+const ROOM_ROLE_RANK = { moderator: 1, cohost: 2, host: 3 };
+const ROOM_ROLE_LABELS = { moderator: 'MOD', cohost: 'CO-HOST' };
+
+function getMyRoomRole() {
+  return state.iAmHost ? 'host' : state.myRoomRole;
+}
+
+function hasRoomRole(role) {
+  return (ROOM_ROLE_RANK[getMyRoomRole()] || 0) >= ROOM_ROLE_RANK[role];
+}
+
+function canModerateUser(user) {
+  if (user.id === state.currentOwnerId) return false;
+  return (ROOM_ROLE_RANK[user.role] || 0) < (ROOM_ROLE_RANK[getMyRoomRole()] || 0);
+}
+
+// Show or hide moderator tools after our granted role changes.
+function applyRoomRole() {
+  renderQuestionQueue();
+  renderStageQueue();
+  if (state.iAmHost) return;
+  if (hasRoomRole('moderator') && state.currentRoom) {
+    loadModerationState(state.currentRoom);
+  } else if (dom.moderationPanel) {
+    dom.moderationPanel.style.display = 'none';
+  }
+  const role = state.myRoomRole;
+  appendChat(
+    $('chatLogPrivate'),
+    'System',
+    role ? `You are now a ${role === 'cohost' ? 'co-host' : 'moderator'} in this room.` : 'Your room role was removed.',
+    Date.now()
+  );
+}
+
+function setModerationStatus(message, tone = 'info') {
+  if (!dom.moderationStatus) return;
+  dom.moderationStatus.textContent = message || '';
+  dom.moderationStatus.style.color = tone === 'error' ? 'var(--danger)' : 'var(--muted)';
+}
+
+function timeoutUser(user) {
+  const input = prompt(`Timeout ${user.name} from chat for how many minutes? (0 lifts it)`, '5');
+  if (input === null) return;
+  const minutes = Number(input);
+  if (!Number.isFinite(minutes) || minutes < 0) return;
+  socket.emit('timeout-user', { targetId: user.id, minutes }, (resp) => {
+    if (!resp?.ok) {
+      setModerationStatus(resp?.error || 'Unable to time out user.', 'error');
+      return;
+    }
+    setModerationStatus(resp.until ? `${user.name} timed out.` : `${user.name} can chat again.`);
+  });
+}
+
+function banUser(user) {
+  if (!confirm(`Ban ${user.name} from this room? They will not be able to rejoin.`)) return;
+  socket.emit('ban-user', { targetId: user.id }, (resp) => {
+    if (!resp?.ok) {
+      setModerationStatus(resp?.error || 'Unable to ban user.', 'error');
+      return;
+    }
+    state.bans = Array.isArray(resp.bans) ? resp.bans : state.bans;
+    renderBanList();
+    setModerationStatus(`${user.name} banned.`);
+  });
+}
+
+function renderBanList() {
+  if (!dom.banList) return;
+  dom.banList.innerHTML = '';
+  if (!state.bans.length) {
+    const empty = document.createElement('span');
+    empty.style.cssText = 'font-size:0.7rem; color:var(--muted);';
+    empty.textContent = 'No banned users.';
+    dom.banList.appendChild(empty);
+    return;
+  }
+  state.bans.forEach((ban) => {
+    const row = document.createElement('div');
+    row.style.cssText =
+      'display:flex; align-items:center; justify-content:space-between; gap:6px; background:rgba(255,255,255,0.06); padding:4px 6px; border-radius:6px; font-size:0.7rem;';
+
+    const label = document.createElement('span');
+    label.textContent = `${ban.name || 'Unknown'} (${new Date(ban.bannedAt).toLocaleDateString()})`;
+
+    const unbanBtn = document.createElement('button');
+    unbanBtn.className = 'btn small secondary';
+    unbanBtn.textContent = 'Unban';
+    unbanBtn.onclick = () => {
+      socket.emit('unban-user', { roomName: state.currentRoom, fingerprint: ban.fingerprint }, (resp) => {
+        if (!resp?.ok) {
+          setModerationStatus(resp?.error || 'Unable to unban user.', 'error');
+          return;
+        }
+        state.bans = Array.isArray(resp.bans) ? resp.bans : [];
+        renderBanList();
+        setModerationStatus(`${ban.name || 'User'} unbanned.`);
+      });
+    };
+
+    row.appendChild(label);
+    row.appendChild(unbanBtn);
+    dom.banList.appendChild(row);
+  });
+}
+
+// Stored role grants, including people who are not in the room right now.
+function renderStaffList() {
+  if (!dom.staffList) return;
+  dom.staffList.innerHTML = '';
+  if (!state.roomRoles.length) {
+    const empty = document.createElement('span');
+    empty.style.cssText = 'font-size:0.7rem; color:var(--muted);';
+    empty.textContent = 'No roles granted.';
+    dom.staffList.appendChild(empty);
+    return;
+  }
+  state.roomRoles.forEach((grant) => {
+    const row = document.createElement('div');
+    row.style.cssText =
+      'display:flex; align-items:center; justify-content:space-between; gap:6px; background:rgba(255,255,255,0.06); padding:4px 6px; border-radius:6px; font-size:0.7rem;';
+
+    const label = document.createElement('span');
+    label.textContent = `${grant.name || 'Unknown'} (${ROOM_ROLE_LABELS[grant.role] || grant.role})`;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn small secondary';
+    removeBtn.textContent = 'Remove';
+    removeBtn.onclick = () => {
+      socket.emit('remove-room-role', { roomName: state.currentRoom, fingerprint: grant.fingerprint }, (resp) => {
+        if (!resp?.ok) {
+          setModerationStatus(resp?.error || 'Unable to remove role.', 'error');
+          return;
+        }
+        state.roomRoles = Array.isArray(resp.roles) ? resp.roles : [];
+        renderStaffList();
+      });
+    };
+
+    row.appendChild(label);
+    row.appendChild(removeBtn);
+    dom.staffList.appendChild(row);
+  });
+}
+
+function loadRoomRoles(roomName) {
+  if (dom.staffSection) dom.staffSection.style.display = 'block';
+  socket.emit('get-room-roles', { roomName }, (resp) => {
+    if (!resp?.ok) return;
+    state.roomRoles = Array.isArray(resp.roles) ? resp.roles : [];
+    renderStaffList();
+  });
+}
+
+function loadModerationState(roomName) {
+  if (dom.moderationPanel) dom.moderationPanel.style.display = 'block';
+  if (state.iAmHost) loadRoomRoles(roomName);
+  socket.emit('get-moderation-state', { roomName }, (resp) => {
+    if (!resp?.ok) return;
+    state.bans = Array.isArray(resp.bans) ? resp.bans : [];
+    state.blockedWords = Array.isArray(resp.blockedWords) ? resp.blockedWords : [];
+    if (dom.blockedWordsInput) dom.blockedWordsInput.value = state.blockedWords.join(', ');
+    renderBanList();
+  });
+}
+
+if (dom.saveBlockedWordsBtn) {
+  dom.saveBlockedWordsBtn.onclick = () => {
+    if (!state.currentRoom || !dom.blockedWordsInput) return;
+    const words = dom.blockedWordsInput.value.split(',').map((w) => w.trim()).filter(Boolean);
+    socket.emit('update-blocked-words', { roomName: state.currentRoom, words }, (resp) => {
+      if (!resp?.ok) {
+        setModerationStatus(resp?.error || 'Unable to save blocked words.', 'error');
+        return;
+      }
+      state.blockedWords = resp.blockedWords || [];
+      dom.blockedWordsInput.value = state.blockedWords.join(', ');
+      setModerationStatus('Blocked words saved.');
+    });
+  };
+}
+
 function addRemoteVideo(id, stream) {
   let d = document.getElementById(`vid-${id}`);
   if (!d) {
@@ -2600,16 +4852,27 @@ function addRemoteVideo(id, stream) {
   }
 
   const v = d.querySelector('video');
-  if (v && v.srcObject !== stream) {
-    v.srcObject = stream;
+  if (v && v.srcObject !== stream) v.srcObject = stream;
+  // ontrack fires once per track, so audio may arrive after the video.
+  if (stream.getAudioTracks().length && audioBus.channels.get(`guest:${id}`)?.input !== stream) {
     setupAudioAnalysis(id, stream);
+    setAudioChannel(`guest:${id}`, {
+      label: callPeers[id] ? callPeers[id].name : 'Guest',
+      kind: 'guest',
+      input: stream
+    });
   }
+  startGuestRecording(id, stream);
+  renderSlotMap();
 }
 
 function removeRemoteVideo(id) {
   const el = document.getElementById(`vid-${id}`);
   if (el) el.remove();
   if (state.audioAnalysers[id]) delete state.audioAnalysers[id];
+  removeAudioChannel(`guest:${id}`);
+  stopGuestRecording(id);
+  renderSlotMap();
 }
 
 window.ringUser = (id) => socket.emit('ring-user', id);
@@ -2623,6 +4886,130 @@ if (dom.openStreamBtn) {
   };
 }
 
+// ======================================================
+// 16c. STREAM HEALTH (host dashboard)
+// ======================================================
+// The server aggregates viewer reports (latency, loss, bitrate, freezes,
+// ICE candidate type) and sends the owner a snapshot every two seconds,
+// plus an alert whenever a viewer turns degraded or recovers.
+function formatHealthSummary(summary, format) {
+  if (!summary || summary.p50 === null) return '—';
+  return `${format(summary.p50)} / ${format(summary.p90)} / ${format(summary.p99)}`;
+}
+
+const formatLoss = (value) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+const formatMs = (value) => (value === null || value === undefined ? '—' : `${value} ms`);
+const formatKbps = (value) => (value === null || value === undefined ? '—' : `${value} kbps`);
+
+// Tiny inline SVG line of one history field for the drill-down.
+function buildSparkline(history, field) {
+  const values = history.map((point) => point[field]).filter((v) => v !== null && v !== undefined);
+  if (values.length < 2) return '';
+  const width = 160;
+  const height = 28;
+  const max = Math.max(...values) || 1;
+  const points = values
+    .map((v, i) => `${((i / (values.length - 1)) * width).toFixed(1)},${(height - (v / max) * height).toFixed(1)}`)
+    .join(' ');
+  return `<svg class="health-spark" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><polyline points="${points}" /></svg>`;
+}
+
+function renderHealthViewer(viewer) {
+  const row = document.createElement('div');
+  row.className = 'health-row';
+  row.classList.toggle('degraded', viewer.degraded);
+  row.classList.toggle('stale', viewer.stale);
+
+  const head = document.createElement('div');
+  head.className = 'health-row-head';
+  const name = document.createElement('strong');
+  name.textContent = viewer.name;
+  const metrics = document.createElement('span');
+  metrics.className = 'health-metrics';
+  metrics.textContent = viewer.stale
+    ? 'not reporting'
+    : `${formatMs(viewer.latency)} · ${formatLoss(viewer.loss)} · ${
+        viewer.audioOnly ? 'audio only' : formatKbps(viewer.bitrateKbps)
+      } · ${viewer.candidateType || '?'}`;
+  head.append(name, metrics);
+  head.onclick = () => {
+    if (state.healthExpanded.has(viewer.id)) state.healthExpanded.delete(viewer.id);
+    else state.healthExpanded.add(viewer.id);
+    renderStreamHealth();
+  };
+  row.appendChild(head);
+
+  if (state.healthExpanded.has(viewer.id)) {
+    const detail = document.createElement('div');
+    detail.className = 'health-detail';
+    const since = viewer.degradedSince ? ` since ${new Date(viewer.degradedSince).toLocaleTimeString()}` : '';
+    const status = viewer.degraded ? `⚠️ ${viewer.reasons.join(', ')}${since}` : 'Healthy';
+    detail.innerHTML = `
+      <div>${escapeOverlayText(status)}</div>
+      <div>Frame rate: ${viewer.fps ?? '—'} fps · Freezes this session: ${viewer.freezes}</div>
+      <div>Connection: ${escapeOverlayText(viewer.candidateType || 'unknown')}${
+        viewer.candidateType === 'relay' ? ' (via TURN)' : ''
+      }</div>
+      <div class="health-spark-row"><span>Latency</span>${buildSparkline(viewer.history, 'latency')}</div>
+      <div class="health-spark-row"><span>Bitrate</span>${buildSparkline(viewer.history, 'bitrateKbps')}</div>
+    `;
+    row.appendChild(detail);
+  }
+  return row;
+}
+
+function renderStreamHealth() {
+  if (dom.tabHealth) dom.tabHealth.style.display = state.iAmHost ? '' : 'none';
+  if (!dom.healthSummary || !dom.healthViewers) return;
+  const health = state.health;
+  if (!health || !health.viewers.length) {
+    dom.healthSummary.innerHTML = '';
+    dom.healthViewers.innerHTML = '<div class="audio-empty">Viewer stats appear here while you are live.</div>';
+    return;
+  }
+
+  const candidates = Object.entries(health.candidates)
+    .map(([type, count]) => `${type} ${count}`)
+    .join(' · ');
+  dom.healthSummary.innerHTML = `
+    <div class="health-card"><span>Reporting</span><strong>${health.reporting}</strong></div>
+    <div class="health-card${health.degraded ? ' alert' : ''}"><span>Degraded</span><strong>${health.degraded}</strong></div>
+    <div class="health-card"><span>Latency p50/p90/p99</span><strong>${formatHealthSummary(health.latency, formatMs)}</strong></div>
+    <div class="health-card"><span>Loss p50/p90/p99</span><strong>${formatHealthSummary(health.loss, formatLoss)}</strong></div>
+    <div class="health-card"><span>Bitrate p50/p90/p99</span><strong>${formatHealthSummary(health.bitrateKbps, formatKbps)}</strong></div>
+    <div class="health-card"><span>Connections</span><strong>${escapeOverlayText(candidates || '—')}</strong></div>
+  `;
+
+  dom.healthViewers.innerHTML = '';
+  health.viewers.forEach((viewer) => dom.healthViewers.appendChild(renderHealthViewer(viewer)));
+}
+
+async function loadStreamHealth() {
+  const resp = await emitWithAck('get-stream-health', {});
+  if (resp?.ok) {
+    state.health = resp.health;
+    renderStreamHealth();
+  }
+}
+
+socket.on('stream-health', (health) => {
+  state.health = health;
+  renderStreamHealth();
+});
+
+socket.on('stream-health-alert', ({ name, status, reasons }) => {
+  const text =
+    status === 'degraded'
+      ? `⚠️ ${name}'s stream is degraded: ${reasons.join(', ')}.`
+      : `${name}'s stream recovered.`;
+  appendChat($('chatLogPrivate'), 'System', text, Date.now());
+  if (status === 'degraded' && tabs.health && !tabs.health.classList.contains('active')) {
+    tabs.health.classList.add('has-new');
+  }
+});
+
+renderStreamHealth();
+
 updatePrivacyControlAvailability();
 
 // ======================================================
@@ -0,0 +1,413 @@
+/**
+ * MIXER LAYOUTS MODULE
+ * Named scene definitions, slot assignment and fitted drawing for the canvas mixer
+ *
+ * A layout is a list of slots in normalized canvas coordinates (0..1). Each
+ * slot names a default source ('host', 'guest' or 'auto'), how the video is
+ * fitted ('cover' crops to fill, 'contain' letterboxes) and an optional
+ * source crop. Participants are keyed by id: 'local' for the host's own
+ * camera, call peer socket ids for guests.
+ */
+
+const MIXER_TRANSITION_MS = 400;
+const PIP_BORDER = '#4af3a3';
+const SPEAKING_OUTLINE = '#4af3a3';
+
+// Equal 16:9 columns across the middle of the canvas, one per participant.
+// On a 16:9 canvas a 16:9 tile is as tall (in canvas units) as it is wide.
+function splitSlots(count) {
+  const columns = Math.max(1, count);
+  const w = 1 / columns;
+  const h = w;
+  const y = (1 - h) / 2;
+  return Array.from({ length: columns }, (_, i) => ({
+    x: i * w,
+    y,
+    w,
+    h,
+    source: 'auto',
+    fit: 'cover',
+    divider: i > 0
+  }));
+}
+
+const MIXER_LAYOUTS = {
+  SOLO: {
+    label: 'Solo',
+    slots: [{ x: 0, y: 0, w: 1, h: 1, source: 'host', fit: 'cover' }]
+  },
+  GUEST: {
+    label: 'Guest',
+    slots: [
+      { x: 0, y: 0, w: 1, h: 1, source: 'guest', fit: 'cover', placeholder: 'Waiting for Guest Signal...' }
+    ]
+  },
+  PIP: {
+    label: 'PiP',
+    slots: [
+      { x: 0, y: 0, w: 1, h: 1, source: 'host', fit: 'cover' },
+      { x: 0.734375, y: 0.722222, w: 0.25, h: 0.25, source: 'guest', fit: 'cover', border: PIP_BORDER }
+    ]
+  },
+  PIP_INVERTED: {
+    label: 'Inverted PiP',
+    slots: [
+      { x: 0, y: 0, w: 1, h: 1, source: 'guest', fit: 'cover', background: '#111' },
+      { x: 0.734375, y: 0.722222, w: 0.25, h: 0.25, source: 'host', fit: 'cover', border: PIP_BORDER }
+    ]
+  },
+  SPLIT: {
+    label: 'Split',
+    slots: splitSlots
+  },
+  GRID_2X2: {
+    label: '2x2 Grid',
+    slots: [
+      { x: 0, y: 0, w: 0.5, h: 0.5, source: 'host', fit: 'cover' },
+      { x: 0.5, y: 0, w: 0.5, h: 0.5, source: 'auto', fit: 'cover' },
+      { x: 0, y: 0.5, w: 0.5, h: 0.5, source: 'auto', fit: 'cover' },
+      { x: 0.5, y: 0.5, w: 0.5, h: 0.5, source: 'auto', fit: 'cover' }
+    ]
+  },
+  THREE_UP: {
+    label: '3-Up',
+    slots: [
+      { x: 0, y: 0, w: 1 / 3, h: 1, source: 'host', fit: 'cover' },
+      { x: 1 / 3, y: 0, w: 1 / 3, h: 1, source: 'auto', fit: 'cover', divider: true },
+      { x: 2 / 3, y: 0, w: 1 / 3, h: 1, source: 'auto', fit: 'cover', divider: true }
+    ]
+  },
+  SPEAKER_FILMSTRIP: {
+    label: 'Speaker + Filmstrip',
+    slots: [
+      { x: 0, y: 0, w: 1, h: 0.8, source: 'guest', fallback: 'host', fit: 'contain' },
+      ...Array.from({ length: 5 }, (_, i) => ({
+        x: i * 0.2,
+        y: 0.8,
+        w: 0.2,
+        h: 0.2,
+        source: 'auto',
+        fit: 'cover',
+        divider: i > 0
+      }))
+    ]
+  },
+  SIDE_BY_SIDE: {
+    label: 'Side by Side',
+    croppable: true,
+    slots: [
+      { x: 0, y: 0, w: 0.5, h: 1, source: 'host', fit: 'cover', crop: { x: 0.2, y: 0, w: 0.6, h: 1 } },
+      {
+        x: 0.5,
+        y: 0,
+        w: 0.5,
+        h: 1,
+        source: 'guest',
+        fit: 'cover',
+        crop: { x: 0.2, y: 0, w: 0.6, h: 1 },
+        divider: true
+      }
+    ]
+  }
+};
+
+function easeInOut(t) {
+  return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function lerpRect(from, to, t) {
+  return {
+    x: lerp(from.x, to.x, t),
+    y: lerp(from.y, to.y, t),
+    w: lerp(from.w, to.w, t),
+    h: lerp(from.h, to.h, t)
+  };
+}
+
+/**
+ * Draw a video into rect, cropping the source first and then fitting it
+ * with 'cover' (fill, trimming the overflow) or 'contain' (letterbox).
+ */
+function drawFittedVideo(ctx, video, rect, { fit = 'cover', crop } = {}) {
+  const vw = video.videoWidth;
+  const vh = video.videoHeight;
+  if (!vw || !vh || rect.w <= 0 || rect.h <= 0) return;
+
+  let sx = crop ? crop.x * vw : 0;
+  let sy = crop ? crop.y * vh : 0;
+  let sw = crop ? crop.w * vw : vw;
+  let sh = crop ? crop.h * vh : vh;
+  const sourceAspect = sw / sh;
+  const targetAspect = rect.w / rect.h;
+
+  if (fit === 'contain') {
+    const scale = Math.min(rect.w / sw, rect.h / sh);
+    const dw = sw * scale;
+    const dh = sh * scale;
+    ctx.drawImage(video, sx, sy, sw, sh, rect.x + (rect.w - dw) / 2, rect.y + (rect.h - dh) / 2, dw, dh);
+    return;
+  }
+
+  if (sourceAspect > targetAspect) {
+    const trimmed = sh * targetAspect;
+    sx += (sw - trimmed) / 2;
+    sw = trimmed;
+  } else {
+    const trimmed = sw / targetAspect;
+    sy += (sh - trimmed) / 2;
+    sh = trimmed;
+  }
+  ctx.drawImage(video, sx, sy, sw, sh, rect.x, rect.y, rect.w, rect.h);
+}
+
+class MixerLayoutEngine {
+  constructor(layouts = MIXER_LAYOUTS) {
+    this.layouts = layouts;
+    this.layoutName = 'SOLO';
+    // Per layout: slot index -> participant id the host dragged there.
+    this.assignments = {};
+    this.cropOverrides = {};
+    this.lastRects = new Map();
+    this.transition = null;
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.layouts, name);
+  }
+
+  list() {
+    return Object.entries(this.layouts).map(([name, def]) => ({ name, label: def.label }));
+  }
+
+  /**
+   * Slot definitions for a layout given how many participants are live.
+   */
+  getSlots(name = this.layoutName, participantCount = 1) {
+    const def = this.layouts[name];
+    if (!def) return [];
+    const slots = typeof def.slots === 'function' ? def.slots(participantCount) : def.slots;
+    const overrides = this.cropOverrides[name] || {};
+    return slots.map((slot, index) => (overrides[index] ? { ...slot, crop: overrides[index] } : slot));
+  }
+
+  setLayout(name, now = performance.now()) {
+    if (!this.has(name) || name === this.layoutName) return false;
+    this.layoutName = name;
+    this.startTransition(now);
+    return true;
+  }
+
+  // Pin a participant to a slot of the current layout; null restores the default.
+  assign(slotIndex, participantId, now = performance.now()) {
+    const map = { ...(this.assignments[this.layoutName] || {}) };
+    if (participantId) {
+      Object.keys(map).forEach((key) => {
+        if (map[key] === participantId) delete map[key];
+      });
+      map[slotIndex] = participantId;
+    } else {
+      delete map[slotIndex];
+    }
+    this.assignments[this.layoutName] = map;
+    this.startTransition(now);
+  }
+
+  // Swap what two slots of the current layout show.
+  swap(fromIndex, toIndex, resolved, now = performance.now()) {
+    const map = { ...(this.assignments[this.layoutName] || {}) };
+    const fromId = resolved[fromIndex] || null;
+    const toId = resolved[toIndex] || null;
+    if (toId) map[fromIndex] = toId;
+    else delete map[fromIndex];
+    if (fromId) map[toIndex] = fromId;
+    else delete map[toIndex];
+    this.assignments[this.layoutName] = map;
+    this.startTransition(now);
+  }
+
+  /**
+   * Set a centered crop width (0.3..1 of the source) on every cropped slot
+   * of the current layout.
+   */
+  setCropWidth(fraction) {
+    const width = Math.min(1, Math.max(0.3, Number(fraction) || 1));
+    const crop = { x: (1 - width) / 2, y: 0, w: width, h: 1 };
+    const overrides = {};
+    this.getSlots(this.layoutName, 2).forEach((slot, index) => {
+      if (slot.crop) overrides[index] = crop;
+    });
+    this.cropOverrides[this.layoutName] = overrides;
+  }
+
+  getCropWidth() {
+    const cropped = this.getSlots(this.layoutName, 2).find((slot) => slot.crop);
+    return cropped ? cropped.crop.w : 1;
+  }
+
+  // Slot pins and crop for one layout, in the shape scenes store them.
+  exportLayoutState(name = this.layoutName) {
+    const cropped = this.getSlots(name, 2).find((slot) => slot.crop);
+    return {
+      slotAssignments: { ...(this.assignments[name] || {}) },
+      cropWidth: this.isCroppable(name) && cropped ? cropped.crop.w : null
+    };
+  }
+
+  importLayoutState(name, { slotAssignments, cropWidth } = {}) {
+    if (!this.has(name)) return;
+    this.assignments[name] = { ...(slotAssignments || {}) };
+    if (typeof cropWidth === 'number' && this.isCroppable(name)) {
+      const current = this.layoutName;
+      this.layoutName = name;
+      this.setCropWidth(cropWidth);
+      this.layoutName = current;
+    }
+    if (name === this.layoutName) this.startTransition(performance.now());
+  }
+
+  isCroppable(name = this.layoutName) {
+    return !!this.layouts[name]?.croppable;
+  }
+
+  /**
+   * Decide who shows in each slot. participantIds lists who is live, host
+   * first; explicit assignments win, then each slot's default source, then
+   * 'auto' slots take whoever is left in order. Returns an array of ids
+   * (null for an empty slot).
+   */
+  resolve(participantIds, { activeGuestId = null } = {}) {
+    const slots = this.getSlots(this.layoutName, participantIds.length);
+    const available = new Set(participantIds);
+    const used = new Set();
+    const result = new Array(slots.length).fill(null);
+    const take = (id) => {
+      if (!id || !available.has(id) || used.has(id)) return null;
+      used.add(id);
+      return id;
+    };
+    const guests = participantIds.filter((id) => id !== 'local');
+    const firstGuest = () => (guests.includes(activeGuestId) && !used.has(activeGuestId)
+      ? activeGuestId
+      : guests.find((id) => !used.has(id)));
+
+    const pinned = this.assignments[this.layoutName] || {};
+    Object.entries(pinned).forEach(([index, id]) => {
+      if (index < slots.length) result[index] = take(id);
+    });
+    const pickDefault = (source) => {
+      if (source === 'host') return take('local');
+      if (source === 'guest') return take(firstGuest());
+      return null;
+    };
+    slots.forEach((slot, index) => {
+      if (result[index]) return;
+      result[index] = pickDefault(slot.source) || (slot.fallback ? pickDefault(slot.fallback) : null);
+    });
+    slots.forEach((slot, index) => {
+      if (result[index] || slot.source !== 'auto') return;
+      result[index] = take(participantIds.find((id) => !used.has(id)));
+    });
+    return result;
+  }
+
+  startTransition(now) {
+    this.transition = { start: now, from: new Map(this.lastRects) };
+  }
+
+  /**
+   * Paint the current layout. sources maps participant id -> <video>; only
+   * videos with frames are drawn. Moving tiles glide between layouts, new
+   * ones fade in and dropped ones fade out. Ids in highlightIds get a
+   * speaking outline unless their slot fills the canvas.
+   */
+  draw(ctx, width, height, sources, { activeGuestId = null, highlightIds = null, now = performance.now() } = {}) {
+    const live = Object.keys(sources).filter((id) => sources[id] && sources[id].readyState >= 2);
+    const participantIds = live.includes('local') ? ['local', ...live.filter((id) => id !== 'local')] : live;
+    const slots = this.getSlots(this.layoutName, participantIds.length);
+    const resolved = this.resolve(participantIds, { activeGuestId });
+
+    let progress = 1;
+    if (this.transition) {
+      progress = Math.min(1, (now - this.transition.start) / MIXER_TRANSITION_MS);
+      if (progress >= 1) this.transition = null;
+    }
+    const eased = easeInOut(progress);
+    const from = this.transition ? this.transition.from : new Map();
+    const drawnRects = new Map();
+
+    slots.forEach((slot, index) => {
+      const target = { x: slot.x * width, y: slot.y * height, w: slot.w * width, h: slot.h * height };
+      const id = resolved[index];
+      if (slot.background) {
+        ctx.fillStyle = slot.background;
+        ctx.fillRect(target.x, target.y, target.w, target.h);
+      }
+      if (!id) {
+        if (slot.placeholder) this.drawPlaceholder(ctx, target, slot.placeholder);
+        return;
+      }
+      const start = from.get(id);
+      const rect = start && progress < 1 ? lerpRect(start, target, eased) : target;
+      drawnRects.set(id, rect);
+
+      ctx.save();
+      ctx.globalAlpha = start || progress >= 1 ? 1 : eased;
+      ctx.beginPath();
+      ctx.rect(rect.x, rect.y, rect.w, rect.h);
+      ctx.clip();
+      drawFittedVideo(ctx, sources[id], rect, slot);
+      ctx.restore();
+
+      if (slot.border) {
+        ctx.strokeStyle = slot.border;
+        ctx.lineWidth = 5;
+        ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+      } else if (highlightIds && highlightIds.has(id) && (slot.w < 1 || slot.h < 1)) {
+        ctx.strokeStyle = SPEAKING_OUTLINE;
+        ctx.lineWidth = 6;
+        ctx.strokeRect(rect.x + 3, rect.y + 3, rect.w - 6, rect.h - 6);
+      }
+      if (slot.divider) {
+        ctx.strokeStyle = '#222';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(rect.x, rect.y);
+        ctx.lineTo(rect.x, rect.y + rect.h);
+        ctx.stroke();
+      }
+    });
+
+    // Tiles that left the layout fade out where they were.
+    if (progress < 1) {
+      from.forEach((rect, id) => {
+        if (drawnRects.has(id) || !sources[id] || sources[id].readyState < 2) return;
+        ctx.save();
+        ctx.globalAlpha = 1 - eased;
+        ctx.beginPath();
+        ctx.rect(rect.x, rect.y, rect.w, rect.h);
+        ctx.clip();
+        drawFittedVideo(ctx, sources[id], rect, { fit: 'cover' });
+        ctx.restore();
+      });
+    }
+    // Where each tile is on screen now; an interrupted transition starts here.
+    this.lastRects = drawnRects;
+    return resolved;
+  }
+
+  drawPlaceholder(ctx, rect, text) {
+    ctx.fillStyle = '#333';
+    ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+    ctx.fillStyle = '#fff';
+    ctx.font = `${Math.round(rect.h / 18)}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.fillText(text, rect.x + rect.w / 2, rect.y + rect.h / 2);
+  }
+}
+
+// Export singleton instance
+window.mixerLayouts = new MixerLayoutEngine();
@@ -174,13 +174,23 @@
       await this.connectToParent();
     }
 
-    joinRoom(roomName, viewerName) {
+    // getDeviceToken comes from viewer.js, which also stores new tokens.
+    joinRoom(roomName, viewerName, access = {}, onResult) {
       const deviceInfo = this.detectDeviceCapabilities();
-      this.socket.emit('join-room-relay', {
-        room: roomName,
-        name: viewerName,
-        deviceInfo
-      });
+      this.socket.emit(
+        'join-room-relay',
+        {
+          room: roomName,
+          name: viewerName,
+          deviceInfo,
+          deviceToken: getDeviceToken(),
+          vipCode: access.vipCode || undefined,
+          vipToken: access.vipToken || undefined
+        },
+        (resp) => {
+          if (typeof onResult === 'function') onResult(resp || { ok: false });
+        }
+      );
       console.log('[Relay] Joining:', roomName, 'as', viewerName);
     }
   }
@@ -205,17 +215,23 @@
 
       // Create relay viewer
       const relay = new RelayViewer(socket, getRtcConfig);
-      relay.joinRoom(roomName, viewerName);
-
-      // Hide join panel
-      setTimeout(() => {
+      const access = {
+        vipCode: document.getElementById('viewerVipCodeInput')?.value.trim(),
+        vipToken: params.get('vipToken')
+      };
+      relay.joinRoom(roomName, viewerName, access, (resp) => {
+        if (!resp.ok) {
+          document.getElementById('joinStatus').textContent = resp.error || 'Unable to join.';
+          return;
+        }
+        // Hide join panel
         document.getElementById('viewerJoinPanel')?.classList.add('hidden');
         const status = document.getElementById('viewerStatus');
         if (status) {
           status.textContent = 'RELAY MODE';
           status.classList.add('live');
         }
-      }, 1000);
+      });
     };
   });
 
@@ -52,6 +52,16 @@ class RelayViewer {
       console.log('[Relay] Connected:', this.mySocketId);
     });
 
+    // Same device token as the regular viewer page, so bans and timeouts
+    // follow the device across both.
+    this.socket.on('device-token', (token) => {
+      try {
+        localStorage.setItem('rebel:deviceToken', token);
+      } catch (err) {
+        // Storage blocked: the server mints a new id on the next join.
+      }
+    });
+
     this.socket.on('parent-assigned', (data) => {
       console.log('[Relay] Parent assigned:', data);
       this.parentId = data.parentId;
@@ -401,16 +411,32 @@ class RelayViewer {
     }
   }
 
-  joinRoom(roomName, viewerName) {
+  // access: { vipCode, vipToken }. onResult gets the server's { ok, error } ack.
+  joinRoom(roomName, viewerName, access = {}, onResult) {
     const deviceInfo = this.detectDeviceCapabilities();
+    let deviceToken;
+    try {
+      deviceToken = localStorage.getItem('rebel:deviceToken') || undefined;
+    } catch (err) {
+      deviceToken = undefined;
+    }
 
     console.log('[Relay] Joining room:', roomName, 'with device info:', deviceInfo);
 
-    this.socket.emit('join-room-relay', {
-      room: roomName,
-      name: viewerName,
-      deviceInfo
-    });
+    this.socket.emit(
+      'join-room-relay',
+      {
+        room: roomName,
+        name: viewerName,
+        deviceInfo,
+        deviceToken,
+        vipCode: access.vipCode || undefined,
+        vipToken: access.vipToken || undefined
+      },
+      (resp) => {
+        if (typeof onResult === 'function') onResult(resp || { ok: false });
+      }
+    );
   }
 
   getStatus() {
@@ -185,7 +185,7 @@ async function ensureStudioHostJoined() {
   );
   const frameWindow = studioFrame.contentWindow;
   if (!frameWindow) throw new Error('Studio iframe missing');
-  frameWindow.sessionStorage.setItem(`hostPassword:${context.roomName}`, context.password);
+  frameWindow.sessionStorage.setItem(`hostToken:${context.roomName}`, context.hostToken || '');
   frameWindow.sessionStorage.setItem(`hostAccess:${context.roomName}`, '1');
 
   const roomInput = doc.getElementById('roomInput');
@@ -430,6 +430,8 @@ async function testHostReenter() {
     password: context.password
   });
   if (!authResp?.ok) throw new Error(authResp?.error || 'Auth failed');
+  if (!authResp.hostToken) throw new Error('Auth did not return a host session token');
+  context.hostToken = authResp.hostToken;
 
   const joinResp = await emitWithAck(hostSocket, 'join-room', {
     room: context.roomName,
@@ -442,6 +444,88 @@ async function testHostReenter() {
   return 'Host re-entered with password.';
 }
 
+async function testHostSessionToken() {
+  if (!context.hostToken) throw new Error('Host session token missing');
+  const socket = io({ autoConnect: false });
+  await connectSocket(socket);
+
+  const bogusResp = await emitWithAck(socket, 'enter-host-room', {
+    roomName: context.roomName,
+    hostToken: `${context.hostToken}x`
+  });
+  if (bogusResp?.ok || !bogusResp?.sessionExpired) {
+    socket.disconnect();
+    throw new Error('Tampered host token was accepted');
+  }
+
+  const resumeResp = await emitWithAck(socket, 'enter-host-room', {
+    roomName: context.roomName,
+    hostToken: context.hostToken
+  });
+  socket.disconnect();
+  if (!resumeResp?.ok || !resumeResp.hostToken) {
+    throw new Error(resumeResp?.error || 'Host token was rejected');
+  }
+  return 'Host session token resumed access; tampered token rejected.';
+}
+
+async function testUnauthorizedRoomMutations() {
+  const outsider = io({ autoConnect: false });
+  const viewer = io({ autoConnect: false });
+  try {
+    await connectSocket(outsider);
+    await connectSocket(viewer);
+    const joinResp = await emitWithAck(viewer, 'join-room', {
+      room: context.roomName,
+      name: 'SelfTest Intruder',
+      isViewer: true
+    });
+    if (!joinResp?.ok) throw new Error(joinResp?.error || 'Viewer join failed');
+
+    const before = await emitWithAck(outsider, 'get-room-info', { roomName: context.roomName });
+    const attempts = [
+      ['update-room-privacy', { roomName: context.roomName, privacy: 'private' }],
+      ['update-room-live', { roomName: context.roomName, isLive: true, viewers: 9999, title: 'Hijacked' }],
+      ['update-vip-required', { roomName: context.roomName, vipRequired: true }],
+      ['generate-vip-code', { room: context.roomName, maxUses: 5 }]
+    ];
+    for (const [label, socket] of [['outsider', outsider], ['viewer', viewer]]) {
+      for (const [event, payload] of attempts) {
+        const resp = await emitWithAck(socket, event, payload);
+        if (resp?.ok) throw new Error(`${event} accepted from ${label} socket`);
+      }
+    }
+
+    const after = await emitWithAck(outsider, 'get-room-info', { roomName: context.roomName });
+    if (after?.privacy !== before?.privacy || after?.vipRequired !== before?.vipRequired) {
+      throw new Error('Room settings changed after rejected updates');
+    }
+
+    // A host of another room must not pass the check with its own room
+    // under one key while the handler reads the target room from another.
+    const ownRoom = `${context.roomName}-other`;
+    const ownResp = await emitWithAck(outsider, 'enter-host-room', {
+      roomName: ownRoom,
+      password: context.password
+    });
+    if (!ownResp?.ok) throw new Error(ownResp?.error || 'Outsider could not create its own room');
+    const mismatched = [
+      ['add-vip-user', { roomName: ownRoom, room: context.roomName, userName: 'SelfTest Smuggled VIP' }],
+      ['generate-vip-code', { roomName: ownRoom, room: context.roomName, maxUses: 5 }],
+      ['update-vip-required', { roomName: context.roomName, room: ownRoom, vipRequired: true }],
+      ['get-vip-codes', { roomName: ownRoom, room: context.roomName }]
+    ];
+    for (const [event, payload] of mismatched) {
+      const resp = await emitWithAck(outsider, event, payload);
+      if (resp?.ok) throw new Error(`${event} with mismatched room/roomName was accepted`);
+    }
+  } finally {
+    outsider.disconnect();
+    viewer.disconnect();
+  }
+  return 'Outsider, viewer and other-room host sockets were rejected for host-only room updates.';
+}
+
 async function testHostStudioAutoEntry() {
   if (!context.hostSocket) throw new Error('Host socket not initialized');
   let role = context.hostRole;
@@ -1065,7 +1149,7 @@ async function testStageCallFlow() {
 async function testHostStateStored() {
   if (!studioFrame?.contentWindow) throw new Error('Studio iframe missing');
   const frameWindow = studioFrame.contentWindow;
-  frameWindow.sessionStorage.setItem(`hostPassword:${context.roomName}`, context.password);
+  frameWindow.sessionStorage.setItem(`hostToken:${context.roomName}`, context.hostToken || '');
   frameWindow.sessionStorage.setItem(`hostAccess:${context.roomName}`, '1');
 
   let promptCalled = false;
@@ -1114,6 +1198,14 @@ async function run() {
       name: 'Host can re-enter a claimed room using password',
       run: testHostReenter
     },
+    {
+      name: 'Host session token resumes access without password',
+      run: testHostSessionToken
+    },
+    {
+      name: 'Unauthorized sockets cannot change room settings',
+      run: testUnauthorizedRoomMutations
+    },
     {
       name: 'Host enters studio automatically after auth',
       run: testHostStudioAutoEntry
@@ -34,6 +34,20 @@ const state = {
   localCallStream: null,
   statsInterval: null,
   joined: false,
+  hostReconnecting: false,
+  chatMode: 'public',
+  chatOldestId: null,
+  chatHasMore: false,
+  chatHistoryLoading: false,
+  poll: null,
+  lastReactionAt: 0,
+  questions: [],
+  myUpvotes: new Set(),
+  stageStatus: 'none',
+  clipsEnabled: true,
+  clip: null,
+  streamQuality: 'auto',
+  candidateType: null,
   roomPrivacy: 'public',
   vipRequired: false,
   turnConfig: {
@@ -54,7 +68,7 @@ function logSelectedCandidate(label, report) {
   console.log(`[WebRTC] ${label} selected candidate: ${candidateType} (${transport})`);
 }
 
-function attachCandidateDiagnostics(pc, label) {
+function attachCandidateDiagnostics(pc, label, onSelected) {
   let logged = false;
   const attemptLog = async () => {
     if (logged) return;
@@ -86,6 +100,7 @@ function attachCandidateDiagnostics(pc, label) {
     });
     if (localCandidate) {
       logSelectedCandidate(label, localCandidate);
+      if (onSelected) onSelected(localCandidate);
       logged = true;
     }
   };
@@ -96,28 +111,48 @@ function attachCandidateDiagnostics(pc, label) {
 // ======================================================
 // REAL-TIME HEALTH REPORTING (Professional Patch)
 // ======================================================
+// Loss and bitrate are measured between samples, so the first report
+// after connecting leaves them out.
 function startStatsReporting(peer) {
   if (state.statsInterval) clearInterval(state.statsInterval);
+  let previous = null;
   state.statsInterval = setInterval(async () => {
     if (!peer || peer.connectionState !== 'connected') return;
 
     const stats = await peer.getStats();
+    let video = null;
     stats.forEach((report) => {
-      if (report.type === 'inbound-rtp' && report.kind === 'video') {
-        const latency = Math.round((report.jitterBufferDelay / report.jitterBufferEmittedCount) * 1000) || 0;
-
-        const badge = $('latencyBadge');
-        const mirror = $('viewerStatusMirror');
-        if (badge) {
-          badge.innerHTML = `⏱️ ${latency}ms`;
-          badge.style.display = 'inline-block';
-          badge.style.color = latency > 200 ? '#ff4b6a' : '#9ba3c0';
-        }
-        if (mirror) mirror.innerHTML = `${latency}ms`;
+      if (report.type === 'inbound-rtp' && report.kind === 'video') video = report;
+    });
+    if (!video) return;
+
+    const latency = Math.round((video.jitterBufferDelay / video.jitterBufferEmittedCount) * 1000) || 0;
+    const badge = $('latencyBadge');
+    const mirror = $('viewerStatusMirror');
+    if (badge) {
+      badge.innerHTML = `⏱️ ${latency}ms`;
+      badge.style.display = 'inline-block';
+      badge.style.color = latency > 200 ? '#ff4b6a' : '#9ba3c0';
+    }
+    if (mirror) mirror.innerHTML = `${latency}ms`;
 
-        socket.emit('report-stats', { latency });
+    const report = {
+      latency,
+      fps: video.framesPerSecond || 0,
+      freezeCount: video.freezeCount || 0
+    };
+    if (state.candidateType) report.candidateType = state.candidateType;
+    if (previous) {
+      const received = video.packetsReceived - previous.packetsReceived;
+      const lost = Math.max(0, video.packetsLost - previous.packetsLost);
+      report.loss = received + lost > 0 ? Number((lost / (received + lost)).toFixed(4)) : 0;
+      const seconds = (video.timestamp - previous.timestamp) / 1000;
+      if (seconds > 0) {
+        report.bitrateKbps = Math.round(((video.bytesReceived - previous.bytesReceived) * 8) / seconds / 1000);
       }
-    });
+    }
+    previous = video;
+    socket.emit('report-stats', report);
   }, 2000);
 }
 
@@ -221,6 +256,7 @@ function attachViewerStream(stream) {
         v.play().catch(() => {});
     }
     setViewerStatus("LIVE", true);
+    syncClipBuffer();
 }
 
 /**
@@ -230,7 +266,10 @@ function attachViewerStream(stream) {
  */
 function createBroadcastPeerConnection() {
     const nextPc = new RTCPeerConnection(getRtcConfig());
-    attachCandidateDiagnostics(nextPc, 'Broadcast');
+    state.candidateType = null;
+    attachCandidateDiagnostics(nextPc, 'Broadcast', (candidate) => {
+        state.candidateType = candidate.candidateType || null;
+    });
     setupReceiver(nextPc);
 
     nextPc.ontrack = (e) => {
@@ -307,6 +346,200 @@ socket.on("disconnect", () => {
 socket.on("webrtc-offer", handleBroadcastOffer);
 socket.on("webrtc-ice-candidate", handleBroadcastIceCandidate);
 
+// ======================================================
+// 2b. CLIP BUFFER (save the last 30/60 seconds)
+// ======================================================
+// While the stream plays, a MediaRecorder writes WebM in one-second slices.
+// Slices do not line up with the file's clusters, so WebmClusterSplitter
+// (webm-clusters.js) re-cuts the bytes into the header and whole clusters.
+// A clip is the header plus the clusters from the last keyframe cluster at
+// or before the window start; requesting regular keyframes keeps that
+// overshoot to a couple of seconds.
+const CLIP_TIMESLICE_MS = 1000;
+const CLIP_KEYFRAME_MS = 2000;
+const CLIP_MAX_SECONDS = 60;
+const CLIP_VIDEO_BITRATE = 2500000;
+const CLIP_MIME_TYPES = ['video/webm;codecs=vp8,opus', 'video/webm;codecs=vp9,opus', 'video/webm'];
+
+function pickClipMimeType() {
+  if (typeof MediaRecorder === 'undefined' || typeof WebmClusterSplitter === 'undefined') return null;
+  return CLIP_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+function stopClipBuffer() {
+  const clip = state.clip;
+  if (!clip) return;
+  state.clip = null;
+  if (clip.recorder.state !== 'inactive') clip.recorder.stop();
+}
+
+// Index of the last keyframe cluster starting at or before timeMs, else the
+// first keyframe cluster, else -1.
+function clipStartIndex(clusters, timeMs) {
+  let index = -1;
+  for (let i = 0; i < clusters.length; i += 1) {
+    if (!clusters[i].keyframe) continue;
+    if (clusters[i].timeMs > timeMs && index !== -1) break;
+    index = i;
+    if (clusters[i].timeMs > timeMs) break;
+  }
+  return index;
+}
+
+function startClipBuffer(stream) {
+  stopClipBuffer();
+  const mimeType = pickClipMimeType();
+  if (!mimeType || !stream || !stream.getTracks().length) return;
+
+  let recorder;
+  try {
+    recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: CLIP_VIDEO_BITRATE,
+      videoKeyFrameIntervalDuration: CLIP_KEYFRAME_MS
+    });
+  } catch (err) {
+    console.warn('[Viewer] Clip buffer unavailable', err);
+    return;
+  }
+
+  const clip = {
+    recorder,
+    stream,
+    mimeType,
+    splitter: new WebmClusterSplitter(),
+    clusters: [],
+    queue: Promise.resolve()
+  };
+  // Blob reads are async; chain them so bytes reach the parser in order.
+  recorder.ondataavailable = (e) => {
+    if (!e.data || !e.data.size) return;
+    clip.queue = clip.queue
+      .then(async () => {
+        const bytes = new Uint8Array(await e.data.arrayBuffer());
+        if (state.clip !== clip) return;
+        clip.clusters.push(...clip.splitter.push(bytes));
+        const newest = clip.clusters[clip.clusters.length - 1];
+        if (!newest) return;
+        const keepFrom = clipStartIndex(clip.clusters, newest.timeMs - CLIP_MAX_SECONDS * 1000);
+        if (keepFrom > 0) clip.clusters.splice(0, keepFrom);
+      })
+      .catch((err) => {
+        console.warn('[Viewer] Clip buffer stopped', err);
+        if (state.clip !== clip) return;
+        stopClipBuffer();
+        updateClipControls();
+      });
+  };
+  recorder.start(CLIP_TIMESLICE_MS);
+  state.clip = clip;
+}
+
+// Keep the buffer in step with the playing stream and the room setting.
+function syncClipBuffer() {
+  const video = $('viewerVideo');
+  const stream = video ? video.srcObject : null;
+  const wanted = state.clipsEnabled && stream && stream.getTracks().some((t) => t.readyState === 'live');
+  if (!wanted) {
+    stopClipBuffer();
+  } else if (!state.clip || state.clip.stream !== stream) {
+    startClipBuffer(stream);
+  }
+  updateClipControls();
+}
+
+function updateClipControls() {
+  const button = $('clipBtn');
+  const select = $('clipLengthSelect');
+  const visible = state.clipsEnabled && !!state.clip;
+  if (button) button.style.display = visible ? 'inline-block' : 'none';
+  if (select) select.style.display = visible ? 'inline-block' : 'none';
+}
+
+function saveClip(seconds) {
+  const clip = state.clip;
+  if (!clip || !state.clipsEnabled) return;
+  const partial = clip.splitter.partialCluster();
+  const clusters = partial ? [...clip.clusters, partial] : clip.clusters;
+  const newest = clusters[clusters.length - 1];
+  const start = newest ? clipStartIndex(clusters, newest.timeMs - seconds * 1000) : -1;
+  if (!clip.splitter.header || start === -1) {
+    appendChat('System', 'Nothing to clip yet. Try again in a few seconds.');
+    return;
+  }
+
+  const kept = clusters.slice(start);
+  const blob = new Blob([clip.splitter.header, ...kept.map((cluster) => cluster.data)], {
+    type: clip.mimeType.split(';')[0]
+  });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${state.currentRoom || 'stream'}-clip-${stamp}.webm`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+
+  // Cluster timecodes mark where each one starts; the newest is still open.
+  const captured = Math.max(1, Math.round((newest.timeMs - kept[0].timeMs) / 1000) + 1);
+  appendChat('System', `Saved a ${Math.min(seconds, captured)}s clip.`);
+}
+
+function applyClipsConfig(enabled) {
+  state.clipsEnabled = enabled !== false;
+  syncClipBuffer();
+}
+
+socket.on('clips-config', ({ clipsEnabled } = {}) => {
+  const wasEnabled = state.clipsEnabled;
+  applyClipsConfig(clipsEnabled);
+  if (wasEnabled && !state.clipsEnabled) appendChat('System', 'The host turned off clips for this stream.');
+});
+
+// ======================================================
+// 2c. QUALITY SELECTION
+// ======================================================
+// The host encodes a separate stream per viewer, so a viewer can cap their
+// own quality. Fixed levels are a ceiling (the host still drops below it on
+// a bad link); audio only stops the video entirely.
+const QUALITY_STORAGE_KEY = 'rebel:streamQuality';
+const STREAM_QUALITIES = ['auto', '1080p', '720p', '360p', 'audio'];
+
+function loadStreamQuality() {
+  try {
+    const stored = localStorage.getItem(QUALITY_STORAGE_KEY);
+    return STREAM_QUALITIES.includes(stored) ? stored : 'auto';
+  } catch (err) {
+    return 'auto';
+  }
+}
+
+function applyStreamQualityUI() {
+  document.body.classList.toggle('audio-only', state.streamQuality === 'audio');
+  const select = $('qualitySelect');
+  if (select) select.value = state.streamQuality;
+}
+
+function sendStreamQuality() {
+  if (!state.joined) return;
+  socket.emit('set-stream-quality', { quality: state.streamQuality }, (resp) => {
+    if (resp && !resp.ok) appendChat('System', resp.error || 'Could not change quality.');
+  });
+}
+
+function setStreamQuality(quality) {
+  state.streamQuality = quality;
+  try {
+    localStorage.setItem(QUALITY_STORAGE_KEY, quality);
+  } catch (err) {
+    // Private mode: the choice lasts for this tab.
+  }
+  applyStreamQualityUI();
+  sendStreamQuality();
+}
+
 // ======================================================
 // 3. ON-STAGE CALL (host ↔ viewer 1-to-1 call)
 // ======================================================
@@ -344,7 +577,11 @@ async function handleRingAlert({ from, fromId }) {
     const ok = confirm(
         `Host ${from} wants to bring you on stage.\n\nAllow camera & mic?`
     );
-    if (!ok) return;
+    if (!ok) {
+        // Give the stage slot back so the next person in line can go up.
+        socket.emit('cancel-call-request');
+        return;
+    }
 
     try {
         await ensureLocalCallStream();
@@ -456,14 +693,41 @@ socket.on("call-ice", handleCallIce);
 socket.on("call-end", handleCallEnd);
 
 // ======================================================
-// 4. CHAT + SYSTEM MESSAGES
+// 3b. STAGE QUEUE POSITION
 // ======================================================
-function appendChat(name, text) {
-  const log = $('chatLog');
-  if (!log) return;
+/**
+ * Reflect our place in the host's stage queue on the request button.
+ * Signaling direction: [SERVER] -> (stage-status) -> [VIEWER]
+ */
+function handleStageStatus({ status, position, waiting, upNext } = {}) {
+  const requestBtn = $('requestCallBtn');
+  state.stageStatus = status;
+  document.body.classList.toggle('hand-active', status === 'queued' || status === 'accepted');
+  if (!requestBtn) return;
+
+  requestBtn.disabled = status === 'accepted';
+  if (status === 'queued') {
+    requestBtn.textContent = upNext ? "✋ You're next" : `✋ In line: ${position} of ${waiting}`;
+    requestBtn.title = 'Click to leave the queue';
+  } else if (status === 'accepted') {
+    requestBtn.textContent = '🎤 On stage';
+    requestBtn.title = '';
+  } else {
+    requestBtn.textContent = '✋ Request to Join';
+    requestBtn.title = '';
+    if (status === 'declined') appendChat('System', 'The host declined your request to join.');
+  }
+}
+
+socket.on('stage-status', handleStageStatus);
 
+// ======================================================
+// 4. CHAT + SYSTEM MESSAGES
+// ======================================================
+function buildChatLine(name, text, id) {
   const div = document.createElement('div');
   div.className = 'chat-line';
+  if (id) div.dataset.msgId = id;
 
   const strong = document.createElement('strong');
   strong.textContent = name;
@@ -473,8 +737,58 @@ function appendChat(name, text) {
 
   div.appendChild(strong);
   div.appendChild(span);
-  log.appendChild(div);
+  return div;
+}
+
+function appendChat(name, text, id) {
+  const log = $('chatLog');
+  if (!log) return;
+  if (id && log.querySelector(`[data-msg-id="${id}"]`)) return;
+
+  log.appendChild(buildChatLine(name, text, id));
   log.scrollTop = log.scrollHeight;
+  if (id && !state.chatOldestId) state.chatOldestId = id;
+}
+
+/**
+ * Insert older messages (oldest first) above the current log, keeping the
+ * reader's scroll position.
+ */
+function prependChatHistory(messages, hasMore) {
+  const log = $('chatLog');
+  if (!log) return;
+  const previousHeight = log.scrollHeight;
+  const fragment = document.createDocumentFragment();
+  messages.forEach((m) => {
+    if (m.id && log.querySelector(`[data-msg-id="${m.id}"]`)) return;
+    fragment.appendChild(buildChatLine(m.name, m.text, m.id));
+  });
+  log.insertBefore(fragment, log.firstChild);
+  log.scrollTop += log.scrollHeight - previousHeight;
+
+  if (messages.length) state.chatOldestId = messages[0].id;
+  state.chatHasMore = !!hasMore;
+}
+
+async function loadOlderChat() {
+  if (!state.chatHasMore || state.chatHistoryLoading || !state.currentRoom) return;
+  state.chatHistoryLoading = true;
+  try {
+    const resp = await emitWithAck('get-chat-history', {
+      room: state.currentRoom,
+      before: state.chatOldestId || undefined
+    });
+    if (resp?.ok) prependChatHistory(resp.messages || [], resp.hasMore);
+  } finally {
+    state.chatHistoryLoading = false;
+  }
+}
+
+const chatLogEl = $('chatLog');
+if (chatLogEl) {
+  chatLogEl.addEventListener('scroll', () => {
+    if (chatLogEl.scrollTop === 0) loadOlderChat();
+  });
 }
 
 function getFriendlyVipMessage(error, hasCode) {
@@ -489,14 +803,56 @@ function getFriendlyVipMessage(error, hasCode) {
 }
 
 socket.on('public-chat', (d) => {
-  appendChat(d.name, d.text);
+  appendChat(d.name, d.text, d.id);
+});
+
+// Recent messages sent by the server right after join-room.
+socket.on('chat-history', ({ messages, hasMore } = {}) => {
+  prependChatHistory(Array.isArray(messages) ? messages : [], hasMore);
+  const log = $('chatLog');
+  if (log) log.scrollTop = log.scrollHeight;
+});
+
+socket.on('rate-limited', ({ action, retryAfterMs }) => {
+  const seconds = Math.ceil((retryAfterMs || 0) / 1000);
+  if (action === 'muted') {
+    appendChat('System', `You have been muted for ${seconds}s for sending too fast.`);
+  } else if (action === 'throttled') {
+    appendChat('System', 'Slow down — your last message was not sent.');
+  }
+});
+
+socket.on('chat-message-deleted', ({ id } = {}) => {
+  const line = id && $('chatLog')?.querySelector(`[data-msg-id="${id}"]`);
+  if (line) line.remove();
+});
+
+socket.on('chat-timeout', ({ until } = {}) => {
+  if (!until) {
+    appendChat('System', 'Your chat timeout has been lifted.');
+    return;
+  }
+  const minutes = Math.max(1, Math.ceil((until - Date.now()) / 60000));
+  appendChat('System', `You are timed out from chat for ${minutes} more minute${minutes === 1 ? '' : 's'}.`);
 });
 
-socket.on('kicked', () => {
-  alert('You have been kicked from the room by the host.');
+socket.on('kicked', ({ banned } = {}) => {
+  alert(banned ? 'You have been banned from this room by the host.' : 'You have been kicked from the room by the host.');
   window.location.href = 'index.html';
 });
 
+// The server holds a password-protected room for its host for a grace
+// period after the host drops; show that instead of a dead stream.
+socket.on('room-update', ({ ownerId, hostReconnecting } = {}) => {
+  if (hostReconnecting) {
+    state.hostReconnecting = true;
+    setViewerStatus('HOST RECONNECTING…', false);
+  } else if (state.hostReconnecting) {
+    state.hostReconnecting = false;
+    setViewerStatus(ownerId ? 'CONNECTED' : 'HOST OFFLINE', false);
+  }
+});
+
 socket.on('room-error', (err) => {
   if (!state.joined) {
     const status = $('joinStatus');
@@ -507,6 +863,193 @@ socket.on('room-error', (err) => {
   window.location.href = 'index.html';
 });
 
+// ======================================================
+// 4b. REACTIONS + POLLS
+// ======================================================
+// Keep in sync with REACTION_EMOJIS in engagement.js.
+const REACTION_EMOJIS = ['❤️', '🔥', '😂', '👏', '😮', '👍'];
+const REACTION_MIN_INTERVAL_MS = 200;
+const MAX_FLOATS_PER_BURST = 12;
+
+function floatReaction(emoji) {
+  const layer = $('reactionLayer');
+  if (!layer) return;
+  const el = document.createElement('span');
+  el.className = 'reaction-float';
+  el.textContent = emoji;
+  el.style.left = `${Math.floor(Math.random() * 40)}px`;
+  el.addEventListener('animationend', () => el.remove());
+  layer.appendChild(el);
+}
+
+function sendReaction(emoji) {
+  if (!state.joined) return;
+  // Client-side pacing keeps taps well under the server's rate limit.
+  const now = Date.now();
+  if (now - state.lastReactionAt < REACTION_MIN_INTERVAL_MS) return;
+  state.lastReactionAt = now;
+  socket.emit('send-reaction', { emoji });
+}
+
+function renderReactionBar() {
+  const bar = $('reactionBar');
+  if (!bar) return;
+  bar.innerHTML = '';
+  REACTION_EMOJIS.forEach((emoji) => {
+    const btn = document.createElement('button');
+    btn.textContent = emoji;
+    btn.title = 'React';
+    btn.onclick = () => sendReaction(emoji);
+    bar.appendChild(btn);
+  });
+}
+
+socket.on('reaction-burst', ({ counts } = {}) => {
+  if (!counts) return;
+  const floats = [];
+  Object.entries(counts).forEach(([emoji, count]) => {
+    for (let i = 0; i < count; i += 1) floats.push(emoji);
+  });
+  floats.slice(0, MAX_FLOATS_PER_BURST).forEach((emoji, i) => {
+    setTimeout(() => floatReaction(emoji), i * 80);
+  });
+});
+
+function renderPoll() {
+  const card = $('pollCard');
+  const poll = state.poll;
+  if (!card) return;
+  card.classList.toggle('hidden', !poll);
+  if (!poll) return;
+
+  $('pollQuestion').textContent = poll.question;
+  const list = $('pollOptions');
+  list.innerHTML = '';
+  const voted = Number.isInteger(poll.myVote);
+  const showResults = voted || !poll.open;
+  poll.options.forEach((option, index) => {
+    const btn = document.createElement('button');
+    btn.className = 'poll-option';
+    if (poll.myVote === index) btn.classList.add('mine');
+    btn.disabled = showResults;
+    if (showResults) {
+      const percent = poll.totalVotes ? Math.round((option.votes / poll.totalVotes) * 100) : 0;
+      const fill = document.createElement('div');
+      fill.className = 'poll-fill';
+      fill.style.width = `${percent}%`;
+      btn.appendChild(fill);
+      const label = document.createElement('span');
+      label.textContent = `${option.text} — ${percent}%`;
+      btn.appendChild(label);
+    } else {
+      const label = document.createElement('span');
+      label.textContent = option.text;
+      btn.appendChild(label);
+      btn.onclick = () => votePoll(index);
+    }
+    list.appendChild(btn);
+  });
+  $('pollMeta').textContent = `${poll.totalVotes} vote${poll.totalVotes === 1 ? '' : 's'}${poll.open ? '' : ' · closed'}`;
+}
+
+function votePoll(optionIndex) {
+  const poll = state.poll;
+  if (!poll) return;
+  socket.emit('vote-poll', { pollId: poll.id, optionIndex }, (resp) => {
+    if (!resp?.ok) {
+      appendChat('System', resp?.error || 'Vote not counted.');
+      return;
+    }
+    if (state.poll && state.poll.id === poll.id) {
+      state.poll.myVote = resp.myVote;
+      renderPoll();
+    }
+  });
+}
+
+// Broadcast updates omit myVote; keep ours while the poll is the same.
+socket.on('poll-update', (poll) => {
+  if (poll && state.poll && state.poll.id === poll.id && poll.myVote === undefined) {
+    poll.myVote = state.poll.myVote;
+  }
+  state.poll = poll || null;
+  renderPoll();
+});
+
+// ======================================================
+// 4c. Q&A QUEUE
+// ======================================================
+function renderQuestions() {
+  const log = $('qaLog');
+  if (!log) return;
+  log.innerHTML = '';
+  if (!state.questions.length) {
+    log.appendChild(buildChatLine('System', 'No questions yet. Ask one below.'));
+    return;
+  }
+  state.questions.forEach((question) => {
+    const row = document.createElement('div');
+    row.className = 'qa-item';
+    if (question.answered) row.classList.add('answered');
+    if (question.pinned) row.classList.add('pinned');
+
+    const upvote = document.createElement('button');
+    upvote.className = 'qa-upvote';
+    if (state.myUpvotes.has(question.id)) upvote.classList.add('mine');
+    upvote.textContent = `▲ ${question.upvotes}`;
+    upvote.disabled = question.answered;
+    upvote.onclick = () => upvoteQuestion(question.id);
+
+    const text = document.createElement('div');
+    text.className = 'qa-text';
+    const name = document.createElement('strong');
+    name.textContent = `${question.name}: `;
+    text.appendChild(name);
+    text.appendChild(document.createTextNode(question.text));
+    if (question.pinned) text.appendChild(document.createTextNode(' 📌'));
+    if (question.answered) text.appendChild(document.createTextNode(' ✓'));
+
+    row.appendChild(upvote);
+    row.appendChild(text);
+    log.appendChild(row);
+  });
+}
+
+function submitQuestion(text) {
+  socket.emit('submit-question', { text }, (resp) => {
+    if (!resp?.ok) {
+      $('qaLog')?.appendChild(buildChatLine('System', resp?.error || 'Question not sent.'));
+      return;
+    }
+    // The asker's own upvote is counted when the question is created.
+    state.myUpvotes.add(resp.questionId);
+    renderQuestions();
+  });
+}
+
+function upvoteQuestion(questionId) {
+  socket.emit('upvote-question', { questionId }, (resp) => {
+    if (!resp?.ok) return;
+    if (resp.upvoted) state.myUpvotes.add(questionId);
+    else state.myUpvotes.delete(questionId);
+    renderQuestions();
+  });
+}
+
+// The join snapshot carries our own upvotes; later broadcasts do not.
+socket.on('qa-update', ({ questions } = {}) => {
+  const previousCount = state.questions.length;
+  state.questions = Array.isArray(questions) ? questions : [];
+  state.questions.forEach((question) => {
+    if (question.upvoted === true) state.myUpvotes.add(question.id);
+    if (question.upvoted === false) state.myUpvotes.delete(question.id);
+  });
+  renderQuestions();
+  if (state.chatMode !== 'qa' && state.questions.length > previousCount) {
+    $('chatTabQa')?.classList.add('has-new');
+  }
+});
+
 // ======================================================
 // 5. UI WIRING (join room, chat, mute, fullscreen, etc.)
 // ======================================================
@@ -517,16 +1060,86 @@ function sendChat() {
   const text = input.value.trim();
   if (!text) return;
 
-  socket.emit('public-chat', {
-    room: state.currentRoom,
-    name: state.myName,
-    text,
-    fromViewer: true
-  });
+  if (state.chatMode === 'host') {
+    sendDirectToHost(text);
+  } else if (state.chatMode === 'qa') {
+    submitQuestion(text);
+  } else {
+    socket.emit('public-chat', {
+      room: state.currentRoom,
+      name: state.myName,
+      text,
+      fromViewer: true
+    });
+  }
 
   input.value = '';
 }
 
+// Private 1:1 thread with the host (server only delivers to the host).
+function appendDirect(name, text) {
+  const log = $('dmLog');
+  if (!log) return;
+  log.appendChild(buildChatLine(name, text));
+  log.scrollTop = log.scrollHeight;
+}
+
+function sendDirectToHost(text) {
+  socket.emit('direct-message', { text }, (resp) => {
+    if (!resp?.ok) {
+      appendDirect('System', resp?.error || 'Message not delivered.');
+      return;
+    }
+    appendDirect('You → Host', resp.message.text);
+  });
+}
+
+const CHAT_MODES = {
+  public: { tab: 'chatTabPublic', log: 'chatLog', placeholder: 'Say something...' },
+  host: { tab: 'chatTabHost', log: 'dmLog', placeholder: 'Message the host privately...' },
+  qa: { tab: 'chatTabQa', log: 'qaLog', placeholder: 'Ask the host a question...' }
+};
+
+function setChatMode(mode) {
+  state.chatMode = CHAT_MODES[mode] ? mode : 'public';
+  Object.entries(CHAT_MODES).forEach(([name, { tab, log }]) => {
+    const active = name === state.chatMode;
+    $(tab)?.classList.toggle('active', active);
+    $(log)?.classList.toggle('hidden', !active);
+    if (active) $(tab)?.classList.remove('has-new');
+  });
+  const input = $('chatInput');
+  if (input) input.placeholder = CHAT_MODES[state.chatMode].placeholder;
+}
+
+$('chatTabPublic')?.addEventListener('click', () => setChatMode('public'));
+$('chatTabHost')?.addEventListener('click', () => setChatMode('host'));
+$('chatTabQa')?.addEventListener('click', () => setChatMode('qa'));
+
+socket.on('direct-message', (message) => {
+  appendDirect(`${message.fromName} (Host)`, message.text);
+  if (state.chatMode !== 'host') $('chatTabHost')?.classList.add('has-new');
+});
+
+// Signed device token the server mints on first join; it carries the id
+// behind this browser's ban/vote fingerprint.
+function getDeviceToken() {
+  try {
+    return localStorage.getItem('rebel:deviceToken') || undefined;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+socket.on('device-token', (token) => {
+  try {
+    localStorage.setItem('rebel:deviceToken', token);
+    localStorage.removeItem('rebel:deviceId');
+  } catch (err) {
+    // Storage blocked: the server mints a new id on the next join.
+  }
+});
+
 function emitWithAck(eventName, payload) {
   return new Promise((resolve) => {
     socket.emit(eventName, payload, resolve);
@@ -590,6 +1203,7 @@ async function fetchRoomConfig(roomName) {
   if (config?.ok) {
     applyPaymentConfig(config);
     applyTurnConfig(config.turnConfig);
+    applyClipsConfig(config.clipsEnabled);
   }
 }
 
@@ -629,11 +1243,14 @@ window.addEventListener('load', () => {
         name: state.myName,
         isViewer: true,
         vipToken,
-        vipCode: codeValue
+        vipCode: codeValue,
+        deviceToken: getDeviceToken()
       },
       (resp) => {
         if (resp?.ok) {
           state.joined = true;
+          // The server keeps the choice per socket, so send it on every join.
+          if (state.streamQuality !== 'auto') sendStreamQuality();
           if (joinPanel) joinPanel.classList.add('hidden');
           if (joinStatus) joinStatus.textContent = '';
           fetchRoomConfig(state.currentRoom);
@@ -711,13 +1328,19 @@ window.addEventListener('load', () => {
     };
   }
 
+  renderReactionBar();
+  renderQuestions();
+
   const requestBtn = $('requestCallBtn');
   if (requestBtn) {
     requestBtn.onclick = () => {
-      socket.emit('request-to-call');
-      document.body.classList.add('hand-active');
-      requestBtn.textContent = 'Request Sent ✋';
-      requestBtn.disabled = true;
+      if (state.stageStatus === 'queued') {
+        if (confirm('Leave the stage queue?')) socket.emit('cancel-call-request');
+        return;
+      }
+      socket.emit('request-to-call', (resp) => {
+        if (resp && !resp.ok) appendChat('System', resp.error || 'Request not sent.');
+      });
     };
   }
 
@@ -760,6 +1383,21 @@ window.addEventListener('load', () => {
       box.classList.toggle('hidden');
     };
   }
+
+  state.streamQuality = loadStreamQuality();
+  applyStreamQualityUI();
+  const qualitySelect = $('qualitySelect');
+  if (qualitySelect) {
+    qualitySelect.onchange = () => setStreamQuality(qualitySelect.value);
+  }
+
+  const clipBtn = $('clipBtn');
+  if (clipBtn) {
+    clipBtn.onclick = () => {
+      const seconds = parseInt($('clipLengthSelect')?.value, 10) || 30;
+      saveClip(seconds);
+    };
+  }
 });
 
 // ======================================================
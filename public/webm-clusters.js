@@ -0,0 +1,214 @@
+/**
+ * WEBM CLUSTERS MODULE
+ * Splits a live MediaRecorder WebM stream into its header and whole clusters
+ *
+ * Timesliced MediaRecorder blobs do not follow the file's structure: the
+ * first one carries the header and the first media, and later ones can start
+ * partway through a cluster. This walks the EBML elements as bytes arrive,
+ * keeps everything before the first Cluster as the header, and hands back
+ * each cluster once the next one begins, flagged when it opens on a video
+ * keyframe. Header + keyframe cluster + the clusters after it plays on its
+ * own.
+ */
+
+const EBML_IDS = {
+  SEGMENT: 0x18538067,
+  CLUSTER: 0x1f43b675,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  TRACK_NUMBER: 0xd7,
+  TRACK_TYPE: 0x83,
+  TIMECODE: 0xe7,
+  SIMPLE_BLOCK: 0xa3,
+  BLOCK_GROUP: 0xa0,
+  BLOCK: 0xa1,
+  REFERENCE_BLOCK: 0xfb
+};
+const EBML_TRACK_TYPE_VIDEO = 1;
+const EBML_DEFAULT_TIMECODE_SCALE = 1000000; // nanoseconds per tick: 1 ms
+
+/**
+ * Reads an EBML variable-length integer at pos. IDs keep their length
+ * marker; sizes drop it and report whether they were the "unknown" value.
+ * Returns null when the bytes are not all here yet.
+ */
+function readVint(bytes, pos, keepMarker) {
+  if (pos >= bytes.length) return null;
+  const first = bytes[pos];
+  let length = 1;
+  let mask = 0x80;
+  while (length <= 8 && !(first & mask)) {
+    length += 1;
+    mask >>= 1;
+  }
+  if (length > 8) throw new Error('Invalid EBML length');
+  if (pos + length > bytes.length) return null;
+
+  let value = keepMarker ? first : first & (mask - 1);
+  let unknown = (first & (mask - 1)) === mask - 1;
+  for (let i = 1; i < length; i += 1) {
+    value = value * 256 + bytes[pos + i];
+    if (bytes[pos + i] !== 0xff) unknown = false;
+  }
+  return { value, length, unknown: !keepMarker && unknown };
+}
+
+function readUint(bytes, start, end) {
+  let value = 0;
+  for (let i = start; i < end; i += 1) value = value * 256 + bytes[i];
+  return value;
+}
+
+// Calls fn(id, dataStart, dataEnd) for each child of a complete element.
+function forEachChild(bytes, start, end, fn) {
+  let pos = start;
+  while (pos < end) {
+    const id = readVint(bytes, pos, true);
+    const size = id && readVint(bytes, pos + id.length, false);
+    if (!size || size.unknown) return;
+    const dataStart = pos + id.length + size.length;
+    const dataEnd = Math.min(end, dataStart + size.value);
+    fn(id.value, dataStart, dataEnd);
+    pos = dataEnd;
+  }
+}
+
+function concatBytes(a, b) {
+  if (!a.length) return b;
+  const joined = new Uint8Array(a.length + b.length);
+  joined.set(a, 0);
+  joined.set(b, a.length);
+  return joined;
+}
+
+class WebmClusterSplitter {
+  constructor() {
+    this.pending = new Uint8Array(0);
+    this.headerParts = [];
+    this.header = null; // Blob, once the first cluster starts
+    this.current = null; // cluster being filled
+    this.timecodeScale = EBML_DEFAULT_TIMECODE_SCALE;
+    this.videoTracks = new Set();
+  }
+
+  /**
+   * Feeds the next bytes of the stream (a Uint8Array) and returns the
+   * clusters they completed: { data: Blob, timeMs, keyframe }.
+   */
+  push(chunk) {
+    const bytes = concatBytes(this.pending, chunk);
+    const completed = [];
+    let pos = 0;
+
+    for (;;) {
+      const id = readVint(bytes, pos, true);
+      const size = id && readVint(bytes, pos + id.length, false);
+      if (!size) break;
+      const dataStart = pos + id.length + size.length;
+
+      // Segment and Cluster are usually written with an unknown size, so
+      // step into them and read their children one by one.
+      if (id.value === EBML_IDS.SEGMENT || id.value === EBML_IDS.CLUSTER) {
+        const head = bytes.slice(pos, dataStart);
+        if (id.value === EBML_IDS.SEGMENT) {
+          this.headerParts.push(head);
+        } else {
+          if (this.current) completed.push(this.finishCluster());
+          if (!this.header) this.header = new Blob(this.headerParts);
+          this.current = { parts: [head], timeMs: null, keyframe: null };
+        }
+        pos = dataStart;
+        continue;
+      }
+
+      if (size.unknown) throw new Error(`Unsupported unknown-size element 0x${id.value.toString(16)}`);
+      const end = dataStart + size.value;
+      if (end > bytes.length) break;
+
+      const element = bytes.slice(pos, end);
+      if (this.current) {
+        this.current.parts.push(element);
+        this.readClusterChild(id.value, bytes, dataStart, end);
+      } else {
+        this.headerParts.push(element);
+        this.readHeaderElement(id.value, bytes, dataStart, end);
+      }
+      pos = end;
+    }
+
+    this.pending = bytes.slice(pos);
+    return completed;
+  }
+
+  /**
+   * The cluster still being written, as far as it has arrived. Its elements
+   * are whole, so it can end a clip.
+   */
+  partialCluster() {
+    if (!this.current) return null;
+    return { data: new Blob(this.current.parts), timeMs: this.current.timeMs, keyframe: this.current.keyframe === true };
+  }
+
+  finishCluster() {
+    const cluster = this.partialCluster();
+    this.current = null;
+    return cluster;
+  }
+
+  readHeaderElement(id, bytes, start, end) {
+    if (id === EBML_IDS.INFO) {
+      forEachChild(bytes, start, end, (childId, childStart, childEnd) => {
+        if (childId === EBML_IDS.TIMECODE_SCALE) this.timecodeScale = readUint(bytes, childStart, childEnd);
+      });
+    } else if (id === EBML_IDS.TRACKS) {
+      forEachChild(bytes, start, end, (entryId, entryStart, entryEnd) => {
+        if (entryId !== EBML_IDS.TRACK_ENTRY) return;
+        let number = null;
+        let type = null;
+        forEachChild(bytes, entryStart, entryEnd, (childId, childStart, childEnd) => {
+          if (childId === EBML_IDS.TRACK_NUMBER) number = readUint(bytes, childStart, childEnd);
+          if (childId === EBML_IDS.TRACK_TYPE) type = readUint(bytes, childStart, childEnd);
+        });
+        if (number !== null && type === EBML_TRACK_TYPE_VIDEO) this.videoTracks.add(number);
+      });
+    }
+  }
+
+  readClusterChild(id, bytes, start, end) {
+    const cluster = this.current;
+    if (id === EBML_IDS.TIMECODE) {
+      cluster.timeMs = (readUint(bytes, start, end) * this.timecodeScale) / 1e6;
+      return;
+    }
+    // Only the cluster's first video block decides whether it opens on a
+    // keyframe. Audio-only streams can start a clip at any cluster.
+    if (cluster.keyframe !== null) return;
+    if (!this.videoTracks.size) {
+      cluster.keyframe = true;
+      return;
+    }
+
+    if (id === EBML_IDS.SIMPLE_BLOCK) {
+      const track = readVint(bytes, start, false);
+      if (!track || !this.videoTracks.has(track.value)) return;
+      // Block header: track number, 16-bit relative timecode, flags.
+      cluster.keyframe = (bytes[start + track.length + 2] & 0x80) !== 0;
+    } else if (id === EBML_IDS.BLOCK_GROUP) {
+      let video = false;
+      let referenced = false;
+      forEachChild(bytes, start, end, (childId, childStart) => {
+        if (childId === EBML_IDS.BLOCK) {
+          const track = readVint(bytes, childStart, false);
+          video = !!track && this.videoTracks.has(track.value);
+        }
+        if (childId === EBML_IDS.REFERENCE_BLOCK) referenced = true;
+      });
+      if (video) cluster.keyframe = !referenced;
+    }
+  }
+}
+
+// Export class (each clip buffer parses its own recorder's stream)
+window.WebmClusterSplitter = WebmClusterSplitter;
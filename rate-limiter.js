@@ -0,0 +1,231 @@
+/**
+ * RATE LIMITER
+ * Token-bucket throttling for chat, reactions, Q&A, quality and stats reports, file-share and call signaling events
+ *
+ * Every limited event draws from three buckets: the sending socket, its IP
+ * and the room the socket has joined. Repeated throttling escalates from dropping events
+ * to muting the socket and finally disconnecting it.
+ *
+ * Behind a reverse proxy every socket shares the proxy's address, so the IP
+ * comes from X-Forwarded-For when TRUST_PROXY names how many proxy hops to
+ * trust (see clientAddress).
+ */
+
+const RATE_LIMITED = 'RATE_LIMITED';
+
+// [capacity, refill tokens per second] for each scope.
+const DEFAULT_LIMITS = {
+  'public-chat': { socket: [5, 1], ip: [15, 3], room: [60, 15] },
+  'private-chat': { socket: [5, 1], ip: [15, 3], room: [60, 15] },
+  'direct-message': { socket: [5, 1], ip: [15, 3] },
+  'send-reaction': { socket: [20, 8], ip: [60, 24] },
+  'vote-poll': { socket: [5, 1], ip: [30, 10] },
+  'set-stream-quality': { socket: [5, 0.5], ip: [20, 2] },
+  // Socket scope only: a venue full of viewers behind one IP all report.
+  'report-stats': { socket: [3, 1] },
+  'submit-question': { socket: [3, 0.1], ip: [10, 0.5], room: [30, 2] },
+  'upvote-question': { socket: [10, 2], ip: [40, 10] },
+  'file-share': { socket: [2, 0.05], ip: [4, 0.1], room: [6, 0.2] },
+  'ring-user': { socket: [3, 0.2], ip: [6, 0.5] },
+  'request-to-call': { socket: [2, 0.1], ip: [5, 0.3], room: [20, 2] },
+  // Not a socket event: device ids minted per IP when join-room arrives
+  // without a valid device token (see resolveDeviceId in server.js).
+  'device-token': { ip: [20, 0.5] }
+};
+
+const DEFAULT_PENALTIES = {
+  muteAfter: 3, // strikes before the socket is muted
+  disconnectAfter: 6, // strikes before the socket is dropped
+  muteMs: 30 * 1000,
+  strikeWindowMs: 60 * 1000 // strikes reset after this long without a violation
+};
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const IDLE_BUCKET_MS = 5 * 60 * 1000;
+
+/**
+ * Merge per-event overrides (e.g. from RATE_LIMITS JSON) over the defaults.
+ */
+function mergeLimits(overrides) {
+  const limits = {};
+  Object.entries(DEFAULT_LIMITS).forEach(([eventName, scopes]) => {
+    limits[eventName] = { ...scopes };
+  });
+  Object.entries(overrides || {}).forEach(([eventName, scopes]) => {
+    limits[eventName] = { ...(limits[eventName] || {}), ...scopes };
+  });
+  return limits;
+}
+
+/**
+ * The client IP behind `trustedHops` reverse proxies, read like Express's
+ * numeric "trust proxy": the socket address first, then X-Forwarded-For
+ * from right to left, one entry per trusted hop. Without trusted hops the
+ * header is ignored, since clients can write anything in it. Returns null
+ * when the chain is too short to say who the client is.
+ */
+function clientAddress(socket, trustedHops = 0) {
+  const address = socket.handshake.address;
+  if (!trustedHops) return address || null;
+  const forwarded = String(socket.handshake.headers?.['x-forwarded-for'] || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  const chain = [address, ...forwarded.reverse()];
+  return chain.length > trustedHops ? chain[trustedHops] : null;
+}
+
+function parseLimitOverrides(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.warn('[RateLimit] Ignoring invalid RATE_LIMITS:', err.message);
+    return null;
+  }
+}
+
+class RateLimiter {
+  constructor({ limits, penalties, trustProxy = parseInt(process.env.TRUST_PROXY, 10) || 0 } = {}) {
+    this.limits = mergeLimits(limits || parseLimitOverrides(process.env.RATE_LIMITS));
+    this.penalties = { ...DEFAULT_PENALTIES, ...penalties };
+    this.trustProxy = trustProxy;
+    this.buckets = new Map();
+    this.offenders = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  // The socket's client IP under this limiter's TRUST_PROXY setting.
+  clientAddress(socket) {
+    if (!this.trustProxy && !this.warnedForwarded && socket.handshake.headers?.['x-forwarded-for']) {
+      this.warnedForwarded = true;
+      console.warn('[RateLimit] X-Forwarded-For seen but TRUST_PROXY is not set; every client behind the proxy shares one IP.');
+    }
+    return clientAddress(socket, this.trustProxy);
+  }
+
+  /**
+   * Take one token from a bucket, refilling it for the time elapsed.
+   */
+  take(key, [capacity, refillPerSec]) {
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: capacity, updatedAt: now };
+      this.buckets.set(key, bucket);
+    }
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSec);
+    bucket.updatedAt = now;
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Check an event against its socket/IP/room buckets and the sender's
+   * penalty state. Returns { allowed, action, retryAfterMs }, where action is
+   * null, 'throttled', 'muted' or 'disconnected'.
+   */
+  check({ socketId, ip, roomName }, eventName) {
+    const limit = this.limits[eventName];
+    if (!limit) return { allowed: true, action: null };
+
+    const now = Date.now();
+    const offender = this.offenders.get(socketId);
+    if (offender && offender.mutedUntil > now) {
+      return { allowed: false, action: 'muted', retryAfterMs: offender.mutedUntil - now };
+    }
+
+    const keys = [
+      limit.socket && [`socket:${socketId}:${eventName}`, limit.socket],
+      limit.ip && ip && [`ip:${ip}:${eventName}`, limit.ip],
+      limit.room && roomName && [`room:${roomName}:${eventName}`, limit.room]
+    ].filter(Boolean);
+    // Check every bucket so one scope running dry does not leave others full.
+    const allowed = keys.map(([key, spec]) => this.take(key, spec)).every(Boolean);
+    if (allowed) return { allowed: true, action: null };
+
+    return { allowed: false, ...this.addStrike(socketId, now) };
+  }
+
+  addStrike(socketId, now) {
+    const { muteAfter, disconnectAfter, muteMs, strikeWindowMs } = this.penalties;
+    let offender = this.offenders.get(socketId);
+    if (!offender || now - offender.lastStrikeAt > strikeWindowMs) {
+      offender = { strikes: 0, lastStrikeAt: now, mutedUntil: 0 };
+      this.offenders.set(socketId, offender);
+    }
+    offender.strikes += 1;
+    offender.lastStrikeAt = now;
+
+    if (offender.strikes >= disconnectAfter) {
+      return { action: 'disconnected', strikes: offender.strikes };
+    }
+    if (offender.strikes === muteAfter) {
+      offender.mutedUntil = now + muteMs;
+      return { action: 'muted', strikes: offender.strikes, retryAfterMs: muteMs, escalated: true };
+    }
+    return { action: 'throttled', strikes: offender.strikes, retryAfterMs: 1000 };
+  }
+
+  /**
+   * Build a socket.use() middleware. onPenalty(socket, details) fires when a
+   * socket is first throttled, muted or disconnected in a strike window.
+   */
+  middleware(socket, { onPenalty } = {}) {
+    socket.once('disconnect', () => this.offenders.delete(socket.id));
+
+    return ([eventName, ...args], next) => {
+      if (!this.limits[eventName]) return next();
+      // The room bucket follows the room the socket joined, never a room
+      // named in the payload: this runs before the permission check, so a
+      // payload could otherwise drain any room's bucket.
+      const roomName = socket.data.room || null;
+      const ip = this.clientAddress(socket);
+      const result = this.check({ socketId: socket.id, ip, roomName }, eventName);
+      if (result.allowed) return next();
+
+      const details = { event: eventName, roomName, ...result };
+      const callback = args[args.length - 1];
+      if (typeof callback === 'function') {
+        callback({ ok: false, error: 'You are sending too fast. Slow down.', code: RATE_LIMITED });
+      }
+      socket.emit('rate-limited', {
+        event: eventName,
+        action: result.action,
+        retryAfterMs: result.retryAfterMs || 0
+      });
+
+      const notify = result.action === 'disconnected' || result.escalated || result.strikes === 1;
+      if (notify) {
+        console.warn(
+          `[RateLimit] ${result.action} ${socket.id} (${ip || 'unknown ip'}) on ${eventName} in ${roomName || 'no room'}`
+        );
+        if (typeof onPenalty === 'function') onPenalty(socket, details);
+      }
+      if (result.action === 'disconnected') {
+        this.offenders.delete(socket.id);
+        socket.disconnect(true);
+      }
+    };
+  }
+
+  /**
+   * Drop buckets that have been idle long enough to be full again.
+   */
+  sweep() {
+    const cutoff = Date.now() - IDLE_BUCKET_MS;
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.updatedAt < cutoff) this.buckets.delete(key);
+    }
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  clientAddress,
+  RATE_LIMITED,
+  DEFAULT_LIMITS
+};
@@ -0,0 +1,131 @@
+/**
+ * ROOM PERMISSIONS
+ * Declarative table of which room role may invoke which room-mutating event
+ *
+ * Roles rank host > cohost > moderator > vip > viewer; a rule admits its
+ * role and every role above it. Moderators handle chat and kicks; co-hosts
+ * also drive the host's mixer and the stage queue. The server supplies
+ * resolveRole(socket, roomName) so this module stays free of room state.
+ */
+
+const FORBIDDEN = 'FORBIDDEN';
+
+const ROLE_RANK = {
+  viewer: 0,
+  vip: 1,
+  moderator: 2,
+  cohost: 3,
+  host: 4
+};
+
+// Roles the owner can grant to other people in the room.
+const STAFF_ROLES = ['moderator', 'cohost'];
+
+// roomKeys: payload fields holding the target room, in the order the event's
+// handler reads them. They must match the handler exactly, or a payload can
+// pass the check for one room and act on another. An empty list (or a
+// payload that is not an object) means the socket's current room.
+const EVENT_PERMISSIONS = {
+  'update-room-privacy': { role: 'host', roomKeys: ['roomName', 'name'] },
+  'update-room-live': { role: 'host', roomKeys: ['roomName', 'name'] },
+  'update-vip-required': { role: 'host', roomKeys: ['roomName'] },
+  'update-room-payments': { role: 'host', roomKeys: ['roomName'] },
+  'update-room-clips': { role: 'host', roomKeys: ['roomName'] },
+  'update-room-turn': { role: 'host', roomKeys: ['roomName'] },
+  'add-vip-user': { role: 'host', roomKeys: ['room'] },
+  'generate-vip-code': { role: 'host', roomKeys: ['room'] },
+  'get-vip-codes': { role: 'host', roomKeys: ['roomName', 'room'] },
+  'revoke-vip-code': { role: 'host', roomKeys: ['roomName'] },
+  'promote-to-host': { role: 'host', roomKeys: [] },
+  'lock-room': { role: 'host', roomKeys: [] },
+  'update-stream-title': { role: 'host', roomKeys: [] },
+  'kick-user': { role: 'moderator', roomKeys: [] },
+  'set-user-role': { role: 'host', roomKeys: [] },
+  'get-room-roles': { role: 'host', roomKeys: ['roomName'] },
+  'remove-room-role': { role: 'host', roomKeys: ['roomName'] },
+  'mixer-command': { role: 'cohost', roomKeys: [] },
+  'accept-call-request': { role: 'cohost', roomKeys: [] },
+  'decline-call-request': { role: 'cohost', roomKeys: [] },
+  'skip-call-request': { role: 'cohost', roomKeys: [] },
+  'update-stage-limit': { role: 'host', roomKeys: [] },
+  'request-to-call': { role: 'viewer', roomKeys: [] },
+  'cancel-call-request': { role: 'viewer', roomKeys: [] },
+  'public-chat': { role: 'viewer', roomKeys: [] },
+  'get-chat-history': { role: 'viewer', roomKeys: ['roomName', 'room'] },
+  'private-chat': { role: 'viewer', roomKeys: [] },
+  'direct-message': { role: 'viewer', roomKeys: [] },
+  'file-share': { role: 'viewer', roomKeys: ['room'] },
+  'send-reaction': { role: 'viewer', roomKeys: [] },
+  'set-stream-quality': { role: 'viewer', roomKeys: [] },
+  'report-stats': { role: 'viewer', roomKeys: [] },
+  'get-stream-health': { role: 'host', roomKeys: [] },
+  'vote-poll': { role: 'viewer', roomKeys: [] },
+  'create-poll': { role: 'host', roomKeys: [] },
+  'close-poll': { role: 'host', roomKeys: [] },
+  'submit-question': { role: 'viewer', roomKeys: [] },
+  'upvote-question': { role: 'viewer', roomKeys: [] },
+  'answer-question': { role: 'moderator', roomKeys: [] },
+  'pin-question': { role: 'moderator', roomKeys: [] },
+  'remove-question': { role: 'moderator', roomKeys: [] },
+  'delete-chat-message': { role: 'moderator', roomKeys: [] },
+  'timeout-user': { role: 'moderator', roomKeys: [] },
+  'ban-user': { role: 'moderator', roomKeys: [] },
+  'unban-user': { role: 'moderator', roomKeys: ['roomName'] },
+  'update-blocked-words': { role: 'moderator', roomKeys: ['roomName'] },
+  'get-moderation-state': { role: 'moderator', roomKeys: ['roomName'] },
+  'get-scenes': { role: 'host', roomKeys: ['roomName'] },
+  'save-scene': { role: 'host', roomKeys: ['roomName'] },
+  'delete-scene': { role: 'host', roomKeys: ['roomName'] },
+  'set-active-scene': { role: 'host', roomKeys: ['roomName'] }
+};
+
+function hasRole(role, requiredRole) {
+  if (!(role in ROLE_RANK) || !(requiredRole in ROLE_RANK)) return false;
+  return ROLE_RANK[role] >= ROLE_RANK[requiredRole];
+}
+
+// Payloads that name two different rooms under the rule's keys resolve to
+// no room (and are rejected) rather than to whichever key comes first.
+function resolveTargetRoom(socket, rule, payload) {
+  if (payload && typeof payload === 'object') {
+    const named = (rule.roomKeys || [])
+      .map((key) => payload[key])
+      .filter((value) => typeof value === 'string' && value.trim());
+    if (new Set(named.map((value) => value.trim())).size > 1) return null;
+    if (named.length) return named[0];
+  }
+  return socket.data.room || null;
+}
+
+/**
+ * Build a socket.use() middleware that rejects events the socket's room role
+ * does not allow. Rejections are acked with { ok:false, error, code } when
+ * the client passed a callback.
+ */
+function createPermissionMiddleware(socket, resolveRole) {
+  return ([eventName, ...args], next) => {
+    const rule = EVENT_PERMISSIONS[eventName];
+    if (!rule) return next();
+
+    const roomName = resolveTargetRoom(socket, rule, args[0]);
+    const role = roomName ? resolveRole(socket, roomName) : null;
+    if (role && hasRole(role, rule.role)) return next();
+
+    console.warn(
+      `[Permissions] Rejected ${eventName} from ${socket.id} (room: ${roomName || 'none'}, role: ${role || 'none'})`
+    );
+    const callback = args[args.length - 1];
+    if (typeof callback === 'function') {
+      callback({ ok: false, error: 'You do not have permission to do that in this room.', code: FORBIDDEN });
+    }
+  };
+}
+
+module.exports = {
+  FORBIDDEN,
+  ROLE_RANK,
+  STAFF_ROLES,
+  EVENT_PERMISSIONS,
+  hasRole,
+  createPermissionMiddleware
+};
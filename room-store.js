@@ -0,0 +1,541 @@
+/**
+ * ROOM STORE
+ * Persistence backends for the room directory (JSON file, SQLite, memory)
+ *
+ * The server keeps the room directory in memory and hands every created or
+ * mutated record to the store, which writes it out in the background.
+ * Public chat history is kept by a separate chat store per room, so a chat
+ * message never rewrites the directory. Records carry a schemaVersion, and
+ * migrateRoomRecord brings older ones up to the current shape on load.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const auth = require('./auth');
+
+const DEFAULT_JSON_PATH = './data/rooms.json';
+const DEFAULT_SQLITE_PATH = './data/rooms.db';
+const FLUSH_DELAY_MS = 250;
+// Chat arrives at message rate; batch it so each room is written at most
+// once per interval.
+const CHAT_FLUSH_DELAY_MS = 5000;
+
+// Bump when buildRoomRecord gains fields that stored records need migrated.
+// v2: plaintext ownerPassword replaced by salted ownerPasswordHash.
+// v3: hostTokenVersion (bumped to revoke host session tokens).
+// v4: chatHistory ring buffer of recent public chat.
+// v5: bannedFingerprints and blockedWords for moderation.
+// v6: roomRoles (moderator/co-host grants keyed by fingerprint).
+// v7: scenes and activeSceneId (saved mixer configurations).
+// v8: clipsEnabled (viewers may save clips of the stream).
+// v9: chatHistory moved out of the record into the chat store.
+const ROOM_SCHEMA_VERSION = 9;
+
+// Shape of a new room record.
+function buildRoomRecord({ roomName, ownerPasswordHash, privacy }) {
+  return {
+    schemaVersion: ROOM_SCHEMA_VERSION,
+    roomName,
+    ownerPasswordHash: ownerPasswordHash || null,
+    hostTokenVersion: 0,
+    privacy: privacy === 'private' ? 'private' : 'public',
+    isLive: false,
+    vipRequired: false,
+    vipCodes: {},
+    createdAt: Date.now(),
+    title: null,
+    viewers: 0,
+    vipUsers: [],
+    paymentEnabled: false,
+    paymentLabel: '',
+    paymentUrl: '',
+    turnConfig: {
+      enabled: false,
+      host: '',
+      port: '',
+      tlsPort: '',
+      username: '',
+      password: ''
+    },
+    isFoundationRoom: false,
+    bannedFingerprints: {},
+    blockedWords: [],
+    roomRoles: {},
+    scenes: [],
+    activeSceneId: null,
+    clipsEnabled: true
+  };
+}
+
+// Bring a stored record up to the current shape. Live state (isLive, viewers)
+// never survives a restart.
+async function migrateRoomRecord(stored) {
+  const defaults = buildRoomRecord({ roomName: stored.roomName, privacy: stored.privacy });
+  const record = {
+    ...defaults,
+    ...stored,
+    turnConfig: { ...defaults.turnConfig, ...(stored.turnConfig || {}) }
+  };
+  if ('ownerPassword' in record) {
+    if (record.ownerPassword && !record.ownerPasswordHash) {
+      record.ownerPasswordHash = await auth.hashPassword(String(record.ownerPassword));
+    }
+    delete record.ownerPassword;
+  }
+  delete record.chatHistory;
+  record.schemaVersion = ROOM_SCHEMA_VERSION;
+  record.isLive = false;
+  record.viewers = 0;
+  return record;
+}
+
+/**
+ * Write a file atomically (temp file + rename) so a crash mid-write never
+ * leaves a truncated directory behind.
+ */
+async function writeFileAtomic(filePath, contents) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, contents, 'utf8');
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Read a JSON room directory file ({ version, rooms }) and return its records.
+ */
+async function readJsonRooms(filePath) {
+  const data = await fs.readFile(filePath, 'utf8');
+  const parsed = JSON.parse(data);
+  const rooms = parsed && parsed.rooms ? parsed.rooms : parsed;
+  return Object.values(rooms || {}).filter((room) => room && room.roomName);
+}
+
+class MemoryRoomStore {
+  constructor() {
+    this.driver = 'memory';
+    this.rooms = new Map();
+  }
+
+  async init() {}
+
+  loadAll() {
+    return Array.from(this.rooms.values());
+  }
+
+  save(record) {
+    if (record?.roomName) this.rooms.set(record.roomName, record);
+  }
+
+  remove(roomName) {
+    this.rooms.delete(roomName);
+  }
+
+  async flush() {}
+}
+
+class JsonFileRoomStore {
+  constructor(filePath = DEFAULT_JSON_PATH) {
+    this.driver = 'json';
+    this.filePath = filePath;
+    this.rooms = new Map();
+    this.flushTimer = null;
+    this.writing = null;
+    this.dirty = false;
+  }
+
+  /**
+   * Load the directory file, creating the data directory if needed.
+   */
+  async init() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    try {
+      const records = await readJsonRooms(this.filePath);
+      records.forEach((record) => this.rooms.set(record.roomName, record));
+      console.log(`[RoomStore] Loaded ${this.rooms.size} rooms from ${this.filePath}`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('[RoomStore] Load error:', err);
+        throw err;
+      }
+      console.log('[RoomStore] Creating new room directory');
+    }
+  }
+
+  loadAll() {
+    return Array.from(this.rooms.values());
+  }
+
+  save(record) {
+    if (!record?.roomName) return;
+    this.rooms.set(record.roomName, record);
+    this.scheduleFlush();
+  }
+
+  remove(roomName) {
+    if (this.rooms.delete(roomName)) this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    this.dirty = true;
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch((err) => console.error('[RoomStore] Save error:', err));
+    }, FLUSH_DELAY_MS);
+  }
+
+  /**
+   * Write pending changes. Writes are serialized; changes made while a write
+   * is in flight are picked up by a follow-up write.
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    while (this.writing) await this.writing.catch(() => {});
+    if (!this.dirty) return;
+    this.dirty = false;
+    const snapshot = JSON.stringify(
+      { version: 1, rooms: Object.fromEntries(this.rooms) },
+      null,
+      2
+    );
+    this.writing = writeFileAtomic(this.filePath, snapshot);
+    try {
+      await this.writing;
+    } catch (err) {
+      this.dirty = true;
+      throw err;
+    } finally {
+      this.writing = null;
+    }
+  }
+}
+
+class SqliteRoomStore {
+  constructor(dbPath = DEFAULT_SQLITE_PATH, { legacyJsonPath = DEFAULT_JSON_PATH } = {}) {
+    this.driver = 'sqlite';
+    this.dbPath = dbPath;
+    this.legacyJsonPath = legacyJsonPath;
+    this.db = null;
+    this.rooms = new Map();
+    this.pending = new Map();
+    this.flushTimer = null;
+  }
+
+  /**
+   * Open the database, create the schema and import a legacy JSON directory
+   * the first time an empty database is opened.
+   */
+  async init() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (err) {
+      throw new Error('SQLite room store requires the "better-sqlite3" package (npm install better-sqlite3).');
+    }
+
+    await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS rooms (
+        room_name TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      )
+    `);
+
+    this.upsertStmt = this.db.prepare(`
+      INSERT INTO rooms (room_name, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(room_name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `);
+    this.deleteStmt = this.db.prepare('DELETE FROM rooms WHERE room_name = ?');
+    this.writeBatch = this.db.transaction((entries) => {
+      const now = Date.now();
+      entries.forEach(([roomName, record]) => {
+        if (record) this.upsertStmt.run(roomName, JSON.stringify(record), now);
+        else this.deleteStmt.run(roomName);
+      });
+    });
+
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM rooms').get();
+    if (count === 0) await this.importLegacyJson();
+
+    this.db.prepare('SELECT data FROM rooms').all().forEach((row) => {
+      try {
+        const record = JSON.parse(row.data);
+        if (record?.roomName) this.rooms.set(record.roomName, record);
+      } catch (err) {
+        console.warn('[RoomStore] Skipping unreadable room row:', err.message);
+      }
+    });
+    console.log(`[RoomStore] Loaded ${this.rooms.size} rooms from ${this.dbPath}`);
+  }
+
+  async importLegacyJson() {
+    if (!this.legacyJsonPath || !fsSync.existsSync(this.legacyJsonPath)) return;
+    const records = await readJsonRooms(this.legacyJsonPath);
+    if (!records.length) return;
+    this.writeBatch(records.map((record) => [record.roomName, record]));
+    console.log(`[RoomStore] Imported ${records.length} rooms from ${this.legacyJsonPath}`);
+  }
+
+  loadAll() {
+    return Array.from(this.rooms.values());
+  }
+
+  save(record) {
+    if (!record?.roomName) return;
+    this.rooms.set(record.roomName, record);
+    this.pending.set(record.roomName, record);
+    this.scheduleFlush();
+  }
+
+  remove(roomName) {
+    this.rooms.delete(roomName);
+    this.pending.set(roomName, null);
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch((err) => console.error('[RoomStore] Save error:', err));
+    }, FLUSH_DELAY_MS);
+  }
+
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (!this.db || !this.pending.size) return;
+    const entries = Array.from(this.pending.entries());
+    this.pending.clear();
+    this.writeBatch(entries);
+  }
+}
+
+class MemoryChatStore {
+  constructor() {
+    this.driver = 'memory';
+    this.histories = new Map();
+  }
+
+  async init() {}
+
+  get(roomName) {
+    return this.histories.get(roomName) || [];
+  }
+
+  set(roomName, messages) {
+    this.histories.set(roomName, messages);
+  }
+
+  async flush() {}
+}
+
+/**
+ * One file per room ({ roomName, messages }) under a chat directory. Only
+ * rooms whose history changed since the last flush are rewritten.
+ */
+class JsonChatStore {
+  constructor(dirPath) {
+    this.driver = 'json';
+    this.dirPath = dirPath;
+    this.histories = new Map();
+    this.dirty = new Set();
+    this.flushTimer = null;
+    this.writing = null;
+  }
+
+  async init() {
+    await fs.mkdir(this.dirPath, { recursive: true });
+    const files = (await fs.readdir(this.dirPath)).filter((name) => name.endsWith('.json'));
+    for (const name of files) {
+      try {
+        const parsed = JSON.parse(await fs.readFile(path.join(this.dirPath, name), 'utf8'));
+        if (parsed?.roomName && Array.isArray(parsed.messages)) {
+          this.histories.set(parsed.roomName, parsed.messages);
+        }
+      } catch (err) {
+        console.warn(`[ChatStore] Skipping unreadable history ${name}:`, err.message);
+      }
+    }
+    console.log(`[ChatStore] Loaded chat history for ${this.histories.size} rooms from ${this.dirPath}`);
+  }
+
+  filePath(roomName) {
+    return path.join(this.dirPath, `${encodeURIComponent(roomName)}.json`);
+  }
+
+  get(roomName) {
+    return this.histories.get(roomName) || [];
+  }
+
+  set(roomName, messages) {
+    this.histories.set(roomName, messages);
+    this.dirty.add(roomName);
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch((err) => console.error('[ChatStore] Save error:', err));
+    }, CHAT_FLUSH_DELAY_MS);
+  }
+
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    while (this.writing) await this.writing.catch(() => {});
+    if (!this.dirty.size) return;
+    const roomNames = Array.from(this.dirty);
+    this.dirty.clear();
+    this.writing = Promise.all(
+      roomNames.map((roomName) =>
+        writeFileAtomic(
+          this.filePath(roomName),
+          JSON.stringify({ roomName, messages: this.get(roomName) })
+        ).catch((err) => {
+          this.dirty.add(roomName);
+          throw err;
+        })
+      )
+    );
+    try {
+      await this.writing;
+    } finally {
+      this.writing = null;
+    }
+  }
+}
+
+/**
+ * A chat_history table next to the rooms table, written in one transaction
+ * per flush.
+ */
+class SqliteChatStore {
+  constructor(dbPath = DEFAULT_SQLITE_PATH) {
+    this.driver = 'sqlite';
+    this.dbPath = dbPath;
+    this.db = null;
+    this.histories = new Map();
+    this.pending = new Set();
+    this.flushTimer = null;
+  }
+
+  async init() {
+    const Database = require('better-sqlite3');
+    await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS chat_history (
+        room_name TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      )
+    `);
+    this.upsertStmt = this.db.prepare(`
+      INSERT INTO chat_history (room_name, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(room_name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `);
+    this.writeBatch = this.db.transaction((roomNames) => {
+      const now = Date.now();
+      roomNames.forEach((roomName) => this.upsertStmt.run(roomName, JSON.stringify(this.get(roomName)), now));
+    });
+
+    this.db.prepare('SELECT room_name, data FROM chat_history').all().forEach((row) => {
+      try {
+        const messages = JSON.parse(row.data);
+        if (Array.isArray(messages)) this.histories.set(row.room_name, messages);
+      } catch (err) {
+        console.warn('[ChatStore] Skipping unreadable history row:', err.message);
+      }
+    });
+  }
+
+  get(roomName) {
+    return this.histories.get(roomName) || [];
+  }
+
+  set(roomName, messages) {
+    this.histories.set(roomName, messages);
+    this.pending.add(roomName);
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch((err) => console.error('[ChatStore] Save error:', err));
+    }, CHAT_FLUSH_DELAY_MS);
+  }
+
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (!this.db || !this.pending.size) return;
+    const roomNames = Array.from(this.pending);
+    this.pending.clear();
+    this.writeBatch(roomNames);
+  }
+}
+
+/**
+ * Build the store selected by ROOM_STORE_DRIVER (json | sqlite | memory).
+ */
+function createRoomStore({
+  driver = process.env.ROOM_STORE_DRIVER || 'json',
+  storePath = process.env.ROOM_STORE_PATH
+} = {}) {
+  switch (driver) {
+    case 'memory':
+      return new MemoryRoomStore();
+    case 'sqlite':
+      return new SqliteRoomStore(storePath || DEFAULT_SQLITE_PATH);
+    case 'json':
+      return new JsonFileRoomStore(storePath || DEFAULT_JSON_PATH);
+    default:
+      throw new Error(`Unknown room store driver: ${driver}`);
+  }
+}
+
+/**
+ * Build the chat history store that goes with createRoomStore's driver. The
+ * JSON driver keeps a chat/ directory beside the directory file; SQLite
+ * uses the same database.
+ */
+function createChatStore({
+  driver = process.env.ROOM_STORE_DRIVER || 'json',
+  storePath = process.env.ROOM_STORE_PATH
+} = {}) {
+  switch (driver) {
+    case 'memory':
+      return new MemoryChatStore();
+    case 'sqlite':
+      return new SqliteChatStore(storePath || DEFAULT_SQLITE_PATH);
+    case 'json':
+      return new JsonChatStore(path.join(path.dirname(storePath || DEFAULT_JSON_PATH), 'chat'));
+    default:
+      throw new Error(`Unknown room store driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  ROOM_SCHEMA_VERSION,
+  buildRoomRecord,
+  migrateRoomRecord,
+  writeFileAtomic,
+  createRoomStore,
+  createChatStore,
+  MemoryRoomStore,
+  JsonFileRoomStore,
+  SqliteRoomStore,
+  MemoryChatStore,
+  JsonChatStore,
+  SqliteChatStore
+};
@@ -0,0 +1,119 @@
+/**
+ * SCENES
+ * Saved mixer configurations for a room
+ *
+ * A scene captures the mixer layout, its slot assignments and crop, the
+ * on-screen guest and the overlay HTML with its field values, so the host
+ * can switch everything viewers see in one step. Scenes are stored on the
+ * room record; blob: URLs only live in one browser tab and are dropped.
+ */
+
+const crypto = require('crypto');
+
+const MAX_SCENES = 12;
+const MAX_SCENE_NAME_LENGTH = 40;
+const MAX_OVERLAY_HTML_LENGTH = 200000;
+const MAX_FIELD_VALUE_LENGTH = 4000;
+const MAX_OVERLAY_FIELDS = 50;
+const HOTKEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'];
+
+function normalizeFieldValues(values) {
+  const result = {};
+  if (!values || typeof values !== 'object') return result;
+  Object.entries(values)
+    .slice(0, MAX_OVERLAY_FIELDS)
+    .forEach(([name, value]) => {
+      if (typeof value !== 'string' || value.startsWith('blob:')) return;
+      result[String(name).slice(0, 100)] = value.slice(0, MAX_FIELD_VALUE_LENGTH);
+    });
+  return result;
+}
+
+function normalizeAssignments(assignments) {
+  const result = {};
+  if (!assignments || typeof assignments !== 'object') return result;
+  Object.entries(assignments).forEach(([slot, id]) => {
+    const index = Number(slot);
+    if (Number.isInteger(index) && index >= 0 && index < 16 && typeof id === 'string') {
+      result[index] = id.slice(0, 64);
+    }
+  });
+  return result;
+}
+
+/**
+ * Clean a scene sent by the host. Returns { ok, scene } or { ok:false, error }.
+ */
+function normalizeScene(input) {
+  const name = typeof input?.name === 'string' ? input.name.trim().slice(0, MAX_SCENE_NAME_LENGTH) : '';
+  if (!name) return { ok: false, error: 'Scene name is required.' };
+  const overlayHTML = typeof input.overlayHTML === 'string' ? input.overlayHTML : '';
+  if (overlayHTML.length > MAX_OVERLAY_HTML_LENGTH) {
+    return { ok: false, error: 'The overlay HTML is too large to save in a scene.' };
+  }
+  const cropWidth = Number(input.cropWidth);
+  return {
+    ok: true,
+    scene: {
+      id: typeof input.id === 'string' && input.id ? input.id.slice(0, 64) : null,
+      name,
+      hotkey: HOTKEYS.includes(input.hotkey) ? input.hotkey : null,
+      layout: input.layout,
+      slotAssignments: normalizeAssignments(input.slotAssignments),
+      cropWidth: Number.isFinite(cropWidth) ? Math.min(1, Math.max(0.3, cropWidth)) : null,
+      activeGuestId: typeof input.activeGuestId === 'string' ? input.activeGuestId.slice(0, 64) : null,
+      overlayHTML,
+      overlayFieldValues: normalizeFieldValues(input.overlayFieldValues)
+    }
+  };
+}
+
+/**
+ * Insert or replace a scene (matched by id, then by name) in a scene list.
+ * A hotkey moves to the new scene if another one held it. Returns
+ * { ok, scene } or { ok:false, error }.
+ */
+function upsertScene(scenes, scene) {
+  const existing = scenes.find((s) => (scene.id && s.id === scene.id) || s.name === scene.name);
+  if (!existing && scenes.length >= MAX_SCENES) {
+    return { ok: false, error: `A room can keep up to ${MAX_SCENES} scenes.` };
+  }
+  const saved = { ...scene, id: existing ? existing.id : crypto.randomUUID(), updatedAt: Date.now() };
+  if (!saved.hotkey && existing) saved.hotkey = existing.hotkey;
+  if (!saved.hotkey) {
+    saved.hotkey = HOTKEYS.find((key) => !scenes.some((s) => s !== existing && s.hotkey === key)) || null;
+  }
+  scenes.forEach((s) => {
+    if (s !== existing && saved.hotkey && s.hotkey === saved.hotkey) s.hotkey = null;
+  });
+  if (existing) scenes.splice(scenes.indexOf(existing), 1, saved);
+  else scenes.push(saved);
+  return { ok: true, scene: saved };
+}
+
+// Drop a scene from a room record, clearing it as the active scene too.
+function removeScene(room, sceneId) {
+  room.scenes = (room.scenes || []).filter((s) => s.id !== sceneId);
+  if (room.activeSceneId === sceneId) room.activeSceneId = null;
+}
+
+/**
+ * Mark a saved scene (or none, with a null id) as the room's active scene.
+ * Returns { ok } or { ok:false, error }.
+ */
+function activateScene(room, sceneId) {
+  if (sceneId && !(room.scenes || []).some((s) => s.id === sceneId)) {
+    return { ok: false, error: 'Scene not found.' };
+  }
+  room.activeSceneId = sceneId || null;
+  return { ok: true };
+}
+
+module.exports = {
+  MAX_SCENES,
+  HOTKEYS,
+  normalizeScene,
+  upsertScene,
+  removeScene,
+  activateScene
+};
@@ -0,0 +1,819 @@
+/**
+ * Node-run checks for the server's pure modules (no browser, no server).
+ * The browser selftest (public/selftest.js) covers the socket flows.
+ *
+ * Usage: node scripts/selftest-modules.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const auth = require('../auth');
+const engagement = require('../engagement');
+const eventSchemas = require('../event-schemas');
+const { MetricsRegistry, SignalingTimer, hasBearerToken } = require('../metrics');
+const moderation = require('../moderation');
+const roomPermissions = require('../room-permissions');
+const roomStore = require('../room-store');
+const { RateLimiter, clientAddress } = require('../rate-limiter');
+const scenes = require('../scenes');
+const stageQueue = require('../stage-queue');
+const streamHealth = require('../stream-health');
+
+const checks = [];
+
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+// For checks that need an optional dependency this machine lacks.
+function skip(name, reason) {
+  checks.push({ name, skip: reason });
+}
+
+// ------------------------------------------------------
+// auth.js
+// ------------------------------------------------------
+check('auth: scrypt hash verifies only the right password', async () => {
+  const stored = await auth.hashPassword('correct horse');
+  assert.match(stored, /^scrypt\$/);
+  assert.deepStrictEqual(await auth.verifyPassword('correct horse', stored), { ok: true, needsRehash: false });
+  assert.strictEqual((await auth.verifyPassword('wrong horse', stored)).ok, false);
+});
+
+check('auth: hashes are salted', async () => {
+  assert.notStrictEqual(await auth.hashPassword('same'), await auth.hashPassword('same'));
+});
+
+check('auth: legacy SHA-256 hashes verify and ask for a rehash', async () => {
+  const legacy = require('crypto').createHash('sha256').update('old-password').digest('hex');
+  assert.ok(auth.isLegacySha256Hash(legacy));
+  assert.deepStrictEqual(await auth.verifyPassword('old-password', legacy), { ok: true, needsRehash: true });
+  assert.deepStrictEqual(await auth.verifyPassword('nope', legacy), { ok: false, needsRehash: false });
+});
+
+check('auth: malformed stored hashes never verify', async () => {
+  for (const stored of [null, '', 'scrypt$0$8$1$c2FsdA==$a2V5', 'bcrypt$whatever', 42]) {
+    assert.strictEqual((await auth.verifyPassword('x', stored)).ok, false);
+  }
+});
+
+check('auth: tokens round-trip and reject tampering, other secrets and expiry', () => {
+  const token = auth.signToken({ room: 'studio', v: 2, exp: Date.now() + 60000 }, 'secret');
+  assert.strictEqual(auth.verifyToken(token, 'secret').room, 'studio');
+  assert.strictEqual(auth.verifyToken(token, 'other-secret'), null);
+
+  const [body, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ room: 'victim', v: 2 })).toString('base64url');
+  assert.strictEqual(auth.verifyToken(`${forged}.${signature}`, 'secret'), null);
+  assert.strictEqual(auth.verifyToken(`${body}.${signature}.extra`, 'secret'), null);
+  assert.strictEqual(auth.verifyToken(undefined, 'secret'), null);
+
+  const expired = auth.signToken({ room: 'studio', exp: Date.now() - 1 }, 'secret');
+  assert.strictEqual(auth.verifyToken(expired, 'secret'), null);
+});
+
+// ------------------------------------------------------
+// room-store.js
+// ------------------------------------------------------
+const tempDirs = [];
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rebel-store-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+function quietly(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  return Promise.resolve()
+    .then(fn)
+    .finally(() => {
+      console.log = log;
+      console.warn = warn;
+    });
+}
+
+check('room-store: the JSON store writes whole files and reloads them', async () => {
+  const dir = tempDir();
+  const filePath = path.join(dir, 'rooms.json');
+  await quietly(async () => {
+    const store = new roomStore.JsonFileRoomStore(filePath);
+    await store.init();
+    store.save(roomStore.buildRoomRecord({ roomName: 'alpha' }));
+    store.save(roomStore.buildRoomRecord({ roomName: 'beta', privacy: 'private' }));
+    await store.flush();
+    assert.deepStrictEqual(fs.readdirSync(dir), ['rooms.json'], 'a temp file was left behind');
+
+    const reloaded = new roomStore.JsonFileRoomStore(filePath);
+    await reloaded.init();
+    assert.deepStrictEqual(reloaded.loadAll().map((room) => [room.roomName, room.privacy]), [
+      ['alpha', 'public'],
+      ['beta', 'private']
+    ]);
+  });
+});
+
+check('room-store: a failed JSON write leaves the previous file intact', async () => {
+  const dir = tempDir();
+  const filePath = path.join(dir, 'rooms.json');
+  await quietly(async () => {
+    const store = new roomStore.JsonFileRoomStore(filePath);
+    await store.init();
+    store.save(roomStore.buildRoomRecord({ roomName: 'alpha' }));
+    await store.flush();
+    const before = fs.readFileSync(filePath, 'utf8');
+
+    // A directory where the temp file goes makes the write fail part way.
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(tmpPath);
+    store.save({ ...roomStore.buildRoomRecord({ roomName: 'alpha' }), title: 'Changed' });
+    await assert.rejects(store.flush());
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), before);
+
+    fs.rmdirSync(tmpPath);
+    await store.flush();
+    assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).rooms.alpha.title, 'Changed', 'the failed write was not retried');
+  });
+});
+
+check('room-store: the JSON store reads a legacy bare room map', async () => {
+  const filePath = path.join(tempDir(), 'rooms.json');
+  fs.writeFileSync(filePath, JSON.stringify({ old: { roomName: 'old', ownerPassword: 'pw' }, junk: { nope: 1 } }));
+  await quietly(async () => {
+    const store = new roomStore.JsonFileRoomStore(filePath);
+    await store.init();
+    assert.deepStrictEqual(store.loadAll().map((room) => room.roomName), ['old']);
+  });
+});
+
+let sqliteError = null;
+try {
+  const Database = require('better-sqlite3');
+  new Database(':memory:').close();
+} catch (err) {
+  sqliteError = err.message.split('\n')[0];
+}
+
+if (sqliteError) {
+  skip('room-store: SQLite imports a legacy JSON directory once', `better-sqlite3 unavailable: ${sqliteError}`);
+} else {
+  check('room-store: SQLite imports a legacy JSON directory once', async () => {
+    const dir = tempDir();
+    const dbPath = path.join(dir, 'rooms.db');
+    const legacyJsonPath = path.join(dir, 'rooms.json');
+    const writeLegacy = (names) => {
+      const rooms = Object.fromEntries(names.map((roomName) => [roomName, { roomName, title: `${roomName} title` }]));
+      fs.writeFileSync(legacyJsonPath, JSON.stringify({ version: 1, rooms }));
+    };
+    writeLegacy(['alpha', 'beta']);
+
+    await quietly(async () => {
+      const store = new roomStore.SqliteRoomStore(dbPath, { legacyJsonPath });
+      await store.init();
+      assert.deepStrictEqual(store.loadAll().map((room) => room.title).sort(), ['alpha title', 'beta title']);
+      store.save({ roomName: 'alpha', title: 'Renamed' });
+      store.remove('beta');
+      await store.flush();
+      store.db.close();
+
+      // A non-empty database never imports again, even if the file changed.
+      writeLegacy(['alpha', 'beta', 'gamma']);
+      const reopened = new roomStore.SqliteRoomStore(dbPath, { legacyJsonPath });
+      await reopened.init();
+      assert.deepStrictEqual(reopened.loadAll(), [{ roomName: 'alpha', title: 'Renamed' }]);
+      reopened.db.close();
+    });
+  });
+}
+
+check('room-store: migrateRoomRecord upgrades old records', async () => {
+  const record = await roomStore.migrateRoomRecord({
+    roomName: 'old',
+    ownerPassword: 'hunter2',
+    privacy: 'private',
+    isLive: true,
+    viewers: 12,
+    title: 'Old show',
+    vipCodes: { ABC123: { maxUses: 3, usesLeft: 1 } },
+    turnConfig: { enabled: true, host: 'turn.example.com' },
+    chatHistory: [{ id: '1', text: 'hi' }]
+  });
+
+  assert.strictEqual(record.schemaVersion, roomStore.ROOM_SCHEMA_VERSION);
+  assert.ok(!('ownerPassword' in record), 'the plaintext password survived');
+  assert.strictEqual((await auth.verifyPassword('hunter2', record.ownerPasswordHash)).ok, true);
+  assert.ok(!('chatHistory' in record), 'chat history stayed on the record');
+  assert.strictEqual(record.isLive, false);
+  assert.strictEqual(record.viewers, 0);
+  assert.strictEqual(record.privacy, 'private');
+  assert.strictEqual(record.title, 'Old show');
+  assert.deepStrictEqual(record.vipCodes, { ABC123: { maxUses: 3, usesLeft: 1 } });
+  assert.deepStrictEqual(record.turnConfig, {
+    enabled: true,
+    host: 'turn.example.com',
+    port: '',
+    tlsPort: '',
+    username: '',
+    password: ''
+  });
+  assert.deepStrictEqual([record.scenes, record.roomRoles, record.clipsEnabled], [[], {}, true]);
+});
+
+check('room-store: migrateRoomRecord keeps an existing password hash', async () => {
+  const ownerPasswordHash = await auth.hashPassword('current');
+  const record = await roomStore.migrateRoomRecord({ roomName: 'r', ownerPassword: 'stale', ownerPasswordHash });
+  assert.strictEqual(record.ownerPasswordHash, ownerPasswordHash);
+  assert.ok(!('ownerPassword' in record));
+});
+
+// ------------------------------------------------------
+// metrics.js
+// ------------------------------------------------------
+check('metrics: render writes Prometheus text format', () => {
+  const registry = new MetricsRegistry();
+  registry.counter('demo_events_total', 'Events.').inc({ event: 'say "hi"\n' }, 2);
+  registry.gauge('demo_rooms', 'Rooms.', () => 3);
+  registry.gauge('demo_broken', 'Throws.', () => {
+    throw new Error('boom');
+  });
+  registry.histogram('demo_seconds', 'Latency.', [1, 0.5]).observe({ kind: 'call' }, 0.75);
+
+  const originalError = console.error;
+  console.error = () => {};
+  let text;
+  try {
+    text = registry.render();
+  } finally {
+    console.error = originalError;
+  }
+  assert.strictEqual(
+    text,
+    [
+      '# HELP demo_events_total Events.',
+      '# TYPE demo_events_total counter',
+      'demo_events_total{event="say \\"hi\\"\\n"} 2',
+      '# HELP demo_rooms Rooms.',
+      '# TYPE demo_rooms gauge',
+      'demo_rooms 3',
+      '# HELP demo_broken Throws.',
+      '# TYPE demo_broken gauge',
+      '# HELP demo_seconds Latency.',
+      '# TYPE demo_seconds histogram',
+      'demo_seconds_bucket{kind="call",le="0.5"} 0',
+      'demo_seconds_bucket{kind="call",le="1"} 1',
+      'demo_seconds_bucket{kind="call",le="+Inf"} 1',
+      'demo_seconds_sum{kind="call"} 0.75',
+      'demo_seconds_count{kind="call"} 1',
+      ''
+    ].join('\n')
+  );
+});
+
+check('metrics: hasBearerToken only accepts the configured token', () => {
+  const request = (authorization) => ({ get: (header) => (header.toLowerCase() === 'authorization' ? authorization : undefined) });
+  assert.ok(hasBearerToken(request('Bearer s3cret'), 's3cret'));
+  assert.ok(hasBearerToken(request('bearer  s3cret '), 's3cret'));
+  assert.ok(!hasBearerToken(request('Bearer wrong'), 's3cret'));
+  assert.ok(!hasBearerToken(request('Basic s3cret'), 's3cret'));
+  assert.ok(!hasBearerToken(request(undefined), 's3cret'));
+  assert.ok(!hasBearerToken(request('Bearer '), ''), 'an unset token let a request in');
+});
+
+check('metrics: signaling timer pairs answers and stays bounded', () => {
+  const observed = [];
+  const histogram = { observe: (labels, value) => observed.push([labels.kind, value]) };
+  const timer = new SignalingTimer(histogram, { timeoutMs: 1000, maxPending: 3, canPair: (from, to) => to !== 'ghost' });
+
+  timer.offer('webrtc', 'host', 'v1', 0);
+  timer.answer('webrtc', 'v1', 'host', 250);
+  assert.deepStrictEqual(observed, [['webrtc', 0.25]]);
+
+  timer.offer('webrtc', 'host', 'ghost', 0);
+  assert.strictEqual(timer.pending.size, 0, 'an offer to an unpairable target was kept');
+
+  timer.offer('call', 'host', 'v2', 0);
+  timer.offer('call', 'host', 'v3', 1500);
+  assert.deepStrictEqual([...timer.pending.keys()], ['call:host>v3'], 'an expired offer was not swept');
+
+  ['v4', 'v5', 'v6'].forEach((id) => timer.offer('call', 'host', id, 1600));
+  assert.strictEqual(timer.pending.size, 3);
+  assert.ok(!timer.pending.has('call:host>v3'), 'the oldest offer was not dropped at the cap');
+
+  timer.forget('v5');
+  assert.deepStrictEqual([...timer.pending.keys()], ['call:host>v4', 'call:host>v6']);
+  timer.forget('host');
+  assert.strictEqual(timer.pending.size, 0);
+  assert.strictEqual(timer.bySocket.size, 0, 'the per-socket index leaked');
+});
+
+// ------------------------------------------------------
+// rate-limiter.js
+// ------------------------------------------------------
+function fakeSocket(id, room) {
+  return {
+    id,
+    data: { room },
+    handshake: { address: `ip-${id}` },
+    once() {},
+    emit() {},
+    disconnect() {}
+  };
+}
+
+check('rate-limiter: the room bucket is keyed on the joined room, not the payload', () => {
+  const limiter = new RateLimiter({ limits: { 'public-chat': { socket: [100, 0], room: [2, 0] } } });
+  clearInterval(limiter.sweepTimer);
+  const passed = (socket, payload) => {
+    let ok = false;
+    limiter.middleware(socket)(['public-chat', payload], () => {
+      ok = true;
+    });
+    return ok;
+  };
+
+  const attacker = fakeSocket('attacker', 'lobby');
+  for (let i = 0; i < 5; i += 1) passed(attacker, { room: 'victim', text: 'x' });
+  const member = fakeSocket('member', 'victim');
+  assert.ok(passed(member, { room: 'victim', text: 'hi' }), 'victim room bucket was drained from another room');
+  assert.ok(passed(member, { room: 'victim', text: 'hi' }));
+  assert.ok(!passed(member, { room: 'victim', text: 'hi' }), 'room bucket did not run dry');
+});
+
+check('rate-limiter: client addresses only come from X-Forwarded-For behind trusted proxies', () => {
+  const socket = (forwarded) => ({
+    handshake: { address: '10.0.0.2', headers: forwarded ? { 'x-forwarded-for': forwarded } : {} }
+  });
+  assert.strictEqual(clientAddress(socket('6.6.6.6'), 0), '10.0.0.2', 'an untrusted header was believed');
+  assert.strictEqual(clientAddress(socket('203.0.113.7'), 1), '203.0.113.7');
+  // A client-supplied entry sits left of the one the proxy appended.
+  assert.strictEqual(clientAddress(socket('6.6.6.6, 203.0.113.7'), 1), '203.0.113.7');
+  assert.strictEqual(clientAddress(socket('203.0.113.7, 10.0.0.1'), 2), '203.0.113.7');
+  assert.strictEqual(clientAddress(socket(''), 1), null, 'the proxy address stood in for the client');
+});
+
+check('rate-limiter: IP buckets follow the forwarded client address', () => {
+  const limiter = new RateLimiter({ limits: { 'public-chat': { socket: [100, 0], ip: [1, 0] } }, trustProxy: 1 });
+  clearInterval(limiter.sweepTimer);
+  const viewer = (id, ip) => ({ ...fakeSocket(id, 'lobby'), handshake: { address: '10.0.0.2', headers: { 'x-forwarded-for': ip } } });
+  const passed = (socket) => {
+    let ok = false;
+    limiter.middleware(socket)(['public-chat', { text: 'x' }], () => {
+      ok = true;
+    });
+    return ok;
+  };
+  assert.ok(passed(viewer('a', '203.0.113.7')));
+  assert.ok(passed(viewer('b', '198.51.100.1')), 'viewers behind the proxy shared one IP bucket');
+  assert.ok(!passed(viewer('c', '203.0.113.7')));
+});
+
+// ------------------------------------------------------
+// event-schemas.js
+// ------------------------------------------------------
+check('event-schemas: malformed payloads are rejected with the failing field', () => {
+  const { validateEventPayload } = eventSchemas;
+  assert.strictEqual(validateEventPayload('join-room', { room: 'studio', name: 'Ann' }), null);
+  assert.strictEqual(validateEventPayload('join-room', { room: 'studio', name: null }), null, 'null did not count as missing');
+  assert.strictEqual(validateEventPayload('join-room', { room: 'studio', extra: 1 }), null, 'unknown fields were refused');
+
+  assert.match(validateEventPayload('join-room', {}), /room is required/);
+  assert.match(validateEventPayload('join-room', { room: 42 }), /room must be a string/);
+  assert.match(validateEventPayload('join-room', { room: 'x'.repeat(201) }), /at most 200/);
+  assert.match(validateEventPayload('join-room', 'studio'), /payload must be an object/);
+  assert.match(validateEventPayload('join-room', ['studio']), /payload must be an object/);
+  assert.match(validateEventPayload('join-room', undefined), /payload must be an object/);
+  assert.match(validateEventPayload('lock-room', 'yes'), /true or false/);
+  assert.match(validateEventPayload('kick-user', undefined), /payload is required/);
+  assert.match(validateEventPayload('set-stream-quality', { quality: '4k' }), /must be one of/);
+  assert.match(validateEventPayload('webrtc-offer', { targetId: 'v1', sdp: { type: 'offer', sdp: 7 } }), /sdp must be a string/);
+  assert.match(validateEventPayload('create-poll', { question: 'Q?', options: ['a', 2] }), /options item must be a string/);
+  assert.match(
+    validateEventPayload('create-poll', { question: 'Q?', options: Array(11).fill('a') }),
+    /at most 10 items/
+  );
+  assert.strictEqual(validateEventPayload('no-such-event', 'anything'), null, 'events without a schema must pass');
+});
+
+check('event-schemas: the middleware drops bad payloads and acks { ok:false, error, code }', async () => {
+  const middleware = eventSchemas.createValidationMiddleware(fakeSocket('v1', 'studio'));
+  const dispatch = async (packet) => {
+    let passed = false;
+    await quietly(() =>
+      middleware(packet, () => {
+        passed = true;
+      })
+    );
+    return passed;
+  };
+
+  const acks = [];
+  const ack = (response) => acks.push(response);
+  assert.ok(await dispatch(['join-room', { room: 'studio' }, ack]));
+  assert.strictEqual(acks.length, 0, 'a valid payload was acked by the validator');
+
+  assert.ok(!(await dispatch(['join-room', { room: 42 }, ack])), 'a malformed payload reached the handlers');
+  assert.deepStrictEqual(acks, [{ ok: false, error: 'room must be a string.', code: eventSchemas.INVALID_PAYLOAD }]);
+
+  // A callback in the payload slot is not mistaken for the payload.
+  assert.ok(!(await dispatch(['join-room', ack])));
+  assert.deepStrictEqual(acks[1], { ok: false, error: 'payload must be an object.', code: 'INVALID_PAYLOAD' });
+  assert.ok(!(await dispatch(['join-room', { room: 42 }])), 'rejection without a callback must still drop the event');
+});
+
+// ------------------------------------------------------
+// room-permissions.js
+// ------------------------------------------------------
+// Mirrors the server's resolver: a role per room, 'viewer' in the joined room.
+function permissionGate(socket, roles = {}) {
+  const middleware = roomPermissions.createPermissionMiddleware(socket, (s, roomName) =>
+    roles[roomName] || (s.data.room === roomName ? 'viewer' : null)
+  );
+  return async (packet) => {
+    let passed = false;
+    await quietly(() =>
+      middleware(packet, () => {
+        passed = true;
+      })
+    );
+    return passed;
+  };
+}
+
+check('room-permissions: roles rank host > cohost > moderator > vip > viewer', () => {
+  const order = ['viewer', 'vip', 'moderator', 'cohost', 'host'];
+  order.forEach((role, i) => {
+    order.forEach((required, j) => {
+      assert.strictEqual(roomPermissions.hasRole(role, required), i >= j, `${role} vs ${required}`);
+    });
+  });
+  assert.strictEqual(roomPermissions.hasRole(null, 'viewer'), false);
+  assert.strictEqual(roomPermissions.hasRole('owner', 'viewer'), false, 'an unknown role was ranked');
+  assert.strictEqual(roomPermissions.hasRole('host', 'admin'), false);
+  assert.ok(roomPermissions.STAFF_ROLES.every((role) => !roomPermissions.hasRole(role, 'host')));
+});
+
+check('room-permissions: rejected events are dropped and acked FORBIDDEN', async () => {
+  const gate = permissionGate(fakeSocket('mod', 'studio'), { studio: 'moderator' });
+  const acks = [];
+  const ack = (response) => acks.push(response);
+
+  assert.ok(await gate(['kick-user', 'v1', ack]), 'a moderator could not kick');
+  assert.ok(await gate(['get-public-rooms']), 'events without a rule must pass');
+  assert.ok(!(await gate(['lock-room', true, ack])), 'a moderator locked the room');
+  assert.ok(!(await gate(['update-room-privacy', { roomName: 'studio', privacy: 'public' }, ack])));
+  assert.strictEqual(acks.length, 2);
+  acks.forEach((response) => {
+    assert.strictEqual(response.ok, false);
+    assert.strictEqual(response.code, roomPermissions.FORBIDDEN);
+    assert.strictEqual(typeof response.error, 'string');
+  });
+  assert.ok(!(await gate(['lock-room', true])), 'a rejection without a callback must still drop the event');
+
+  const stranger = permissionGate(fakeSocket('s1', undefined));
+  assert.ok(!(await stranger(['public-chat', { text: 'hi' }])), 'a socket outside any room chatted');
+});
+
+check('room-permissions: conflicting room keys are rejected, not resolved to the first', async () => {
+  const gate = permissionGate(fakeSocket('owner', 'lobby'), { mine: 'host' });
+  const payload = (roomName, name) => ['update-room-privacy', { roomName, name, privacy: 'public' }];
+
+  assert.ok(await gate(payload('mine', undefined)));
+  assert.ok(await gate(payload('mine', ' mine ')), 'the same room with padding counted as a conflict');
+  assert.ok(!(await gate(payload('mine', 'victim'))), 'a second room key slipped past the check');
+  assert.ok(!(await gate(payload('victim', 'mine'))));
+  assert.ok(!(await gate(payload('victim', undefined))));
+});
+
+check('room-permissions: file-share only reaches members of the named room', async () => {
+  const member = permissionGate(fakeSocket('v1', 'studio'));
+  const file = (room) => ['file-share', { room, fileName: 'a.txt', fileData: 'data:,' }];
+  assert.ok(await member(file('studio')));
+  assert.ok(await member(file(undefined)), 'a file with no room must go to the joined room');
+  assert.ok(!(await member(file('victim'))), 'a file was shared into a room the sender never joined');
+  assert.ok(!(await permissionGate(fakeSocket('s1', undefined))(file('studio'))));
+});
+
+// ------------------------------------------------------
+// moderation.js
+// ------------------------------------------------------
+check('moderation: bans match the banned device or a ban from the same network', () => {
+  const banned = {
+    fingerprint: moderation.fingerprintFor('device-a'),
+    networkFingerprint: moderation.networkFingerprintFor('203.0.113.7')
+  };
+  const bans = { [banned.fingerprint]: { name: 'A', bannedAt: 1, network: banned.networkFingerprint } };
+
+  assert.ok(moderation.isBanned(bans, banned));
+  assert.ok(
+    moderation.isBanned(bans, { fingerprint: moderation.fingerprintFor('device-b'), networkFingerprint: banned.networkFingerprint }),
+    'a fresh device on the banned network got in'
+  );
+  assert.ok(
+    !moderation.isBanned(bans, {
+      fingerprint: moderation.fingerprintFor('device-b'),
+      networkFingerprint: moderation.networkFingerprintFor('198.51.100.1')
+    })
+  );
+  assert.ok(!moderation.isBanned(undefined, banned));
+});
+
+check('moderation: sockets without a trusted IP never match network bans', () => {
+  assert.strictEqual(moderation.networkFingerprintFor(null), null);
+  const bans = { [moderation.fingerprintFor('device-a')]: { name: 'A', bannedAt: 1, network: null } };
+  assert.ok(!moderation.isBanned(bans, { fingerprint: moderation.fingerprintFor('device-b'), networkFingerprint: null }));
+  assert.ok(moderation.isBanned(bans, { fingerprint: moderation.fingerprintFor('device-a'), networkFingerprint: null }));
+});
+
+check('moderation: device and network fingerprints never collide', () => {
+  assert.notStrictEqual(moderation.fingerprintFor('1.2.3.4'), moderation.networkFingerprintFor('1.2.3.4'));
+});
+
+// ------------------------------------------------------
+// engagement.js
+// ------------------------------------------------------
+check('engagement: polls need a question and two options, and take one vote per fingerprint', () => {
+  assert.strictEqual(engagement.createPoll({ question: '  ', options: ['a', 'b'] }).ok, false);
+  assert.strictEqual(engagement.createPoll({ question: 'Best?', options: ['a', '  ', 3] }).ok, false);
+
+  const { poll } = engagement.createPoll({ question: ' Best? ', options: [' Tea ', 'Coffee', ''] });
+  assert.deepStrictEqual(poll.options, [{ text: 'Tea', votes: 0 }, { text: 'Coffee', votes: 0 }]);
+  assert.ok(engagement.castVote(poll, 'fp-a', 1).ok);
+  assert.strictEqual(engagement.castVote(poll, 'fp-a', 0).ok, false, 'the same fingerprint voted twice');
+  assert.strictEqual(engagement.castVote(poll, 'fp-b', 2).ok, false);
+  assert.strictEqual(engagement.castVote(poll, 'fp-b', '0').ok, false);
+  assert.ok(engagement.castVote(poll, 'fp-b', 1).ok);
+
+  const view = engagement.pollView(poll, 'fp-a');
+  assert.deepStrictEqual(view.options, [{ text: 'Tea', votes: 0 }, { text: 'Coffee', votes: 2 }]);
+  assert.strictEqual(view.totalVotes, 2);
+  assert.strictEqual(view.myVote, 1);
+  assert.ok(!('votesBy' in view), 'voter fingerprints leaked into the view');
+  assert.strictEqual(engagement.pollView(poll, 'fp-c').myVote, null);
+
+  poll.open = false;
+  assert.strictEqual(engagement.castVote(poll, 'fp-c', 0).ok, false, 'a closed poll took a vote');
+});
+
+check('engagement: upvotes toggle per fingerprint and answered questions refuse them', () => {
+  const queue = [];
+  const { question } = engagement.submitQuestion(queue, { text: 'Why?', name: 'Ann', askerKey: 'fp-a' });
+  assert.strictEqual(question.upvotesBy.size, 1, "the asker's own upvote was not counted");
+
+  assert.deepStrictEqual(engagement.toggleUpvote(question, 'fp-b'), { ok: true, upvoted: true });
+  assert.strictEqual(question.upvotesBy.size, 2);
+  assert.deepStrictEqual(engagement.toggleUpvote(question, 'fp-b'), { ok: true, upvoted: false });
+  assert.strictEqual(question.upvotesBy.size, 1);
+
+  question.answered = true;
+  assert.strictEqual(engagement.toggleUpvote(question, 'fp-c').ok, false);
+  assert.strictEqual(engagement.toggleUpvote(undefined, 'fp-c').ok, false);
+});
+
+check('engagement: the question queue limits open questions per asker', () => {
+  const queue = [];
+  assert.strictEqual(engagement.submitQuestion(queue, { text: '   ', askerKey: 'fp-a' }).ok, false);
+  for (let i = 0; i < 3; i += 1) {
+    assert.ok(engagement.submitQuestion(queue, { text: `Q${i}`, askerKey: 'fp-a' }).ok);
+  }
+  assert.strictEqual(engagement.submitQuestion(queue, { text: 'Q3', askerKey: 'fp-a' }).ok, false);
+  queue[0].answered = true;
+  assert.ok(engagement.submitQuestion(queue, { text: 'Q3', askerKey: 'fp-a' }).ok, 'answered questions still counted');
+  assert.strictEqual(queue[3].name, 'Anon');
+});
+
+check('engagement: questions order pinned, then open by upvotes, then answered', () => {
+  const queue = [];
+  const ask = (text, askerKey) => engagement.submitQuestion(queue, { text, askerKey }).question;
+  const first = ask('first', 'fp-a');
+  const popular = ask('popular', 'fp-b');
+  const answered = ask('answered', 'fp-c');
+  const pinned = ask('pinned', 'fp-d');
+  first.createdAt = 1;
+  popular.createdAt = 2;
+  answered.createdAt = 3;
+  pinned.createdAt = 4;
+
+  engagement.toggleUpvote(popular, 'fp-x');
+  engagement.toggleUpvote(answered, 'fp-x');
+  engagement.toggleUpvote(answered, 'fp-y');
+  answered.answered = true;
+  pinned.answered = true;
+  assert.ok(engagement.pinQuestion(queue, pinned.id).ok);
+  assert.strictEqual(pinned.answered, false, 'pinning did not reopen the question');
+
+  const view = engagement.questionQueueView(queue, 'fp-x');
+  assert.deepStrictEqual(view.map((q) => q.text), ['pinned', 'popular', 'first', 'answered']);
+  assert.deepStrictEqual(view.map((q) => q.upvoted), [false, true, false, true]);
+  assert.ok(!('askerKey' in view[0]), 'asker fingerprints leaked into the view');
+
+  assert.ok(engagement.pinQuestion(queue, null).ok);
+  assert.ok(queue.every((q) => !q.pinned));
+  assert.strictEqual(engagement.pinQuestion(queue, 'gone').ok, false);
+});
+
+// ------------------------------------------------------
+// stage-queue.js
+// ------------------------------------------------------
+check('stage-queue: requests wait in arrival order and asking again keeps the place', () => {
+  const stage = stageQueue.createStage(2);
+  assert.deepStrictEqual(stageQueue.enqueue(stage, 'a'), { ok: true, position: 1 });
+  assert.deepStrictEqual(stageQueue.enqueue(stage, 'b'), { ok: true, position: 2 });
+  assert.deepStrictEqual(stageQueue.enqueue(stage, 'c'), { ok: true, position: 3 });
+  assert.deepStrictEqual(stageQueue.enqueue(stage, 'a'), { ok: true, position: 1 }, 'asking again lost the place');
+  assert.deepStrictEqual(stage.queue, ['a', 'b', 'c']);
+  assert.strictEqual(stageQueue.positionOf(stage, 'c'), 3);
+  assert.strictEqual(stageQueue.positionOf(stage, 'z'), null);
+});
+
+check('stage-queue: accept, skip and decline move requests through the line', () => {
+  const stage = stageQueue.createStage(2);
+  ['a', 'b', 'c'].forEach((id) => stageQueue.enqueue(stage, id));
+
+  assert.deepStrictEqual(stageQueue.skip(stage, 'a'), { ok: true, position: 3 });
+  assert.deepStrictEqual(stage.queue, ['b', 'c', 'a']);
+  assert.strictEqual(stageQueue.skip(stage, 'z').ok, false);
+
+  assert.ok(stageQueue.accept(stage, 'c').ok);
+  assert.deepStrictEqual(stage.queue, ['b', 'a']);
+  assert.ok(stage.onStage.has('c'));
+  assert.strictEqual(stageQueue.accept(stage, 'c').ok, false, 'a guest was accepted twice');
+  assert.strictEqual(stageQueue.enqueue(stage, 'c').ok, false, 'a guest on stage joined the line');
+
+  // Declining a waiting request or ending a guest's call both go through remove().
+  assert.deepStrictEqual(stageQueue.remove(stage, 'b'), { wasQueued: true, wasOnStage: false });
+  assert.deepStrictEqual(stageQueue.remove(stage, 'c'), { wasQueued: false, wasOnStage: true });
+  assert.deepStrictEqual(stageQueue.remove(stage, 'z'), { wasQueued: false, wasOnStage: false });
+  assert.deepStrictEqual(stage.queue, ['a']);
+  assert.strictEqual(stage.onStage.size, 0);
+});
+
+check('stage-queue: accept refuses a full stage and the limit is clamped', () => {
+  const stage = stageQueue.createStage(1);
+  ['a', 'b'].forEach((id) => stageQueue.enqueue(stage, id));
+  assert.ok(stageQueue.accept(stage, 'a').ok);
+  assert.strictEqual(stageQueue.slotsFree(stage), 0);
+  const full = stageQueue.accept(stage, 'b');
+  assert.strictEqual(full.ok, false);
+  assert.match(full.error, /1 of 1/);
+  assert.deepStrictEqual(stage.queue, ['b'], 'a refused accept dropped the request');
+
+  stage.maxGuests = stageQueue.clampMaxGuests(2);
+  assert.ok(stageQueue.accept(stage, 'b').ok);
+  stage.maxGuests = stageQueue.clampMaxGuests(1);
+  assert.strictEqual(stageQueue.slotsFree(stage), 0, 'lowering the limit below the stage count went negative');
+
+  assert.strictEqual(stageQueue.clampMaxGuests(0), 1);
+  assert.strictEqual(stageQueue.clampMaxGuests(99), stageQueue.STAGE_GUESTS_MAX);
+  assert.strictEqual(stageQueue.clampMaxGuests(3.7), 3);
+  assert.strictEqual(stageQueue.clampMaxGuests('lots'), stageQueue.DEFAULT_STAGE_GUESTS);
+});
+
+// ------------------------------------------------------
+// scenes.js
+// ------------------------------------------------------
+check('scenes: invalid scenes and layouts are rejected', () => {
+  assert.strictEqual(scenes.normalizeScene({ name: '   ', layout: 'PIP' }).ok, false);
+  assert.strictEqual(scenes.normalizeScene(undefined).ok, false);
+  assert.strictEqual(
+    scenes.normalizeScene({ name: 'Big', layout: 'PIP', overlayHTML: 'x'.repeat(200001) }).ok,
+    false,
+    'an oversized overlay was saved'
+  );
+
+  // The layout itself is checked by the save-scene schema before the handler runs.
+  const save = (layout) =>
+    eventSchemas.validateEventPayload('save-scene', { roomName: 'studio', scene: { name: 'A', layout } });
+  assert.strictEqual(save('SPLIT'), null);
+  assert.match(save('MOSAIC'), /layout must be one of/);
+  assert.match(save(undefined), /layout is required/);
+});
+
+check('scenes: saved scenes are cleaned and drop tab-local blob URLs', () => {
+  const { scene } = scenes.normalizeScene({
+    name: '  Interview  ',
+    layout: 'SPLIT',
+    hotkey: 'x',
+    cropWidth: 0.1,
+    slotAssignments: { 0: 'host', 1: 'guest', 99: 'far', 2: 7 },
+    overlayFieldValues: { title: 'Live', logo: 'blob:https://example/1' }
+  });
+  assert.strictEqual(scene.name, 'Interview');
+  assert.strictEqual(scene.hotkey, null);
+  assert.strictEqual(scene.cropWidth, 0.3);
+  assert.deepStrictEqual(scene.slotAssignments, { 0: 'host', 1: 'guest' });
+  assert.deepStrictEqual(scene.overlayFieldValues, { title: 'Live' });
+});
+
+check('scenes: save replaces by id or name, hands out hotkeys and caps the list', () => {
+  const list = [];
+  const save = (input) => scenes.upsertScene(list, scenes.normalizeScene({ layout: 'PIP', ...input }).scene);
+
+  const first = save({ name: 'Intro' }).scene;
+  assert.ok(first.id);
+  assert.strictEqual(first.hotkey, '1');
+  assert.strictEqual(save({ name: 'Guest' }).scene.hotkey, '2');
+
+  const renamed = save({ id: first.id, name: 'Opening', layout: 'SOLO' }).scene;
+  assert.strictEqual(renamed.id, first.id);
+  assert.strictEqual(renamed.hotkey, '1', 'an update lost its hotkey');
+  assert.strictEqual(save({ name: 'Opening', layout: 'SPLIT' }).scene.id, first.id, 'a same-name save made a duplicate');
+  assert.strictEqual(list.length, 2);
+
+  save({ name: 'Outro', hotkey: '1' });
+  assert.strictEqual(list.find((s) => s.name === 'Opening').hotkey, null, 'two scenes share a hotkey');
+
+  while (list.length < scenes.MAX_SCENES) save({ name: `Scene ${list.length}` });
+  assert.strictEqual(save({ name: 'One too many' }).ok, false);
+  assert.ok(save({ name: 'Outro', layout: 'GUEST' }).ok, 'a full list refused an update');
+});
+
+check('scenes: delete and activate keep the active scene valid', () => {
+  const room = { scenes: [] };
+  const intro = scenes.upsertScene(room.scenes, scenes.normalizeScene({ name: 'Intro', layout: 'PIP' }).scene).scene;
+  const outro = scenes.upsertScene(room.scenes, scenes.normalizeScene({ name: 'Outro', layout: 'SOLO' }).scene).scene;
+
+  assert.deepStrictEqual(scenes.activateScene(room, 'missing'), { ok: false, error: 'Scene not found.' });
+  assert.strictEqual(room.activeSceneId, undefined, 'a missing scene became active');
+  assert.ok(scenes.activateScene(room, intro.id).ok);
+  assert.strictEqual(room.activeSceneId, intro.id);
+
+  scenes.removeScene(room, outro.id);
+  assert.strictEqual(room.activeSceneId, intro.id);
+  scenes.removeScene(room, intro.id);
+  assert.deepStrictEqual(room.scenes, []);
+  assert.strictEqual(room.activeSceneId, null, 'the deleted scene stayed active');
+
+  assert.ok(scenes.activateScene(room, null).ok);
+  const bare = {};
+  scenes.removeScene(bare, 'anything');
+  assert.deepStrictEqual(bare.scenes, [], 'a record without scenes was not handled');
+});
+
+// ------------------------------------------------------
+// stream-health.js
+// ------------------------------------------------------
+check('stream-health: percentile uses nearest rank', () => {
+  const values = [50, 10, 40, 20, 30];
+  assert.strictEqual(streamHealth.percentile(values, 50), 30);
+  assert.strictEqual(streamHealth.percentile(values, 90), 50);
+  assert.strictEqual(streamHealth.percentile(values, 0), 10);
+  assert.strictEqual(streamHealth.percentile([7], 99), 7);
+  assert.strictEqual(streamHealth.percentile([], 50), null);
+  assert.deepStrictEqual(values, [50, 10, 40, 20, 30], 'percentile sorted its input in place');
+});
+
+check('stream-health: alerts need consecutive bad or clean samples', () => {
+  const health = new Map();
+  const bad = { latency: streamHealth.THRESHOLDS.latencyMs + 100, loss: 0, bitrateKbps: 2000 };
+  const good = { latency: 80, loss: 0, bitrateKbps: 2000 };
+  let at = 0;
+  const report = (sample) => streamHealth.recordSample(health, 'v1', { name: 'Viewer' }, sample, (at += 2000)).alert;
+
+  assert.strictEqual(report(bad), null, 'one bad sample raised an alert');
+  assert.strictEqual(report(good), null);
+  assert.strictEqual(report(bad), null, 'the bad-sample run did not reset on a clean sample');
+  assert.strictEqual(report(bad), 'degraded');
+  assert.strictEqual(report(bad), null, 'degraded alerted twice');
+  assert.match(health.get('v1').reasons[0], /latency/);
+
+  assert.strictEqual(report(good), null, 'one clean sample cleared the alert');
+  assert.strictEqual(report(good), null);
+  assert.ok(health.get('v1').degraded && health.get('v1').reasons.length, 'reasons vanished while still degraded');
+  assert.strictEqual(report(bad), null);
+  assert.strictEqual(report(good), null);
+  assert.strictEqual(report(good), null);
+  assert.strictEqual(report(good), 'recovered');
+  assert.deepStrictEqual(health.get('v1').reasons, []);
+});
+
+async function run() {
+  let failures = 0;
+  let skipped = 0;
+  for (const { name, fn, skip: reason } of checks) {
+    if (reason) {
+      skipped += 1;
+      console.log(`skip ${name}`);
+      console.log(`     ${reason}`);
+      continue;
+    }
+    try {
+      await fn();
+      console.log(`ok   ${name}`);
+    } catch (err) {
+      failures += 1;
+      console.log(`FAIL ${name}`);
+      console.log(`     ${err.message.split('\n').join('\n     ')}`);
+    }
+  }
+  tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+  const ran = checks.length - skipped;
+  console.log(`\n${ran - failures}/${ran} checks passed${skipped ? `, ${skipped} skipped` : ''}`);
+  if (failures) process.exit(1);
+}
+
+run();
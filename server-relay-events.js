@@ -3,20 +3,34 @@
  * Adds relay network without breaking existing functionality
  *
  * Usage: Add this ONE line inside io.on('connection', (socket) => { ... }):
- * require('./server-relay-events')(io, socket, treeManager, rooms, roomDirectory);
+ * require('./server-relay-events')(io, socket, treeManager, rooms, roomDirectory, signalingTimer, admitToRoom);
+ *
+ * admitToRoom is server.js's join check (lock, device id, bans, VIP gate),
+ * so the relay path admits exactly who join-room admits.
  */
 
-module.exports = function(io, socket, treeManager, rooms, roomDirectory) {
+module.exports = function(io, socket, treeManager, rooms, roomDirectory, signalingTimer, admitToRoom) {
 
   // Relay network - viewer joins via tree
-  socket.on('join-room-relay', ({ room, name, deviceInfo }) => {
-    const roomName = room;
+  socket.on('join-room-relay', ({ room, name, deviceInfo, deviceToken, vipCode, vipToken }, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const fail = (error, code) => {
+      socket.emit('error-message', error);
+      reply({ ok: false, error, code });
+    };
+    const roomName = room.trim().slice(0, 50);
     console.log(`[Relay] Join request: ${name} -> ${roomName}`);
 
     // Check if room exists
     const info = rooms[roomName];
     if (!info) {
-      socket.emit('error-message', 'Room not found');
+      fail('Room not found');
+      return;
+    }
+
+    const admission = admitToRoom(socket, roomName, { viewerMode: true, vipCode, vipToken, deviceToken });
+    if (!admission.ok) {
+      fail(admission.error, admission.code);
       return;
     }
 
@@ -27,7 +41,7 @@ module.exports = function(io, socket, treeManager, rooms, roomDirectory) {
         treeManager.initializeRoom(roomName, hostId);
         console.log(`[Relay] Initialized tree for ${roomName} with host ${hostId}`);
       } else {
-        socket.emit('error-message', 'Host not found');
+        fail('Host not found');
         return;
       }
     }
@@ -36,7 +50,7 @@ module.exports = function(io, socket, treeManager, rooms, roomDirectory) {
     const assignment = treeManager.addViewer(roomName, socket.id, deviceInfo);
 
     if (!assignment) {
-      socket.emit('error-message', 'No available relay slots. Try again later.');
+      fail('No available relay slots. Try again later.');
       return;
     }
 
@@ -47,6 +61,8 @@ module.exports = function(io, socket, treeManager, rooms, roomDirectory) {
     info.users.set(socket.id, {
       name,
       isViewer: true,
+      isVip: admission.isVip,
+      fingerprint: socket.data.fingerprint,
       isRelay: true,
       tier: assignment.tier,
       capacity: assignment.capacity
@@ -56,6 +72,8 @@ module.exports = function(io, socket, treeManager, rooms, roomDirectory) {
     socket.data.room = roomName;
     socket.data.name = name;
     socket.data.isViewer = true;
+    socket.data.isVip = admission.isVip;
+    socket.data.roomRole = admission.isVip ? 'vip' : 'viewer';
     socket.data.isRelay = true;
 
     // Update viewer count in directory
@@ -83,16 +101,18 @@ module.exports = function(io, socket, treeManager, rooms, roomDirectory) {
     socket.to(roomName).emit('user-joined', {
       id: socket.id,
       name
-    });
+    });    reply({ ok: true, isVip: admission.isVip, tier: assignment.tier });
   });
 
   // Relay WebRTC signaling
   socket.on('relay-offer', ({ to, offer }) => {
     io.to(to).emit('relay-offer', { from: socket.id, offer });
+    if (signalingTimer) signalingTimer.offer('relay', socket.id, to);
   });
 
   socket.on('relay-answer', ({ to, answer }) => {
     io.to(to).emit('relay-answer', { from: socket.id, answer });
+    if (signalingTimer) signalingTimer.answer('relay', socket.id, to);
   });
 
   socket.on('relay-ice', ({ to, candidate, forParent }) => {
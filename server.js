@@ -1,6 +1,7 @@
 require('dotenv').config();
 
 const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
@@ -14,10 +15,12 @@ const server = http.createServer(app);
 app.use('/webhook/stripe', express.raw({ type: 'application/json' }));
 app.use(express.json());
 
-// Increased buffer to 50MB for large arcade transfers
+// Socket payload cap. Arcade transfers go over data channels; the largest
+// socket payload is a 10MB file-share as a data URL.
+const SOCKET_MAX_BUFFER_BYTES = parseInt(process.env.SOCKET_MAX_BUFFER_BYTES) || 1.5e7;
 const io = new Server(server, {
   cors: { origin: '*' },
-  maxHttpBufferSize: 5e7,
+  maxHttpBufferSize: SOCKET_MAX_BUFFER_BYTES,
   pingTimeout: 10000,
   pingInterval: 25000
 });
@@ -32,6 +35,52 @@ const StripeHandler = require('./stripe-handler');
 const foundationRegistry = new FoundationRegistry();
 const stripeHandler = new StripeHandler(foundationRegistry);
 
+// Room directory persistence (json | sqlite | memory, see room-store.js)
+const { createRoomStore, createChatStore, buildRoomRecord, migrateRoomRecord, ROOM_SCHEMA_VERSION } = require('./room-store');
+const roomStore = createRoomStore();
+// Public chat history, kept out of the room directory (see room-store.js)
+const chatStore = createChatStore();
+
+// Password hashing shared with the Foundation registry
+const auth = require('./auth');
+
+// Role table for room-mutating socket events
+const { createPermissionMiddleware, hasRole, STAFF_ROLES } = require('./room-permissions');
+
+// Bans, chat timeouts and the blocked-words filter
+const moderation = require('./moderation');
+
+// Reaction bursts and live polls
+const engagement = require('./engagement');
+
+// Ordered call requests and on-stage slots
+const stageQueue = require('./stage-queue');
+
+// Saved mixer scenes (layout, guest, overlay)
+const scenes = require('./scenes');
+
+// Per-viewer playback stats for the host's health dashboard
+const streamHealth = require('./stream-health');
+
+// Per-event payload schemas
+const { EVENT_SCHEMAS, createValidationMiddleware } = require('./event-schemas');
+
+// Prometheus text-format metrics served on /metrics (see METRICS below)
+const { MetricsRegistry, SignalingTimer, hasBearerToken } = require('./metrics');
+
+// Chat / file-share / call-request throttling (limits configurable via RATE_LIMITS)
+const { RateLimiter } = require('./rate-limiter');
+const rateLimiter = new RateLimiter();
+
+// Host session tokens (signed with HOST_SESSION_SECRET, see issueHostToken)
+const HOST_SESSION_SECRET = process.env.HOST_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const HOST_SESSION_TTL_MS = parseInt(process.env.HOST_SESSION_TTL_MS, 10) || 12 * 60 * 60 * 1000;
+// How long a password-protected room stays reserved for its host after the host drops.
+const HOST_RECLAIM_GRACE_MS = parseInt(process.env.HOST_RECLAIM_GRACE_MS) || 30 * 1000;
+if (!process.env.HOST_SESSION_SECRET) {
+  console.warn('[Auth] HOST_SESSION_SECRET not set; host sessions will not survive a server restart.');
+}
+
 // Initialize Foundation Registry
 (async () => {
   await foundationRegistry.init();
@@ -85,10 +134,15 @@ app.post('/webhook/stripe', async (req, res) => {
   const sig = req.headers['stripe-signature'];
   try {
     const result = await stripeHandler.handleWebhook(req.body, sig);
+    stripeWebhooksTotal.inc({ outcome: 'processed', type: result.type });
     const status = foundationRegistry.getStatus();
     io.emit('foundation-update', status);
     res.json(result);
   } catch (err) {
+    stripeWebhooksTotal.inc({
+      outcome: err.message === 'Invalid signature' ? 'invalid_signature' : 'failed',
+      type: err.eventType || 'unknown'
+    });
     console.error('[Webhook] Error:', err);
     res.status(400).send(`Webhook Error: ${err.message}`);
   }
@@ -118,15 +172,71 @@ app.get('/api/tree', (req, res) => {
   });
 });
 
+// ======================================================
+// METRICS
+// ======================================================
+// Scraped with `Authorization: Bearer $ADMIN_TOKEN`; without ADMIN_TOKEN the
+// endpoint is not served.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const metrics = new MetricsRegistry();
+
+metrics.gauge('rebel_connected_sockets', 'Connected Socket.IO clients.', () => io.sockets.sockets.size);
+metrics.gauge('rebel_rooms', 'Rooms with a live session.', () => Object.keys(rooms).length);
+metrics.gauge('rebel_room_viewers', 'Viewers connected per room.', () =>
+  Object.entries(rooms).map(([room, info]) => ({
+    labels: { room },
+    value: [...info.users.values()].filter((u) => u.isViewer).length
+  }))
+);
+
+// One series per relay tree for each field of TreeManager#getStats.
+const relayTreeGauge = (field) => () =>
+  [...treeManager.trees.keys()].map((room) => ({ labels: { room }, value: treeManager.getStats(room)[field] }));
+metrics.gauge('rebel_relay_tree_nodes', 'Nodes in the relay tree, host included.', relayTreeGauge('nodes'));
+metrics.gauge('rebel_relay_tree_depth', 'Deepest relay tier below the host.', relayTreeGauge('depth'));
+metrics.gauge('rebel_relay_tree_max_fanout', 'Most children on any one relay node.', relayTreeGauge('maxFanout'));
+metrics.gauge('rebel_relay_tree_host_fanout', 'Children attached directly to the host.', relayTreeGauge('hostFanout'));
+metrics.gauge('rebel_relay_tree_orphans', 'Relay nodes waiting for a new parent.', relayTreeGauge('orphans'));
+
+metrics.gauge('rebel_foundation_rooms_sold', 'Foundation rooms sold.', () => foundationRegistry.getStatus().totalSold);
+metrics.gauge('rebel_foundation_rooms_remaining', 'Foundation rooms left to sell.', () => foundationRegistry.getStatus().remaining);
+metrics.gauge('rebel_foundation_rooms_limit', 'Foundation rooms on offer.', () => foundationRegistry.getStatus().limit);
+
+// Events outside EVENT_SCHEMAS are counted as "other" so clients cannot mint series.
+const socketEventsTotal = metrics.counter('rebel_socket_events_total', 'Socket events received, by event name.');
+const stripeWebhooksTotal = metrics.counter('rebel_stripe_webhooks_total', 'Stripe webhook deliveries, by outcome and event type.');
+const signalingTimer = new SignalingTimer(
+  metrics.histogram('rebel_signaling_latency_seconds', 'Time from a relayed offer to the relayed answer, by signaling kind.'),
+  {
+    // Only time offers to a connected socket in the sender's room.
+    canPair: (fromId, toId) => {
+      const from = io.sockets.sockets.get(fromId);
+      const to = io.sockets.sockets.get(toId);
+      return !!from && !!to && !!from.data.room && from.data.room === to.data.room;
+    }
+  }
+);
+
+app.get('/metrics', (req, res) => {
+  if (!ADMIN_TOKEN) return res.status(404).end();
+  if (!hasBearerToken(req, ADMIN_TOKEN)) return res.status(401).set('WWW-Authenticate', 'Bearer').end();
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 // In-memory room state (per room: owner, lock state, users)
 const rooms = Object.create(null);
 const vipTokens = new Map();
 
-// Persistent room registry (in-memory for now, structured for easy DB swap).
+// Persistent room registry: in-memory cache backed by roomStore.
 const roomDirectory = {
   rooms: Object.create(null)
 };
 
+// Public chat kept per room for late joiners (oldest messages drop first).
+const CHAT_HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT, 10) || 200;
+const CHAT_BACKFILL_COUNT = 50;
+const CHAT_PAGE_MAX = 100;
+
 function normalizeRoomName(roomName) {
   if (!roomName || typeof roomName !== 'string') return '';
   return roomName.trim().slice(0, 50);
@@ -137,31 +247,23 @@ function normalizeVipCode(value) {
   return value.trim().toUpperCase();
 }
 
-function buildRoomRecord({ roomName, ownerPassword, privacy }) {
-  return {
-    roomName,
-    ownerPassword: ownerPassword ? String(ownerPassword) : null,
-    privacy: privacy === 'private' ? 'private' : 'public',
-    isLive: false,
-    vipRequired: false,
-    vipCodes: {},
-    createdAt: Date.now(),
-    title: null,
-    viewers: 0,
-    vipUsers: [],
-    paymentEnabled: false,
-    paymentLabel: '',
-    paymentUrl: '',
-    turnConfig: {
-      enabled: false,
-      host: '',
-      port: '',
-      tlsPort: '',
-      username: '',
-      password: ''
-    },
-    isFoundationRoom: false
-  };
+async function loadRoomDirectory() {
+  await roomStore.init();
+  await chatStore.init();
+  const outdated = [];
+  for (const stored of roomStore.loadAll()) {
+    const record = await migrateRoomRecord(stored);
+    roomDirectory.rooms[record.roomName] = record;
+    if (stored.schemaVersion !== ROOM_SCHEMA_VERSION) outdated.push(record);
+    // v4-v8 records carry their chat history; move it before the record is
+    // rewritten without it.
+    if (Array.isArray(stored.chatHistory) && stored.chatHistory.length && !chatStore.get(record.roomName).length) {
+      chatStore.set(record.roomName, stored.chatHistory.slice(-CHAT_HISTORY_LIMIT));
+    }
+  }
+  await chatStore.flush();
+  outdated.forEach((record) => roomStore.save(record));
+  console.log(`[Rooms] Directory loaded (${Object.keys(roomDirectory.rooms).length} rooms, ${roomStore.driver} store)`);
 }
 
 function getRoomRecord(roomName) {
@@ -170,12 +272,13 @@ function getRoomRecord(roomName) {
   return roomDirectory.rooms[name] || null;
 }
 
-function createRoomRecord({ roomName, ownerPassword, privacy }) {
+function createRoomRecord({ roomName, ownerPasswordHash, privacy }) {
   const name = normalizeRoomName(roomName);
   if (!name) return { ok: false, error: 'Invalid room name.' };
   if (roomDirectory.rooms[name]) return { ok: false, error: 'Room already exists.' };
-  const record = buildRoomRecord({ roomName: name, ownerPassword, privacy });
+  const record = buildRoomRecord({ roomName: name, ownerPasswordHash, privacy });
   roomDirectory.rooms[name] = record;
+  roomStore.save(record);
   return { ok: true, room: record };
 }
 
@@ -185,9 +288,79 @@ function updateRoomRecord(roomName, updater) {
   const existing = roomDirectory.rooms[name];
   if (!existing) return { ok: false, error: 'Room not found.' };
   updater(existing);
+  roomStore.save(existing);
   return { ok: true, room: existing };
 }
 
+// Check a host password against the room record, upgrading outdated hashes.
+async function verifyRoomPassword(record, password) {
+  if (!record || !record.ownerPasswordHash) return false;
+  const { ok, needsRehash } = await auth.verifyPassword(password, record.ownerPasswordHash);
+  if (ok && needsRehash) {
+    const upgraded = await auth.hashPassword(password);
+    updateRoomRecord(record.roomName, (room) => {
+      room.ownerPasswordHash = upgraded;
+    });
+  }
+  return ok;
+}
+
+function grantHostAuth(socket, roomName) {
+  if (!socket.data.hostAuthRooms) socket.data.hostAuthRooms = new Set();
+  socket.data.hostAuthRooms.add(roomName);
+}
+
+function hasHostAuth(socket, roomName) {
+  return !!(socket.data.hostAuthRooms && socket.data.hostAuthRooms.has(roomName));
+}
+
+function issueHostToken(record) {
+  return auth.signToken(
+    {
+      room: record.roomName,
+      v: record.hostTokenVersion || 0,
+      exp: Date.now() + HOST_SESSION_TTL_MS
+    },
+    HOST_SESSION_SECRET
+  );
+}
+
+// Validate a host session token and authorize the socket for its room.
+function acceptHostToken(socket, token, expectedRoom) {
+  const payload = auth.verifyToken(token, HOST_SESSION_SECRET);
+  if (!payload) return false;
+  const record = getRoomRecord(payload.room);
+  if (!record || (record.hostTokenVersion || 0) !== payload.v) return false;
+  // Bought as a Foundation room since the token was issued; the buyer's
+  // password has not been synced onto the record (and sessions revoked) yet.
+  if (!record.isFoundationRoom && foundationRegistry.isFoundationRoom(record.roomName)) return false;
+  if (expectedRoom && record.roomName !== expectedRoom) return false;
+  grantHostAuth(socket, record.roomName);
+  return true;
+}
+
+// Replace a room's host password. Every password change goes through here so
+// outstanding host sessions are always revoked with it.
+function setRoomPassword(roomName, ownerPasswordHash, exceptSocket) {
+  const result = updateRoomRecord(roomName, (room) => {
+    room.ownerPasswordHash = ownerPasswordHash;
+  });
+  if (result.ok) revokeHostSessions(result.room.roomName, exceptSocket);
+  return result;
+}
+
+// Invalidate every outstanding token and socket authorization for a room.
+function revokeHostSessions(roomName, exceptSocket) {
+  updateRoomRecord(roomName, (room) => {
+    room.hostTokenVersion = (room.hostTokenVersion || 0) + 1;
+  });
+  for (const other of io.sockets.sockets.values()) {
+    if (other !== exceptSocket && other.data.hostAuthRooms) {
+      other.data.hostAuthRooms.delete(roomName);
+    }
+  }
+}
+
 function listPublicRooms() {
   return Object.values(roomDirectory.rooms)
     .filter((room) => room.privacy === 'public' && room.isLive)
@@ -208,9 +381,16 @@ function getRoomInfo(roomName) {
   if (!rooms[roomName]) {
     rooms[roomName] = {
       ownerId: null,
+      ownerSession: null,
       locked: false,
       streamTitle: 'Untitled Stream',
-      users: new Map()
+      users: new Map(),
+      chatTimeouts: new Map(),
+      poll: null,
+      questions: [],
+      broadcastTimers: {},
+      stage: stageQueue.createStage(),
+      health: new Map()
     };
   }
   return rooms[roomName];
@@ -265,15 +445,296 @@ function requireOwner(info, socket) {
   return info && info.ownerId === socket.id;
 }
 
-function buildUserList(room) {
+// Owner socket, or a socket holding password/token host auth for the room.
+function requireHost(info, socket, roomName) {
+  return requireOwner(info, socket) || hasHostAuth(socket, roomName);
+}
+
+// Socket.IO room holding only the non-viewer members (host and guests).
+function backstageChannel(roomName) {
+  return `${roomName}::backstage`;
+}
+
+function recordChatMessage(roomName, message) {
+  const record = getRoomRecord(roomName);
+  if (!record) return;
+  chatStore.set(record.roomName, [...chatStore.get(record.roomName), message].slice(-CHAT_HISTORY_LIMIT));
+}
+
+// Page backwards through chat history. `before` is the id of the oldest
+// message the client already has.
+function getChatHistoryPage(roomName, { before, limit } = {}) {
+  const record = getRoomRecord(roomName);
+  const history = record ? chatStore.get(record.roomName) : [];
+  let end = history.length;
+  if (before) {
+    const index = history.findIndex((message) => message.id === before);
+    end = index >= 0 ? index : 0;
+  }
+  const size = Math.min(CHAT_PAGE_MAX, Math.max(1, Math.floor(limit) || CHAT_BACKFILL_COUNT));
+  const start = Math.max(0, end - size);
+  return { messages: history.slice(start, end), hasMore: start > 0 };
+}
+
+// Returns the end of an active chat timeout for this socket, or 0.
+function getChatTimeout(roomName, socket) {
+  const timeouts = rooms[roomName]?.chatTimeouts;
+  const until = timeouts ? timeouts.get(socket.data.fingerprint) : 0;
+  if (!until) return 0;
+  if (until <= Date.now()) {
+    timeouts.delete(socket.data.fingerprint);
+    return 0;
+  }
+  return until;
+}
+
+// Device id behind the socket's fingerprint. A valid device token keeps
+// its id; otherwise a new id is minted and sent back as `device-token`, at
+// most RATE_LIMITS['device-token'] per IP so dropping the token cannot be
+// used to stuff votes or dodge timeouts. Returns null when throttled.
+function resolveDeviceId(socket, deviceToken) {
+  const payload = auth.verifyToken(deviceToken, HOST_SESSION_SECRET);
+  if (payload && payload.kind === 'device' && typeof payload.id === 'string') return payload.id;
+  const limit = rateLimiter.limits['device-token']?.ip;
+  const ip = rateLimiter.clientAddress(socket);
+  if (limit && ip && !rateLimiter.take(`ip:${ip}:device-token`, limit)) return null;
+  const id = crypto.randomUUID();
+  socket.emit('device-token', auth.signToken({ kind: 'device', id }, HOST_SESSION_SECRET));
+  return id;
+}
+
+/**
+ * Admission checks shared by join-room and join-room-relay: the room lock,
+ * the device id behind the socket's fingerprint, bans, the host password
+ * and the VIP gate. Sets the socket's device fingerprints and VIP rooms as
+ * a side effect. Never creates the room session. Returns
+ * { ok: false, error, code } or { ok: true, directoryEntry, isVip, vipByCode }.
+ */
+function admitToRoom(socket, roomName, { viewerMode, vipCode, vipToken, deviceToken }) {
+  const live = rooms[roomName];
+  if (live?.locked && live.ownerId && live.ownerId !== socket.id) {
+    return { ok: false, error: 'Room is locked by host', code: 'LOCKED' };
+  }
+
+  const directoryEntry = getRoomDirectoryEntry(roomName);
+  if (!socket.data.deviceId) socket.data.deviceId = resolveDeviceId(socket, deviceToken);
+  if (!socket.data.deviceId) {
+    return { ok: false, error: 'Too many new devices from your network. Try again in a minute.', code: 'RATE_LIMITED' };
+  }
+  socket.data.fingerprint = moderation.fingerprintFor(socket.data.deviceId);
+  socket.data.networkFingerprint = moderation.networkFingerprintFor(networkBanAddress(socket));
+  // Staff grants outlive a network ban made on someone sharing their IP.
+  const isStaffDevice = !!directoryEntry?.roomRoles?.[socket.data.fingerprint];
+  if (
+    moderation.isBanned(directoryEntry?.bannedFingerprints, socket.data) &&
+    !isStaffDevice &&
+    !hasHostAuth(socket, roomName)
+  ) {
+    return { ok: false, error: 'You have been banned from this room.', code: 'BANNED' };
+  }
+
+  // Host access rules:
+  // - Unclaimed rooms: first host joins without password and claims the room.
+  // - Claimed rooms with a password: host must authenticate before joining.
+  if (!viewerMode && isRoomClaimed(roomName) && directoryEntry?.ownerPasswordHash) {
+    if (!hasHostAuth(socket, roomName)) {
+      return { ok: false, error: 'Host password required.' };
+    }
+  }
+
+  // VIP access rules:
+  // - VIP token/code grants access to private rooms.
+  // - VIP codes are usage-tracked with maxUses/used.
+  const vipRooms = socket.data.vipRooms;
+  const vipTokenAccepted = vipToken ? consumeVipToken(vipToken, roomName) : false;
+  if (vipTokenAccepted) {
+    if (!socket.data.vipRooms) socket.data.vipRooms = new Set();
+    socket.data.vipRooms.add(roomName);
+  }
+
+  let vipByCode = false;
+  if (viewerMode && vipCode && directoryEntry?.vipCodes) {
+    const normalized = normalizeVipCode(vipCode);
+    const meta = normalized ? directoryEntry.vipCodes[normalized] : null;
+    if (meta && meta.usesLeft > 0) {
+      let exhausted = false;
+      const result = updateRoomRecord(roomName, (storedRoom) => {
+        const liveMeta = storedRoom.vipCodes[normalized];
+        if (!liveMeta || liveMeta.usesLeft <= 0) {
+          exhausted = true;
+          return;
+        }
+        liveMeta.usesLeft -= 1;
+      });
+      if (result.ok && !exhausted) {
+        vipByCode = true;
+        emitVipCodesUpdate(roomName);
+      }
+    }
+  }
+
+  const isVip =
+    viewerMode && (vipByCode || (vipRooms && vipRooms.has(roomName)) || vipTokenAccepted);
+  const vipRequired = directoryEntry ? !!directoryEntry.vipRequired : false;
+
+  if (viewerMode && directoryEntry?.privacy === 'private' && vipRequired && !isVip) {
+    return { ok: false, error: vipCode ? 'Invalid or exhausted VIP code.' : 'VIP code required.' };
+  }
+
+  return { ok: true, directoryEntry, isVip, vipByCode };
+}
+
+// Client IP for network bans. A proxy that TRUST_PROXY does not cover gives
+// every client its own address, and one ban would then shut out the whole
+// audience, so forwarded connections get no network match at all.
+function networkBanAddress(socket) {
+  if (!rateLimiter.trustProxy && socket.handshake.headers['x-forwarded-for']) return null;
+  return rateLimiter.clientAddress(socket);
+}
+
+function listBans(record) {
+  return Object.entries(record?.bannedFingerprints || {}).map(([fingerprint, meta]) => ({
+    fingerprint,
+    name: meta.name,
+    bannedAt: meta.bannedAt
+  }));
+}
+
+// Moderator/co-host role the owner granted to this socket's fingerprint.
+// Only applies while the socket is in the room.
+function getStaffRole(socket, roomName) {
+  if (socket.data.room !== roomName || !socket.data.fingerprint) return null;
+  return getRoomRecord(roomName)?.roomRoles?.[socket.data.fingerprint]?.role || null;
+}
+
+function listRoomRoles(record) {
+  return Object.entries(record?.roomRoles || {}).map(([fingerprint, meta]) => ({
+    fingerprint,
+    name: meta.name,
+    role: meta.role
+  }));
+}
+
+// Role of a socket in a room for the permission table (null if unrelated).
+function getRoomRole(socket, roomName) {
+  const name = normalizeRoomName(roomName);
+  if (!name) return null;
+  if (requireHost(rooms[name], socket, name)) return 'host';
+  const staffRole = getStaffRole(socket, name);
+  if (staffRole) return staffRole;
+  if (socket.data.vipRooms && socket.data.vipRooms.has(name)) return 'vip';
+  if (socket.data.room === name) return socket.data.isVip ? 'vip' : 'viewer';
+  return null;
+}
+
+// Like requireOwner, but admits any socket whose room role is at least `role`.
+function requireRole(socket, roomName, role) {
+  return hasRole(getRoomRole(socket, roomName), role);
+}
+
+// Moderators and co-hosts may only act on people ranked below them.
+function outranks(socket, target, roomName) {
+  const actorRole = getRoomRole(socket, roomName);
+  const targetRole = getRoomRole(target, roomName);
+  return hasRole(actorRole, 'moderator') && (!targetRole || !hasRole(targetRole, actorRole));
+}
+
+// Password-protected rooms may only be owned by sockets that proved host
+// credentials; open rooms keep first-come ownership. While a room is held
+// for a disconnected owner, only that owner's session token may take it.
+function canOwnRoom(socket, roomName) {
+  const record = getRoomRecord(roomName);
+  if (record?.ownerPasswordHash && !hasHostAuth(socket, roomName)) return false;
+  const reservation = rooms[roomName]?.hostReservation;
+  if (!reservation) return true;
+  const session = socket.data.ownerSession;
+  return !!reservation.sessionId && session?.room === roomName && session.sid === reservation.sessionId;
+}
+
+// Make a socket the room's owner under a fresh owner session. The socket
+// gets a signed token for it (`owner-token`) so the same browser can
+// reclaim the room after a disconnect.
+function assignRoomOwner(info, roomName, ownerSocket) {
+  info.ownerId = ownerSocket.id;
+  info.ownerSession = crypto.randomUUID();
+  ownerSocket.emit('owner-token', {
+    room: roomName,
+    token: auth.signToken(
+      { kind: 'owner', room: roomName, sid: info.ownerSession, exp: Date.now() + HOST_SESSION_TTL_MS },
+      HOST_SESSION_SECRET
+    )
+  });
+}
+
+// Owner session carried by a join, or null.
+function readOwnerToken(token, roomName) {
+  const payload = auth.verifyToken(token, HOST_SESSION_SECRET);
+  if (!payload || payload.kind !== 'owner' || payload.room !== roomName || typeof payload.sid !== 'string') {
+    return null;
+  }
+  return { room: roomName, sid: payload.sid };
+}
+
+function clearHostReservation(info) {
+  if (!info?.hostReservation) return;
+  clearTimeout(info.hostReservation.timer);
+  info.hostReservation = null;
+}
+
+// Hold ownership open for the disconnected host instead of handing it to
+// the next socket that joins; only their owner session can reclaim it.
+function reserveHostOwnership(roomName, sessionId) {
+  const info = rooms[roomName];
+  if (!info) return;
+  clearHostReservation(info);
+  info.hostReservation = {
+    sessionId,
+    expiresAt: Date.now() + HOST_RECLAIM_GRACE_MS,
+    timer: setTimeout(() => expireHostReservation(roomName), HOST_RECLAIM_GRACE_MS)
+  };
+}
+
+function expireHostReservation(roomName) {
+  const info = rooms[roomName];
+  if (!info?.hostReservation) return;
+  info.hostReservation = null;
+
+  // Fall back to another connected socket that holds host credentials.
+  for (const [id, user] of info.users) {
+    const candidate = io.sockets.sockets.get(id);
+    if (!user.isViewer && candidate && canOwnRoom(candidate, roomName)) {
+      assignRoomOwner(info, roomName, candidate);
+      candidate.emit('role', { isHost: true, streamTitle: info.streamTitle });
+      break;
+    }
+  }
+
+  if (!info.ownerId && getRoomDirectoryEntry(roomName)) {
+    updateRoomRecord(roomName, (storedRoom) => {
+      storedRoom.isLive = false;
+    });
+  }
+  console.log(`[Rooms] Host reservation expired: ${roomName}`);
+
+  if (info.users.size === 0) dropRoomSession(roomName);
+  else broadcastRoomUpdate(roomName);
+}
+
+function buildUserList(roomName) {
+  const room = rooms[roomName];
+  const roomRoles = getRoomRecord(roomName)?.roomRoles || {};
   const users = [];
   for (const [id, u] of room.users.entries()) {
     users.push({
       id,
       name: u.name,
       isViewer: u.isViewer,
-      requestingCall: u.requestingCall,
-      isVip: u.isVip
+      requestingCall: stageQueue.positionOf(room.stage, id) !== null,
+      stagePosition: stageQueue.positionOf(room.stage, id),
+      onStage: room.stage.onStage.has(id),
+      isVip: u.isVip,
+      quality: u.quality || 'auto',
+      role: id === room.ownerId ? 'host' : roomRoles[u.fingerprint]?.role || null
     });
   }
   return users;
@@ -348,12 +809,124 @@ function broadcastRoomUpdate(roomName) {
   const record = getRoomRecord(roomName);
 
   io.to(roomName).emit('room-update', {
-    users: buildUserList(room),
+    users: buildUserList(roomName),
     ownerId: room.ownerId,
     locked: room.locked,
     streamTitle: room.streamTitle,
     privacy: record ? record.privacy : 'public',
-    vipRequired: record ? !!record.vipRequired : false
+    vipRequired: record ? !!record.vipRequired : false,
+    hostReconnecting: !!room.hostReservation,
+    hostReconnectDeadline: room.hostReservation ? room.hostReservation.expiresAt : null,
+    stage: {
+      maxGuests: room.stage.maxGuests,
+      onStage: room.stage.onStage.size,
+      waiting: room.stage.queue.length
+    }
+  });
+}
+
+// Tell every waiting viewer their place in line. When a slot is open the
+// first in line hears they are up next and the owner is prompted once.
+function notifyStageQueue(roomName, { slotOpened = false } = {}) {
+  const info = rooms[roomName];
+  if (!info) return;
+  const { stage } = info;
+  const upNext = stageQueue.slotsFree(stage) > 0;
+  stage.queue.forEach((id, index) => {
+    io.to(id).emit('stage-status', {
+      status: 'queued',
+      position: index + 1,
+      waiting: stage.queue.length,
+      upNext: upNext && index === 0
+    });
+  });
+  if (slotOpened && upNext && stage.queue.length && info.ownerId) {
+    const nextId = stage.queue[0];
+    io.to(info.ownerId).emit('stage-slot-open', {
+      next: { id: nextId, name: info.users.get(nextId)?.name || 'Viewer' },
+      waiting: stage.queue.length
+    });
+  }
+}
+
+// Drop someone from the line and the stage, then refresh everyone's view.
+function releaseStageSpot(roomName, id, status) {
+  const info = rooms[roomName];
+  if (!info) return false;
+  const { wasQueued, wasOnStage } = stageQueue.remove(info.stage, id);
+  if (!wasQueued && !wasOnStage) return false;
+  if (status) io.to(id).emit('stage-status', { status });
+  notifyStageQueue(roomName, { slotOpened: wasOnStage });
+  return true;
+}
+
+// Reactions are tallied per room and sent as one burst a second.
+const reactionAggregator = new engagement.ReactionAggregator((roomName, counts) => {
+  if (rooms[roomName]) io.to(roomName).emit('reaction-burst', { counts });
+});
+
+const ENGAGEMENT_BROADCAST_MS = 250;
+
+// Room-wide snapshots for poll and Q&A updates (no per-viewer fields).
+const ENGAGEMENT_VIEWS = {
+  'poll-update': (info) => engagement.pollView(info.poll),
+  'qa-update': (info) => ({ questions: engagement.questionQueueView(info.questions) })
+};
+
+// Coalesce vote bursts into at most one update per ENGAGEMENT_BROADCAST_MS.
+function scheduleEngagementBroadcast(roomName, event, { immediate = false } = {}) {
+  const info = rooms[roomName];
+  if (!info) return;
+  const send = () => {
+    delete info.broadcastTimers[event];
+    if (rooms[roomName]) io.to(roomName).emit(event, ENGAGEMENT_VIEWS[event](info));
+  };
+  if (immediate) {
+    clearTimeout(info.broadcastTimers[event]);
+    send();
+    return;
+  }
+  if (!info.broadcastTimers[event]) info.broadcastTimers[event] = setTimeout(send, ENGAGEMENT_BROADCAST_MS);
+}
+
+// Viewers report every two seconds; the owner gets at most one dashboard
+// update per HEALTH_BROADCAST_MS.
+const HEALTH_BROADCAST_MS = 2000;
+
+function buildHealthView(info) {
+  info.health.forEach((_, id) => {
+    if (!info.users.has(id)) info.health.delete(id);
+  });
+  return streamHealth.healthView(info.health);
+}
+
+function scheduleHealthBroadcast(roomName) {
+  const info = rooms[roomName];
+  if (!info || info.broadcastTimers['stream-health']) return;
+  info.broadcastTimers['stream-health'] = setTimeout(() => {
+    delete info.broadcastTimers['stream-health'];
+    if (rooms[roomName] && info.ownerId) io.to(info.ownerId).emit('stream-health', buildHealthView(info));
+  }, HEALTH_BROADCAST_MS);
+}
+
+// Forget an empty room's live session along with its pending engagement timers.
+function dropRoomSession(roomName) {
+  const info = rooms[roomName];
+  if (!info) return;
+  Object.values(info.broadcastTimers).forEach((timer) => clearTimeout(timer));
+  reactionAggregator.clear(roomName);
+  delete rooms[roomName];
+}
+
+// Tell the room owner when a participant gets throttled, muted or dropped.
+function notifyHostOfThrottle(socket, { event, action, roomName }) {
+  const info = roomName ? rooms[roomName] : null;
+  if (!info || !info.ownerId || info.ownerId === socket.id) return;
+  io.to(info.ownerId).emit('rate-limit-notice', {
+    id: socket.id,
+    name: socket.data.name || `User-${socket.id.slice(0, 4)}`,
+    event,
+    action
   });
 }
 
@@ -366,6 +939,26 @@ io.on('connection', (socket) => {
   socket.data.room = null;
   socket.data.name = null;
 
+  socket.use(([event], next) => {
+    socketEventsTotal.inc({ event: Object.hasOwn(EVENT_SCHEMAS, event) ? event : 'other' });
+    next();
+  });
+
+  // Floods are dropped first, then malformed payloads are rejected before
+  // any handler (or the token and permission checks below) sees them.
+  socket.use(rateLimiter.middleware(socket, { onPenalty: notifyHostOfThrottle }));
+  socket.use(createValidationMiddleware(socket));
+
+  // Any event may carry a host session token; a valid one re-authorizes
+  // this socket for the token's room (e.g. after a reconnect).
+  socket.use(([, payload], next) => {
+    if (payload && typeof payload === 'object' && typeof payload.hostToken === 'string') {
+      acceptHostToken(socket, payload.hostToken);
+    }
+    next();
+  });
+  socket.use(createPermissionMiddleware(socket, getRoomRole));
+
   // Send Foundation status on connect
   socket.emit('foundation-update', foundationRegistry.getStatus());
 
@@ -385,7 +978,7 @@ io.on('connection', (socket) => {
     reply({ ok: false, error: 'Room claiming is disabled. Please purchase a room.' });
   });
 
-  socket.on('enter-host-room', ({ roomName, password, privacy } = {}, callback) => {
+  socket.on('enter-host-room', async ({ roomName, password, privacy, hostToken } = {}, callback) => {
     const reply = typeof callback === 'function' ? callback : () => {};
     const normalizedName = normalizeRoomName(roomName);
     if (!normalizedName) {
@@ -393,25 +986,38 @@ io.on('connection', (socket) => {
       return;
     }
 
+    // Resume a host session from a signed token instead of the password.
+    if (!password && hostToken) {
+      if (!acceptHostToken(socket, hostToken, normalizedName)) {
+        reply({ ok: false, error: 'Host session expired. Enter the room password.', sessionExpired: true });
+        return;
+      }
+      const record = getRoomRecord(normalizedName);
+      reply({
+        ok: true,
+        created: false,
+        isFoundationRoom: !!record.isFoundationRoom,
+        hostToken: issueHostToken(record)
+      });
+      return;
+    }
+
     // Foundation Room Authentication
     const isFoundation = foundationRegistry.isFoundationRoom(normalizedName);
     if (isFoundation) {
       if (!password) {
         return reply({ ok: false, error: 'This is a Foundation Room. Password required.', isFoundationRoom: true });
       }
-      if (!foundationRegistry.verifyPassword(normalizedName, password)) {
+      if (!(await foundationRegistry.verifyPassword(normalizedName, password))) {
         return reply({ ok: false, error: 'Incorrect Foundation Room password', isFoundationRoom: true });
       }
-      // Password verified - mark as authenticated
-      if (!socket.data.hostAuthRooms) socket.data.hostAuthRooms = new Set();
-      socket.data.hostAuthRooms.add(normalizedName);
-
       // Create room record if doesn't exist
-      const record = getRoomRecord(normalizedName);
-      if (!record) {
+      const existing = getRoomRecord(normalizedName);
+      if (!existing) {
+        const ownerPasswordHash = await auth.hashPassword(password);
         const result = createRoomRecord({
           roomName: normalizedName,
-          ownerPassword: password,
+          ownerPasswordHash,
           privacy: 'public'
         });
         if (result.ok) {
@@ -419,33 +1025,56 @@ io.on('connection', (socket) => {
             room.isFoundationRoom = true;
           });
         }
+      } else if (!existing.isFoundationRoom || !(await verifyRoomPassword(existing, password))) {
+        // The name was just bought, or its Foundation password was reset:
+        // take the registry password and drop sessions issued under the old one.
+        setRoomPassword(normalizedName, await auth.hashPassword(password), socket);
+        updateRoomRecord(normalizedName, (room) => {
+          room.isFoundationRoom = true;
+        });
       }
+
+      // Password verified - mark as authenticated
+      grantHostAuth(socket, normalizedName);
       console.log(`[Foundation] Host authenticated: ${normalizedName}`);
-      return reply({ ok: true, created: false, isFoundationRoom: true });
+      const foundationRecord = getRoomRecord(normalizedName);
+      return reply({
+        ok: true,
+        created: false,
+        isFoundationRoom: true,
+        hostToken: foundationRecord ? issueHostToken(foundationRecord) : undefined
+      });
     }
 
     // Original logic for non-Foundation rooms
     const record = getRoomRecord(normalizedName);
     if (!record) {
+      const ownerPasswordHash = password ? await auth.hashPassword(String(password)) : null;
       const result = createRoomRecord({
         roomName: normalizedName,
-        ownerPassword: password || null,
+        ownerPasswordHash,
         privacy: privacy === 'private' ? 'private' : 'public'
       });
-      if (result.ok && password) {
-        if (!socket.data.hostAuthRooms) socket.data.hostAuthRooms = new Set();
-        socket.data.hostAuthRooms.add(normalizedName);
+      if (!result.ok) {
+        reply({ ok: false, error: result.error });
+        return;
+      }
+      if (password) {
+        grantHostAuth(socket, normalizedName);
+        reply({ ok: true, created: true, hostToken: issueHostToken(result.room) });
+        return;
       }
-      reply(result.ok ? { ok: true, created: true } : { ok: false, error: result.error });
+      reply({ ok: true, created: true });
       return;
     }
-    if (record.ownerPassword) {
-      if (record.ownerPassword !== String(password || '')) {
+    if (record.ownerPasswordHash) {
+      if (!(await verifyRoomPassword(record, password))) {
         reply({ ok: false, error: 'Invalid room password.' });
         return;
       }
-      if (!socket.data.hostAuthRooms) socket.data.hostAuthRooms = new Set();
-      socket.data.hostAuthRooms.add(normalizedName);
+      grantHostAuth(socket, normalizedName);
+      reply({ ok: true, created: false, hostToken: issueHostToken(record) });
+      return;
     }
     reply({ ok: true, created: false });
   });
@@ -456,7 +1085,7 @@ io.on('connection', (socket) => {
     reply({
       exists: !!record,
       privacy: record ? record.privacy : 'public',
-      hasOwnerPassword: !!(record && record.ownerPassword),
+      hasOwnerPassword: !!(record && record.ownerPasswordHash),
       vipRequired: record ? !!record.vipRequired : false
     });
   });
@@ -473,6 +1102,7 @@ io.on('connection', (socket) => {
       paymentEnabled: !!record.paymentEnabled,
       paymentLabel: record.paymentLabel || '',
       paymentUrl: record.paymentUrl || '',
+      clipsEnabled: record.clipsEnabled !== false,
       turnConfig: record.turnConfig || {
         enabled: false,
         host: '',
@@ -488,11 +1118,11 @@ io.on('connection', (socket) => {
     const reply = typeof callback === 'function' ? callback : () => {};
     const record = getRoomRecord(roomName);
     const claimed = !!record;
-    const hasPassword = !!(record && record.ownerPassword);
+    const hasPassword = !!(record && record.ownerPasswordHash);
     reply({ claimed, hasPassword });
   });
 
-  socket.on('auth-host-room', ({ name, roomName, password } = {}, callback) => {
+  socket.on('auth-host-room', async ({ name, roomName, password } = {}, callback) => {
     const reply = typeof callback === 'function' ? callback : () => {};
     const targetName = roomName || name;
     const record = getRoomRecord(targetName);
@@ -500,27 +1130,59 @@ io.on('connection', (socket) => {
       reply({ ok: false, error: 'Room not found.' });
       return;
     }
-    if (record.ownerPassword !== String(password || '')) {
+    if (!(await verifyRoomPassword(record, password))) {
       reply({ ok: false, error: 'Invalid room password.' });
       return;
     }
-    if (!socket.data.hostAuthRooms) socket.data.hostAuthRooms = new Set();
-    socket.data.hostAuthRooms.add(record.roomName);
-    reply({ ok: true });
+    grantHostAuth(socket, record.roomName);
+    reply({ ok: true, hostToken: issueHostToken(record) });
   });
 
-  socket.on('host-login', ({ name, password } = {}, callback) => {
+  socket.on('host-login', async ({ name, password } = {}, callback) => {
     const reply = typeof callback === 'function' ? callback : () => {};
     const record = getRoomRecord(name);
     if (!record) {
       reply({ ok: false, error: 'Room not found.' });
       return;
     }
-    if (record.ownerPassword !== String(password || '')) {
+    if (!(await verifyRoomPassword(record, password))) {
       reply({ ok: false, error: 'Invalid room password.' });
       return;
     }
-    reply({ ok: true });
+    grantHostAuth(socket, record.roomName);
+    reply({ ok: true, hostToken: issueHostToken(record) });
+  });
+
+  // Password change (current host credentials required). Revokes every
+  // outstanding host session token for the room.
+  socket.on('change-host-password', async ({ roomName, currentPassword, newPassword } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const record = getRoomRecord(roomName);
+    if (!record) {
+      reply({ ok: false, error: 'Room not found.' });
+      return;
+    }
+    if (record.isFoundationRoom) {
+      reply({ ok: false, error: 'Foundation room passwords cannot be changed here.' });
+      return;
+    }
+    const nextPassword = typeof newPassword === 'string' ? newPassword : '';
+    if (nextPassword.length < 4) {
+      reply({ ok: false, error: 'New password must be at least 4 characters.' });
+      return;
+    }
+    if (record.ownerPasswordHash) {
+      if (!(await verifyRoomPassword(record, currentPassword))) {
+        reply({ ok: false, error: 'Invalid room password.' });
+        return;
+      }
+    } else if (!requireOwner(rooms[record.roomName], socket)) {
+      reply({ ok: false, error: 'Only the host can set a room password.' });
+      return;
+    }
+    setRoomPassword(record.roomName, await auth.hashPassword(nextPassword), socket);
+    grantHostAuth(socket, record.roomName);
+    reply({ ok: true, hostToken: issueHostToken(getRoomRecord(record.roomName)) });
   });
 
   socket.on('update-room-privacy', ({ roomName, privacy, name } = {}, callback) => {
@@ -544,11 +1206,6 @@ io.on('connection', (socket) => {
       reply({ ok: false, error: 'Room name is required.' });
       return;
     }
-    const info = getRoomInfo(targetName);
-    if (!requireOwner(info, socket)) {
-      reply({ ok: false, error: 'Only the host can update VIP requirements.' });
-      return;
-    }
     const result = updateRoomRecord(targetName, (room) => {
       room.vipRequired = !!vipRequired;
     });
@@ -587,11 +1244,6 @@ io.on('connection', (socket) => {
       reply({ ok: false, error: 'Room name is required.' });
       return;
     }
-    const info = rooms[targetName];
-    if (!requireOwner(info, socket)) {
-      reply({ ok: false, error: 'Only the host can update payment settings.' });
-      return;
-    }
 
     const normalizedLabel = normalizePaymentLabel(paymentLabel);
     const normalizedUrl = normalizePaymentUrl(paymentUrl);
@@ -617,16 +1269,29 @@ io.on('connection', (socket) => {
     reply(result.ok ? { ok: true } : { ok: false, error: result.error });
   });
 
-  socket.on('update-room-turn', ({ roomName, turnConfig } = {}, callback) => {
+  socket.on('update-room-clips', ({ roomName, clipsEnabled } = {}, callback) => {
     const reply = typeof callback === 'function' ? callback : () => {};
     const targetName = normalizeRoomName(roomName);
     if (!targetName) {
       reply({ ok: false, error: 'Room name is required.' });
       return;
     }
-    const info = rooms[targetName];
-    if (!requireOwner(info, socket)) {
-      reply({ ok: false, error: 'Only the host can update TURN settings.' });
+    const result = updateRoomRecord(targetName, (room) => {
+      room.clipsEnabled = !!clipsEnabled;
+    });
+    if (!result.ok) {
+      reply({ ok: false, error: result.error });
+      return;
+    }
+    io.to(targetName).emit('clips-config', { clipsEnabled: result.room.clipsEnabled });
+    reply({ ok: true });
+  });
+
+  socket.on('update-room-turn', ({ roomName, turnConfig } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const targetName = normalizeRoomName(roomName);
+    if (!targetName) {
+      reply({ ok: false, error: 'Room name is required.' });
       return;
     }
 
@@ -651,11 +1316,6 @@ io.on('connection', (socket) => {
       reply({ ok: false, error: 'Room and username are required.' });
       return;
     }
-    const info = getRoomInfo(roomName);
-    if (!requireOwner(info, socket)) {
-      reply({ ok: false, error: 'Only the host can add VIP users.' });
-      return;
-    }
     const result = updateRoomRecord(roomName, (storedRoom) => {
       const exists = storedRoom.vipUsers.some(
         (user) => String(user).trim().toLowerCase() === trimmedName.toLowerCase()
@@ -676,11 +1336,6 @@ io.on('connection', (socket) => {
       reply({ ok: false, error: 'Room is required.' });
       return;
     }
-    const info = getRoomInfo(roomName);
-    if (!requireOwner(info, socket)) {
-      reply({ ok: false, error: 'Only the host can generate VIP codes.' });
-      return;
-    }
     const code = generateVipCode(6);
     const normalizedMaxUses = Number.isFinite(maxUses) ? Math.max(1, Math.floor(maxUses)) : 1;
     const result = updateRoomRecord(roomName, (storedRoom) => {
@@ -700,11 +1355,6 @@ io.on('connection', (socket) => {
       reply({ ok: false, error: 'Room is required.' });
       return;
     }
-    const info = getRoomInfo(targetName);
-    if (!requireOwner(info, socket)) {
-      reply({ ok: false, error: 'Only the host can view VIP codes.' });
-      return;
-    }
     const record = getRoomRecord(targetName);
     if (!record) {
       reply({ ok: false, error: 'Room not found.' });
@@ -721,11 +1371,6 @@ io.on('connection', (socket) => {
       reply({ ok: false, error: 'Room and code are required.' });
       return;
     }
-    const info = getRoomInfo(targetName);
-    if (!requireOwner(info, socket)) {
-      reply({ ok: false, error: 'Only the host can revoke VIP codes.' });
-      return;
-    }
     const record = getRoomRecord(targetName);
     if (!record?.vipCodes?.[normalized]) {
       reply({ ok: false, error: 'VIP code not found.' });
@@ -792,7 +1437,7 @@ io.on('connection', (socket) => {
   // ======================================================
   // ROOM JOIN + ROLE ASSIGNMENT
   // ======================================================
-  socket.on('join-room', ({ room, name, isViewer, vipCode, vipToken } = {}, callback) => {
+  socket.on('join-room', ({ room, name, isViewer, vipCode, vipToken, deviceToken, ownerToken } = {}, callback) => {
     const reply = typeof callback === 'function' ? callback : () => {};
     if (!room || typeof room !== 'string') {
       reply({ ok: false, error: 'Invalid room' });
@@ -804,40 +1449,24 @@ io.on('connection', (socket) => {
     const rawName = (name && String(name).trim()) || `User-${socket.id.slice(0, 4)}`;
     const displayName = rawName.slice(0, 30);
 
-    const info = getRoomInfo(roomName);
-    let directoryEntry = getRoomDirectoryEntry(roomName);
-    if (directoryEntry && !directoryEntry.title) {
-      updateRoomRecord(roomName, (storedRoom) => {
-        storedRoom.title = info.streamTitle;
-      });
-    }
-
-    if (info.locked && info.ownerId && info.ownerId !== socket.id) {
-      reply({ ok: false, error: 'Room is locked by host' });
-      socket.emit('room-error', 'Room is locked by host');
-      socket.disconnect();
-      return;
-    }
-
     const viewerMode = !!isViewer;
     const wantsHost = !viewerMode;
-    const isClaimed = isRoomClaimed(roomName);
-
-    // Host access rules:
-    // - Unclaimed rooms: first host joins without password and claims the room.
-    // - Claimed rooms with a password: host must authenticate before joining.
-    if (wantsHost && isClaimed && directoryEntry?.ownerPassword) {
-      const authed = socket.data.hostAuthRooms && socket.data.hostAuthRooms.has(roomName);
-      if (!authed) {
-        reply({ ok: false, error: 'Host password required.' });
-        return;
+    const admission = admitToRoom(socket, roomName, { viewerMode, vipCode, vipToken, deviceToken });
+    if (!admission.ok) {
+      reply({ ok: false, error: admission.error, code: admission.code });
+      if (admission.code === 'LOCKED') {
+        socket.emit('room-error', admission.error);
+        socket.disconnect();
       }
+      return;
     }
+    const { isVip, vipByCode } = admission;
+    let directoryEntry = admission.directoryEntry;
 
     if (wantsHost && !directoryEntry) {
       const created = createRoomRecord({
         roomName,
-        ownerPassword: null,
+        ownerPasswordHash: null,
         privacy: 'public'
       });
       if (!created.ok) {
@@ -847,55 +1476,30 @@ io.on('connection', (socket) => {
       directoryEntry = getRoomDirectoryEntry(roomName);
     }
 
-    // VIP access rules:
-    // - VIP token/code grants access to private rooms.
-    // - VIP codes are usage-tracked with maxUses/used.
-    const vipRooms = socket.data.vipRooms;
-    const vipTokenAccepted = vipToken ? consumeVipToken(vipToken, roomName) : false;
-    if (vipTokenAccepted) {
-      if (!socket.data.vipRooms) socket.data.vipRooms = new Set();
-      socket.data.vipRooms.add(roomName);
-    }
-
-    let vipByCode = false;
-    if (viewerMode && vipCode && directoryEntry?.vipCodes) {
-      const normalized = normalizeVipCode(vipCode);
-      const meta = normalized ? directoryEntry.vipCodes[normalized] : null;
-      if (meta && meta.usesLeft > 0) {
-        let exhausted = false;
-        const result = updateRoomRecord(roomName, (storedRoom) => {
-          const liveMeta = storedRoom.vipCodes[normalized];
-          if (!liveMeta || liveMeta.usesLeft <= 0) {
-            exhausted = true;
-            return;
-          }
-          liveMeta.usesLeft -= 1;
-        });
-        if (result.ok && !exhausted) {
-          vipByCode = true;
-          emitVipCodesUpdate(roomName);
-        }
-      }
-    }
-
-    const isVip =
-      viewerMode && (vipByCode || (vipRooms && vipRooms.has(roomName)) || vipTokenAccepted);
-    const vipRequired = directoryEntry ? !!directoryEntry.vipRequired : false;
-
-    if (viewerMode && directoryEntry?.privacy === 'private' && vipRequired && !isVip) {
-      reply({ ok: false, error: vipCode ? 'Invalid or exhausted VIP code.' : 'VIP code required.' });
-      return;
+    // The live session only exists once the join is accepted, so refused
+    // joins never leave an empty room behind.
+    const info = getRoomInfo(roomName);
+    if (directoryEntry && !directoryEntry.title) {
+      updateRoomRecord(roomName, (storedRoom) => {
+        storedRoom.title = info.streamTitle;
+      });
     }
 
     socket.join(roomName);
+    if (!viewerMode) socket.join(backstageChannel(roomName));
     socket.data.room = roomName;
     socket.data.name = displayName;
     socket.data.isViewer = viewerMode;
     socket.data.isVip = isVip;
     socket.data.roomRole = isVip ? 'vip' : viewerMode ? 'viewer' : 'host';
 
-    if (!info.ownerId && !viewerMode) {
-      info.ownerId = socket.id;
+    if (ownerToken) socket.data.ownerSession = readOwnerToken(ownerToken, roomName);
+    if (!info.ownerId && !viewerMode && canOwnRoom(socket, roomName)) {
+      assignRoomOwner(info, roomName, socket);
+      if (info.hostReservation) {
+        clearHostReservation(info);
+        console.log(`[Rooms] Host reclaimed: ${roomName}`);
+      }
     }
 
     if (viewerMode && directoryEntry) {
@@ -907,8 +1511,8 @@ io.on('connection', (socket) => {
     info.users.set(socket.id, {
       name: displayName,
       isViewer: viewerMode,
-      requestingCall: false,
-      isVip
+      isVip,
+      fingerprint: socket.data.fingerprint
     });
 
     const isHost = info.ownerId === socket.id;
@@ -927,6 +1531,13 @@ io.on('connection', (socket) => {
       response.vipRequired = !!directoryEntry.vipRequired;
     }
     reply(response);
+    socket.emit('chat-history', { room: roomName, ...getChatHistoryPage(roomName) });
+    if (info.poll) socket.emit('poll-update', engagement.pollView(info.poll, socket.data.fingerprint));
+    if (info.questions.length) {
+      socket.emit('qa-update', {
+        questions: engagement.questionQueueView(info.questions, socket.data.fingerprint)
+      });
+    }
 
     if (viewerMode && vipByCode && directoryEntry) {
       const hostId = info.ownerId;
@@ -936,41 +1547,210 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Viewer "raise hand" request (host receives a prompt)
-  socket.on('request-to-call', () => {
+  // Viewer "raise hand" request: joins the stage queue in arrival order
+  socket.on('request-to-call', (callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
     const roomName = requireRoom(socket);
     if (!roomName) return;
     const info = rooms[roomName];
     const user = info?.users.get(socket.id);
-
-    if (user) {
-      user.requestingCall = true;
-      if (info.ownerId) {
-        io.to(info.ownerId).emit('call-request-received', {
-          id: socket.id,
-          name: socket.data.name
-        });
-      }
-      broadcastRoomUpdate(roomName);
+    if (!user) return;
+
+    const alreadyQueued = stageQueue.positionOf(info.stage, socket.id) !== null;
+    const result = stageQueue.enqueue(info.stage, socket.id);
+    reply(result);
+    if (!result.ok) return;
+    if (!alreadyQueued && info.ownerId) {
+      io.to(info.ownerId).emit('call-request-received', {
+        id: socket.id,
+        name: socket.data.name,
+        position: result.position
+      });
     }
+    notifyStageQueue(roomName);
+    broadcastRoomUpdate(roomName);
+  });
+
+  // Viewer lowers their hand or steps off stage.
+  socket.on('cancel-call-request', (callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    if (roomName && releaseStageSpot(roomName, socket.id, 'none')) broadcastRoomUpdate(roomName);
+    reply({ ok: true });
   });
 
   // Host handoff (ownership transfer)
-  socket.on('promote-to-host', ({ targetId }) => {
+  socket.on('promote-to-host', ({ targetId } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
     const roomName = requireRoom(socket);
     if (!roomName) return;
     const info = rooms[roomName];
     if (info && info.ownerId === socket.id) {
-      info.ownerId = targetId;
-      socket.emit('role', { isHost: false });
-      const nextSocket = io.sockets.sockets.get(targetId);
-      if (nextSocket) {
-        nextSocket.emit('role', { isHost: true, streamTitle: info.streamTitle });
+      const nextSocket = info.users.has(targetId) ? io.sockets.sockets.get(targetId) : null;
+      if (!nextSocket) {
+        reply({ ok: false, error: 'User is no longer in the room.' });
+        return;
+      }
+      if (!canOwnRoom(nextSocket, roomName)) {
+        reply({ ok: false, error: 'That user has not signed in with the host password.' });
+        return;
       }
+      assignRoomOwner(info, roomName, nextSocket);
+      socket.emit('role', { isHost: false });
+      nextSocket.emit('role', { isHost: true, streamTitle: info.streamTitle });
       broadcastRoomUpdate(roomName);
+      reply({ ok: true });
     }
   });
 
+  // Grant or revoke a moderator/co-host role (owner only). The grant is
+  // stored by fingerprint so it survives reconnects and name changes.
+  socket.on('set-user-role', ({ targetId, role } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    const info = rooms[roomName];
+    if (!requireOwner(info, socket)) {
+      reply({ ok: false, error: 'Only the host can assign roles.' });
+      return;
+    }
+    const target = info.users.has(targetId) ? io.sockets.sockets.get(targetId) : null;
+    if (!target || target === socket) {
+      reply({ ok: false, error: 'User is no longer in the room.' });
+      return;
+    }
+    if (!getRoomRecord(roomName)) {
+      reply({ ok: false, error: 'Roles can only be assigned in a claimed room.' });
+      return;
+    }
+    const nextRole = STAFF_ROLES.includes(role) ? role : null;
+    const result = updateRoomRecord(roomName, (room) => {
+      room.roomRoles = room.roomRoles || {};
+      if (nextRole) {
+        room.roomRoles[target.data.fingerprint] = { name: target.data.name, role: nextRole };
+      } else {
+        delete room.roomRoles[target.data.fingerprint];
+      }
+    });
+    if (!result.ok) {
+      reply({ ok: false, error: result.error });
+      return;
+    }
+    console.log(`[Rooms] ${target.data.name} is now ${nextRole || 'a participant'} in ${roomName}`);
+    broadcastRoomUpdate(roomName);
+    reply({ ok: true, roles: listRoomRoles(result.room) });
+  });
+
+  socket.on('get-room-roles', ({ roomName } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const record = getRoomRecord(roomName);
+    if (!record) {
+      reply({ ok: false, error: 'Room not found.' });
+      return;
+    }
+    reply({ ok: true, roles: listRoomRoles(record) });
+  });
+
+  // Revoke a stored grant for someone who is not in the room (owner only).
+  socket.on('remove-room-role', ({ roomName, fingerprint } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const result = updateRoomRecord(roomName, (room) => {
+      if (room.roomRoles) delete room.roomRoles[fingerprint];
+    });
+    if (!result.ok) {
+      reply({ ok: false, error: result.error });
+      return;
+    }
+    broadcastRoomUpdate(normalizeRoomName(roomName));
+    reply({ ok: true, roles: listRoomRoles(result.room) });
+  });
+
+  // Co-hosts drive the owner's mixer and accept call requests; the owner's
+  // client does the actual mixing and calling, so these are relayed to it.
+  socket.on('mixer-command', ({ layout, activeGuestId } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    const info = rooms[roomName];
+    if (!info?.ownerId) {
+      reply({ ok: false, error: 'The host is not connected.' });
+      return;
+    }
+    io.to(info.ownerId).emit('mixer-command', { layout, activeGuestId, by: socket.data.name });
+    reply({ ok: true });
+  });
+
+  // Accepting takes a stage slot; the owner's mixer then places the call.
+  // Viewers not in line can be invited the same way.
+  socket.on('accept-call-request', ({ targetId } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    const info = rooms[roomName];
+    const user = info?.users.get(targetId);
+    if (!user) {
+      reply({ ok: false, error: 'That user is no longer in the room.' });
+      return;
+    }
+    if (!info.ownerId) {
+      reply({ ok: false, error: 'The host is not connected.' });
+      return;
+    }
+    const result = stageQueue.accept(info.stage, targetId);
+    if (!result.ok) {
+      reply(result);
+      return;
+    }
+    io.to(targetId).emit('stage-status', { status: 'accepted' });
+    io.to(info.ownerId).emit('call-request-accepted', {
+      id: targetId,
+      name: user.name,
+      by: socket.data.name,
+      byOwner: socket.id === info.ownerId
+    });
+    notifyStageQueue(roomName);
+    broadcastRoomUpdate(roomName);
+    reply({ ok: true });
+  });
+
+  // Decline a waiting request, or take an accepted guest back off stage.
+  socket.on('decline-call-request', ({ targetId } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    if (!rooms[roomName] || !releaseStageSpot(roomName, targetId, 'declined')) {
+      reply({ ok: false, error: 'That user is not asking to join.' });
+      return;
+    }
+    broadcastRoomUpdate(roomName);
+    reply({ ok: true });
+  });
+
+  socket.on('skip-call-request', ({ targetId } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    const info = rooms[roomName];
+    const result = info ? stageQueue.skip(info.stage, targetId) : { ok: false, error: 'Join a room first.' };
+    if (!result.ok) {
+      reply(result);
+      return;
+    }
+    notifyStageQueue(roomName);
+    broadcastRoomUpdate(roomName);
+    reply({ ok: true });
+  });
+
+  socket.on('update-stage-limit', ({ maxGuests } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    const info = rooms[roomName];
+    if (!info) {
+      reply({ ok: false, error: 'Join a room first.' });
+      return;
+    }
+    const hadSlot = stageQueue.slotsFree(info.stage) > 0;
+    info.stage.maxGuests = stageQueue.clampMaxGuests(maxGuests);
+    notifyStageQueue(roomName, { slotOpened: !hadSlot });
+    broadcastRoomUpdate(roomName);
+    reply({ ok: true, maxGuests: info.stage.maxGuests });
+  });
+
   // Room locking (host only)
   socket.on('lock-room', (locked) => {
     const roomName = requireRoom(socket);
@@ -997,14 +1777,15 @@ io.on('connection', (socket) => {
     broadcastRoomUpdate(roomName);
   });
 
-  // Remove a user from the room (host only)
+  // Remove a user from the room (moderators and up)
   socket.on('kick-user', (targetId) => {
     const roomName = requireRoom(socket);
     if (!roomName) return;
     const info = rooms[roomName];
-    if (!requireOwner(info, socket)) return;
+    if (!info || !requireRole(socket, roomName, 'moderator')) return;
 
     const targetSocket = io.sockets.sockets.get(targetId);
+    if (targetSocket && !outranks(socket, targetSocket, roomName)) return;
     if (targetSocket) {
       targetSocket.emit('kicked');
       targetSocket.leave(roomName);
@@ -1018,10 +1799,14 @@ io.on('connection', (socket) => {
   // WEBRTC BROADCAST SIGNALING (host <-> viewer)
   // ======================================================
   socket.on('webrtc-offer', ({ targetId, sdp }) => {
-    if (targetId && sdp) relayToTarget('webrtc-offer', targetId, { sdp, from: socket.id });
+    if (!targetId || !sdp) return;
+    relayToTarget('webrtc-offer', targetId, { sdp, from: socket.id });
+    signalingTimer.offer('webrtc', socket.id, targetId);
   });
   socket.on('webrtc-answer', ({ targetId, sdp }) => {
-    if (targetId && sdp) relayToTarget('webrtc-answer', targetId, { sdp, from: socket.id });
+    if (!targetId || !sdp) return;
+    relayToTarget('webrtc-answer', targetId, { sdp, from: socket.id });
+    signalingTimer.answer('webrtc', socket.id, targetId);
   });
   socket.on('webrtc-ice-candidate', ({ targetId, candidate }) => {
     if (targetId && candidate) relayToTarget('webrtc-ice-candidate', targetId, { candidate, from: socket.id });
@@ -1036,46 +1821,124 @@ io.on('connection', (socket) => {
   socket.on('call-offer', ({ targetId, offer }) => {
     if (targetId && offer) {
       relayToTarget('incoming-call', targetId, { from: socket.id, name: socket.data.name, offer });
+      signalingTimer.offer('call', socket.id, targetId);
     }
   });
   socket.on('call-answer', ({ targetId, answer }) => {
-    if (targetId && answer) relayToTarget('call-answer', targetId, { from: socket.id, answer });
+    if (!targetId || !answer) return;
+    relayToTarget('call-answer', targetId, { from: socket.id, answer });
+    signalingTimer.answer('call', socket.id, targetId);
   });
   socket.on('call-ice', ({ targetId, candidate }) => {
     if (targetId && candidate) relayToTarget('call-ice', targetId, { from: socket.id, candidate });
   });
   socket.on('call-end', ({ targetId }) => {
     relayToTarget('call-end', targetId, { from: socket.id });
+    // A call between the owner and an on-stage guest frees that guest's slot.
+    const roomName = socket.data.room;
+    const info = roomName ? rooms[roomName] : null;
+    if (!info) return;
+    const guestId = socket.id === info.ownerId ? targetId : targetId === info.ownerId ? socket.id : null;
+    if (guestId && info.stage.onStage.has(guestId) && releaseStageSpot(roomName, guestId, 'none')) {
+      broadcastRoomUpdate(roomName);
+    }
   });
 
   // ======================================================
   // CHAT + FILE EVENTS
   // ======================================================
-  socket.on('public-chat', ({ room, name, text, fromViewer }) => {
-    const roomName = room || socket.data.room;
+  // Always the joined room: the payload's room is ignored so timeouts, the
+  // word filter and history all key on the same name.
+  socket.on('public-chat', ({ name, text, fromViewer }) => {
+    const roomName = socket.data.room;
     if (!roomName || !text) return;
+    const timedOutUntil = getChatTimeout(roomName, socket);
+    if (timedOutUntil) {
+      socket.emit('chat-timeout', { until: timedOutUntil });
+      return;
+    }
     const info = rooms[roomName];
-    io.to(roomName).emit('public-chat', {
+    const record = getRoomRecord(roomName);
+    const filtered = moderation.applyWordFilter(String(text).slice(0, 500), record?.blockedWords);
+    const message = {
+      id: crypto.randomUUID(),
       name: (name || socket.data.name || 'Anon').slice(0, 30),
-      text: String(text).slice(0, 500),
+      text: filtered.text,
       ts: Date.now(),
       isOwner: info && info.ownerId === socket.id,
       fromViewer: !!fromViewer
-    });
+    };
+    recordChatMessage(roomName, message);
+    io.to(roomName).emit('public-chat', message);
+  });
+
+  socket.on('get-chat-history', ({ room, roomName, before, limit } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const targetName = normalizeRoomName(roomName || room);
+    if (!getRoomRecord(targetName)) {
+      reply({ ok: false, error: 'Room not found.' });
+      return;
+    }
+    reply({ ok: true, ...getChatHistoryPage(targetName, { before, limit }) });
   });
 
-  socket.on('private-chat', ({ room, name, text }) => {
-    const roomName = room || socket.data.room;
+  // Backstage channel: only hosts and guests (non-viewers) send or receive.
+  socket.on('private-chat', ({ name, text } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = socket.data.room;
     if (!roomName || !text) return;
-    io.to(roomName).emit('private-chat', {
+    if (socket.data.isViewer) {
+      reply({ ok: false, error: 'Backstage chat is for the host team only.' });
+      return;
+    }
+    io.to(backstageChannel(roomName)).emit('private-chat', {
       name: (name || socket.data.name || 'Anon').slice(0, 30),
       text: String(text).slice(0, 500),
       ts: Date.now()
     });
+    reply({ ok: true });
   });
 
-  socket.on('file-share', ({ room, name, fileName, fileType, fileData }) => {
-    const roomName = room || socket.data.room;
+  // 1:1 messages. The host may message anyone in the room; everyone else
+  // may only message the host (targetId defaults to the host).
+  socket.on('direct-message', ({ targetId, text } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = socket.data.room;
+    const info = roomName ? rooms[roomName] : null;
+    if (!info || !info.users.has(socket.id)) {
+      reply({ ok: false, error: 'Join a room first.' });
+      return;
+    }
+    const recipientId = targetId || info.ownerId;
+    const recipient = recipientId ? info.users.get(recipientId) : null;
+    if (!recipient || recipientId === socket.id) {
+      reply({ ok: false, error: recipientId ? 'Recipient is not in this room.' : 'The host is not here right now.' });
+      return;
+    }
+    if (info.ownerId !== socket.id && recipientId !== info.ownerId) {
+      reply({ ok: false, error: 'Direct messages can only be sent to the host.' });
+      return;
+    }
+    if (getChatTimeout(roomName, socket)) {
+      reply({ ok: false, error: 'You are timed out from chat.' });
+      return;
+    }
+    const message = {
+      id: crypto.randomUUID(),
+      fromId: socket.id,
+      fromName: socket.data.name,
+      toId: recipientId,
+      toName: recipient.name,
+      text: String(text).slice(0, 500),
+      ts: Date.now()
+    };
+    io.to(recipientId).emit('direct-message', message);
+    reply({ ok: true, message });
+  });
+
+  // Files only ever go to the sender's joined room.
+  socket.on('file-share', ({ name, fileName, fileType, fileData }) => {
+    const roomName = socket.data.room;
     if (!roomName || !fileName || !fileData) return;
     io.to(roomName).emit('file-share', {
       name: (name || socket.data.name).slice(0, 30),
@@ -1085,15 +1948,376 @@ io.on('connection', (socket) => {
     });
   });
 
+  // ======================================================
+  // REACTIONS + POLLS
+  // ======================================================
+  socket.on('send-reaction', ({ emoji } = {}) => {
+    const roomName = requireRoom(socket);
+    if (roomName) reactionAggregator.add(roomName, emoji);
+  });
+
+  socket.on('report-stats', (report = {}) => {
+    const roomName = requireRoom(socket);
+    const info = rooms[roomName];
+    const user = info && info.users.get(socket.id);
+    if (!user || info.ownerId === socket.id) return;
+    const { entry, alert } = streamHealth.recordSample(
+      info.health,
+      socket.id,
+      { name: user.name, audioOnly: user.quality === 'audio' },
+      report
+    );
+    if (alert && info.ownerId) {
+      io.to(info.ownerId).emit('stream-health-alert', {
+        id: socket.id,
+        name: entry.name,
+        status: alert,
+        reasons: entry.reasons
+      });
+    }
+    scheduleHealthBroadcast(roomName);
+  });
+
+  socket.on('get-stream-health', (_ = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const info = rooms[requireRoom(socket)];
+    if (!info) {
+      reply({ ok: false, error: 'Join a room first.' });
+      return;
+    }
+    reply({ ok: true, health: buildHealthView(info) });
+  });
+
+  // A viewer's requested broadcast quality; the owner's client applies it.
+  socket.on('set-stream-quality', ({ quality } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    const info = rooms[roomName];
+    const user = info && info.users.get(socket.id);
+    if (!user) {
+      reply({ ok: false, error: 'Join a room first.' });
+      return;
+    }
+    user.quality = quality;
+    if (info.ownerId && info.ownerId !== socket.id) {
+      io.to(info.ownerId).emit('viewer-quality', { id: socket.id, quality });
+    }
+    reply({ ok: true });
+  });
+
+  socket.on('create-poll', ({ question, options } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    const info = rooms[roomName];
+    if (!info) {
+      reply({ ok: false, error: 'Join a room first.' });
+      return;
+    }
+    const result = engagement.createPoll({ question, options });
+    if (!result.ok) {
+      reply(result);
+      return;
+    }
+    info.poll = result.poll;
+    scheduleEngagementBroadcast(roomName, 'poll-update', { immediate: true });
+    reply({ ok: true, poll: engagement.pollView(info.poll) });
+  });
+
+  socket.on('vote-poll', ({ pollId, optionIndex } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    const poll = rooms[roomName]?.poll;
+    if (!poll || poll.id !== pollId) {
+      reply({ ok: false, error: 'That poll is no longer running.' });
+      return;
+    }
+    const result = engagement.castVote(poll, socket.data.fingerprint, optionIndex);
+    if (!result.ok) {
+      reply(result);
+      return;
+    }
+    scheduleEngagementBroadcast(roomName, 'poll-update');
+    reply({ ok: true, myVote: optionIndex });
+  });
+
+  // Close voting but keep the results on screen; clear removes the poll.
+  socket.on('close-poll', ({ clear } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    const info = rooms[roomName];
+    if (!info?.poll) {
+      reply({ ok: false, error: 'No poll is running.' });
+      return;
+    }
+    if (clear) {
+      info.poll = null;
+    } else {
+      info.poll.open = false;
+    }
+    scheduleEngagementBroadcast(roomName, 'poll-update', { immediate: true });
+    reply({ ok: true });
+  });
+
+  // ======================================================
+  // Q&A QUEUE (viewers ask and upvote; moderators and up answer and pin)
+  // ======================================================
+  function findQuestion(roomName, questionId) {
+    return rooms[roomName]?.questions.find((q) => q.id === questionId) || null;
+  }
+
+  socket.on('submit-question', ({ text } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    const info = rooms[roomName];
+    if (!info) {
+      reply({ ok: false, error: 'Join a room first.' });
+      return;
+    }
+    const timedOutUntil = getChatTimeout(roomName, socket);
+    if (timedOutUntil) {
+      reply({ ok: false, error: 'You are timed out.', until: timedOutUntil });
+      return;
+    }
+    const filtered = moderation.applyWordFilter(String(text), getRoomRecord(roomName)?.blockedWords);
+    const result = engagement.submitQuestion(info.questions, {
+      text: filtered.text,
+      name: (socket.data.name || 'Anon').slice(0, 30),
+      askerKey: socket.data.fingerprint
+    });
+    if (!result.ok) {
+      reply(result);
+      return;
+    }
+    scheduleEngagementBroadcast(roomName, 'qa-update', { immediate: true });
+    if (info.ownerId && info.ownerId !== socket.id) {
+      io.to(info.ownerId).emit('question-received', { id: result.question.id, name: result.question.name });
+    }
+    reply({ ok: true, questionId: result.question.id });
+  });
+
+  socket.on('upvote-question', ({ questionId } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    const result = engagement.toggleUpvote(findQuestion(roomName, questionId), socket.data.fingerprint);
+    if (!result.ok) {
+      reply(result);
+      return;
+    }
+    scheduleEngagementBroadcast(roomName, 'qa-update');
+    reply(result);
+  });
+
+  socket.on('answer-question', ({ questionId, answered } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    const question = findQuestion(roomName, questionId);
+    if (!question) {
+      reply({ ok: false, error: 'That question is gone.' });
+      return;
+    }
+    question.answered = answered !== false;
+    if (question.answered) question.pinned = false;
+    scheduleEngagementBroadcast(roomName, 'qa-update', { immediate: true });
+    reply({ ok: true });
+  });
+
+  // A null questionId unpins whatever is pinned.
+  socket.on('pin-question', ({ questionId } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    const info = rooms[roomName];
+    if (!info) {
+      reply({ ok: false, error: 'Join a room first.' });
+      return;
+    }
+    const result = engagement.pinQuestion(info.questions, questionId || null);
+    if (result.ok) scheduleEngagementBroadcast(roomName, 'qa-update', { immediate: true });
+    reply(result);
+  });
+
+  socket.on('remove-question', ({ questionId } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = requireRoom(socket);
+    const info = rooms[roomName];
+    const index = info ? info.questions.findIndex((q) => q.id === questionId) : -1;
+    if (index === -1) {
+      reply({ ok: false, error: 'That question is gone.' });
+      return;
+    }
+    info.questions.splice(index, 1);
+    scheduleEngagementBroadcast(roomName, 'qa-update', { immediate: true });
+    reply({ ok: true });
+  });
+
+  // ======================================================
+  // MODERATION (moderators and up, see room-permissions.js)
+  // ======================================================
+  socket.on('delete-chat-message', ({ messageId } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = socket.data.room;
+    const history = getRoomRecord(roomName) ? chatStore.get(roomName) : [];
+    const removed = history.some((message) => message.id === messageId);
+    if (removed) {
+      chatStore.set(roomName, history.filter((message) => message.id !== messageId));
+    }
+    // Retract even if the message already aged out of history.
+    io.to(roomName).emit('chat-message-deleted', { id: messageId });
+    reply({ ok: true, removed });
+  });
+
+  // Mute a user's chat for N minutes (0 lifts the timeout). Keyed by
+  // fingerprint so rejoining under a new name does not reset it.
+  socket.on('timeout-user', ({ targetId, minutes } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = socket.data.room;
+    const info = rooms[roomName];
+    const target = info && info.users.has(targetId) ? io.sockets.sockets.get(targetId) : null;
+    if (!target || target === socket) {
+      reply({ ok: false, error: 'User is no longer in the room.' });
+      return;
+    }
+    if (!outranks(socket, target, roomName)) {
+      reply({ ok: false, error: 'You cannot moderate someone with an equal or higher role.' });
+      return;
+    }
+    if (Number(minutes) === 0) {
+      info.chatTimeouts.delete(target.data.fingerprint);
+      target.emit('chat-timeout', { until: 0 });
+      reply({ ok: true, until: 0 });
+      return;
+    }
+    const duration = moderation.clampTimeoutMinutes(minutes);
+    const until = Date.now() + duration * 60 * 1000;
+    info.chatTimeouts.set(target.data.fingerprint, until);
+    target.emit('chat-timeout', { until });
+    console.log(`[Moderation] ${target.data.name} timed out in ${roomName} for ${duration}m`);
+    reply({ ok: true, until });
+  });
+
+  socket.on('ban-user', ({ targetId } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomName = socket.data.room;
+    const info = rooms[roomName];
+    const target = info && info.users.has(targetId) ? io.sockets.sockets.get(targetId) : null;
+    if (!target || target === socket) {
+      reply({ ok: false, error: 'User is no longer in the room.' });
+      return;
+    }
+    if (hasHostAuth(target, roomName) || !outranks(socket, target, roomName)) {
+      reply({ ok: false, error: 'You cannot ban someone with an equal or higher role.' });
+      return;
+    }
+    const result = updateRoomRecord(roomName, (room) => {
+      room.bannedFingerprints = room.bannedFingerprints || {};
+      room.bannedFingerprints[target.data.fingerprint] = {
+        name: target.data.name,
+        bannedAt: Date.now(),
+        network: target.data.networkFingerprint
+      };
+      if (room.roomRoles) delete room.roomRoles[target.data.fingerprint];
+    });
+    if (!result.ok) {
+      reply({ ok: false, error: result.error });
+      return;
+    }
+    console.log(`[Moderation] ${target.data.name} banned from ${roomName}`);
+    target.emit('kicked', { banned: true });
+    target.leave(roomName);
+    target.disconnect();
+    info.users.delete(targetId);
+    broadcastRoomUpdate(roomName);
+    reply({ ok: true, bans: listBans(result.room) });
+  });
+
+  socket.on('unban-user', ({ roomName, fingerprint } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const result = updateRoomRecord(roomName, (room) => {
+      if (room.bannedFingerprints) delete room.bannedFingerprints[fingerprint];
+    });
+    reply(result.ok ? { ok: true, bans: listBans(result.room) } : { ok: false, error: result.error });
+  });
+
+  socket.on('update-blocked-words', ({ roomName, words } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const blockedWords = moderation.normalizeBlockedWords(words);
+    const result = updateRoomRecord(roomName, (room) => {
+      room.blockedWords = blockedWords;
+    });
+    reply(result.ok ? { ok: true, blockedWords } : { ok: false, error: result.error });
+  });
+
+  socket.on('get-moderation-state', ({ roomName } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const record = getRoomRecord(roomName);
+    if (!record) {
+      reply({ ok: false, error: 'Room not found.' });
+      return;
+    }
+    reply({ ok: true, bans: listBans(record), blockedWords: record.blockedWords || [] });
+  });
+
+  // ======================================================
+  // SCENES (host only, saved with the room)
+  // ======================================================
+  socket.on('get-scenes', ({ roomName } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const record = getRoomRecord(roomName);
+    if (!record) {
+      reply({ ok: false, error: 'Claim this room to save scenes.' });
+      return;
+    }
+    reply({ ok: true, scenes: record.scenes || [], activeSceneId: record.activeSceneId || null });
+  });
+
+  socket.on('save-scene', ({ roomName, scene } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const normalized = scenes.normalizeScene(scene);
+    if (!normalized.ok) {
+      reply(normalized);
+      return;
+    }
+    let saved = null;
+    const result = updateRoomRecord(roomName, (room) => {
+      room.scenes = Array.isArray(room.scenes) ? room.scenes : [];
+      saved = scenes.upsertScene(room.scenes, normalized.scene);
+    });
+    if (!result.ok) {
+      reply({ ok: false, error: result.error === 'Room not found.' ? 'Claim this room to save scenes.' : result.error });
+      return;
+    }
+    reply(saved.ok ? { ok: true, scene: saved.scene, scenes: result.room.scenes } : saved);
+  });
+
+  socket.on('delete-scene', ({ roomName, sceneId } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const result = updateRoomRecord(roomName, (room) => {
+      scenes.removeScene(room, sceneId);
+    });
+    reply(result.ok ? { ok: true, scenes: result.room.scenes } : { ok: false, error: result.error });
+  });
+
+  // Remembered so a reloaded host page comes back on the same scene.
+  socket.on('set-active-scene', ({ roomName, sceneId } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    let activated = null;
+    const result = updateRoomRecord(roomName, (room) => {
+      activated = scenes.activateScene(room, sceneId);
+    });
+    reply(result.ok ? activated : { ok: false, error: result.error });
+  });
+
   // ======================================================
   // CLEANUP
   // ======================================================
   socket.on('disconnect', () => {
+    signalingTimer.forget(socket.id);
     const roomName = socket.data.room;
     if (!roomName) return;
     const info = rooms[roomName];
     if (!info) return;
     info.users.delete(socket.id);
+    info.health.delete(socket.id);
+    releaseStageSpot(roomName, socket.id);
     const directoryEntry = getRoomDirectoryEntry(roomName);
     if (directoryEntry && socket.data.isViewer) {
       updateRoomRecord(roomName, (storedRoom) => {
@@ -1103,23 +2327,21 @@ io.on('connection', (socket) => {
 
     if (info.ownerId === socket.id) {
       info.ownerId = null;
-      if (directoryEntry) {
-        updateRoomRecord(roomName, (storedRoom) => {
-          storedRoom.isLive = false;
-        });
-      }
+      // Claimed rooms, open or not, wait for the owner to come back.
+      if (directoryEntry) reserveHostOwnership(roomName, info.ownerSession);
     }
 
     socket.to(roomName).emit('user-left', { id: socket.id });
-    if (info.users.size === 0) delete rooms[roomName];
+    if (info.users.size === 0 && !info.hostReservation) dropRoomSession(roomName);
     else broadcastRoomUpdate(roomName);
   });
 
-  require('./server-relay-events')(io, socket, treeManager, rooms, roomDirectory);
+  require('./server-relay-events')(io, socket, treeManager, rooms, roomDirectory, signalingTimer, admitToRoom);
 });
 
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`
+function startServer() {
+  server.listen(PORT, '0.0.0.0', () => {
+    console.log(`
 ╔═══════════════════════════════════════════════════════════╗
 ║                                                           ║
 ║        🎙️  REBEL STREAM - FOUNDATION EDITION            ║
@@ -1129,5 +2351,22 @@ server.listen(PORT, '0.0.0.0', () => {
 ║        Stripe Integration: ENABLED                        ║
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
-  `);
+    `);
+  });
+}
+
+loadRoomDirectory()
+  .then(startServer)
+  .catch((err) => {
+    console.error('[Rooms] Failed to load room directory:', err);
+    process.exit(1);
+  });
+
+// Flush pending room and chat writes before exiting.
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.once(signal, () => {
+    Promise.all([roomStore.flush(), chatStore.flush()])
+      .catch((err) => console.error('[Rooms] Flush on shutdown failed:', err))
+      .finally(() => process.exit(0));
+  });
 });
@@ -0,0 +1,92 @@
+/**
+ * STAGE QUEUE
+ * Ordered call requests and on-stage slots for a room session
+ *
+ * Viewers who raise a hand wait in arrival order. The host team accepts,
+ * declines or skips (sends to the back of the line) each request, and an
+ * accept only succeeds while fewer than maxGuests people are on stage.
+ * Entries are socket ids; the server drops them when a socket leaves.
+ */
+
+const STAGE_GUESTS_MAX = 8;
+const DEFAULT_STAGE_GUESTS = Math.min(
+  STAGE_GUESTS_MAX,
+  Math.max(1, parseInt(process.env.STAGE_MAX_GUESTS) || 2)
+);
+
+function createStage(maxGuests = DEFAULT_STAGE_GUESTS) {
+  return { queue: [], onStage: new Set(), maxGuests };
+}
+
+function clampMaxGuests(value) {
+  const count = Math.floor(Number(value));
+  if (!Number.isFinite(count)) return DEFAULT_STAGE_GUESTS;
+  return Math.min(STAGE_GUESTS_MAX, Math.max(1, count));
+}
+
+function slotsFree(stage) {
+  return Math.max(0, stage.maxGuests - stage.onStage.size);
+}
+
+// 1-based place in line, or null when not waiting.
+function positionOf(stage, id) {
+  const index = stage.queue.indexOf(id);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Join the back of the line. Asking again keeps the current place.
+ * Returns { ok, position } or { ok:false, error }.
+ */
+function enqueue(stage, id) {
+  if (stage.onStage.has(id)) return { ok: false, error: 'You are already on stage.' };
+  if (!stage.queue.includes(id)) stage.queue.push(id);
+  return { ok: true, position: positionOf(stage, id) };
+}
+
+/**
+ * Move someone from the line (or straight from the audience) onto the stage.
+ * Returns { ok } or { ok:false, error }.
+ */
+function accept(stage, id) {
+  if (stage.onStage.has(id)) return { ok: false, error: 'They are already on stage.' };
+  if (!slotsFree(stage)) {
+    return { ok: false, error: `The stage is full (${stage.onStage.size} of ${stage.maxGuests} on stage). End a call first.` };
+  }
+  stage.queue = stage.queue.filter((queuedId) => queuedId !== id);
+  stage.onStage.add(id);
+  return { ok: true };
+}
+
+// Send a waiting request to the back of the line.
+function skip(stage, id) {
+  const index = stage.queue.indexOf(id);
+  if (index === -1) return { ok: false, error: 'That user is not asking to join.' };
+  stage.queue.splice(index, 1);
+  stage.queue.push(id);
+  return { ok: true, position: stage.queue.length };
+}
+
+/**
+ * Take someone out of the line and off the stage.
+ * Returns { wasQueued, wasOnStage } so callers know what changed.
+ */
+function remove(stage, id) {
+  const wasQueued = stage.queue.includes(id);
+  if (wasQueued) stage.queue = stage.queue.filter((queuedId) => queuedId !== id);
+  const wasOnStage = stage.onStage.delete(id);
+  return { wasQueued, wasOnStage };
+}
+
+module.exports = {
+  STAGE_GUESTS_MAX,
+  DEFAULT_STAGE_GUESTS,
+  createStage,
+  clampMaxGuests,
+  slotsFree,
+  positionOf,
+  enqueue,
+  accept,
+  skip,
+  remove
+};
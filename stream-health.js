@@ -0,0 +1,179 @@
+/**
+ * STREAM HEALTH
+ * Per-viewer playback stats for the host's health dashboard
+ *
+ * Viewers report latency, loss, bitrate, frame rate, freezes and their
+ * selected ICE candidate type every few seconds. The room keeps the latest
+ * sample and a short history per viewer, summarises them into room-wide
+ * percentiles, and flags a viewer as degraded once thresholds are crossed
+ * for DEGRADE_AFTER_SAMPLES reports in a row, clearing it after
+ * RECOVER_AFTER_SAMPLES clean ones. The host gets one alert when a viewer
+ * goes bad (and one when they recover) rather than one per sample, and a
+ * viewer hovering at a threshold does not flap.
+ */
+
+const CANDIDATE_TYPES = ['host', 'srflx', 'prflx', 'relay'];
+const HISTORY_LENGTH = 30;
+const STALE_MS = 10000;
+const DEGRADE_AFTER_SAMPLES = 2;
+const RECOVER_AFTER_SAMPLES = 3;
+const THRESHOLDS = {
+  latencyMs: parseInt(process.env.HEALTH_LATENCY_MS, 10) || 400,
+  loss: 0.05,
+  minBitrateKbps: 150
+};
+
+function clampNumber(value, max) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return null;
+  return Math.min(max, Math.max(0, number));
+}
+
+// Clean a viewer report. Unknown values stay null rather than zero.
+function normalizeSample(input, now = Date.now()) {
+  const freezeCount = clampNumber(input?.freezeCount, 1e6);
+  const latency = clampNumber(input?.latency, 60000);
+  const bitrateKbps = clampNumber(input?.bitrateKbps, 100000);
+  const fps = clampNumber(input?.fps, 240);
+  return {
+    latency: latency === null ? null : Math.round(latency),
+    loss: clampNumber(input?.loss, 1),
+    bitrateKbps: bitrateKbps === null ? null : Math.round(bitrateKbps),
+    fps: fps === null ? null : Math.round(fps),
+    freezeCount: freezeCount === null ? null : Math.floor(freezeCount),
+    candidateType: CANDIDATE_TYPES.includes(input?.candidateType) ? input.candidateType : null,
+    at: now
+  };
+}
+
+function degradationReasons(previous, sample, { audioOnly = false } = {}) {
+  const reasons = [];
+  if (sample.latency !== null && sample.latency > THRESHOLDS.latencyMs) {
+    reasons.push(`latency ${sample.latency} ms`);
+  }
+  if (sample.loss !== null && sample.loss > THRESHOLDS.loss) {
+    reasons.push(`${(sample.loss * 100).toFixed(1)}% loss`);
+  }
+  if (!audioOnly) {
+    if (sample.bitrateKbps !== null && sample.bitrateKbps < THRESHOLDS.minBitrateKbps) {
+      reasons.push(`${sample.bitrateKbps} kbps`);
+    }
+    if (previous && previous.freezeCount !== null && sample.freezeCount > previous.freezeCount) {
+      reasons.push('video froze');
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Store one report for a viewer. Returns { entry, alert } where alert is
+ * 'degraded' or 'recovered' when the viewer's state flipped, else null.
+ * Each flip needs a run of consecutive bad (or clean) samples.
+ */
+function recordSample(health, id, { name, audioOnly = false }, input, now = Date.now()) {
+  const sample = normalizeSample(input, now);
+  const entry = health.get(id) || {
+    id,
+    name,
+    freezes: 0,
+    degraded: false,
+    degradedSince: null,
+    badSamples: 0,
+    goodSamples: 0,
+    reasons: [],
+    sample: null,
+    history: []
+  };
+  const previous = entry.sample;
+  if (previous && previous.freezeCount !== null && sample.freezeCount !== null) {
+    entry.freezes += Math.max(0, sample.freezeCount - previous.freezeCount);
+  }
+  if (sample.candidateType === null && previous) sample.candidateType = previous.candidateType;
+
+  entry.name = name;
+  entry.audioOnly = audioOnly;
+  const reasons = degradationReasons(previous, sample, { audioOnly });
+  entry.badSamples = reasons.length ? entry.badSamples + 1 : 0;
+  entry.goodSamples = reasons.length ? 0 : entry.goodSamples + 1;
+  // A degraded viewer keeps its last problems on show until it recovers.
+  if (reasons.length || !entry.degraded) entry.reasons = reasons;
+  entry.sample = sample;
+  entry.history.push({ at: now, latency: sample.latency, loss: sample.loss, bitrateKbps: sample.bitrateKbps });
+  if (entry.history.length > HISTORY_LENGTH) entry.history.shift();
+  health.set(id, entry);
+
+  let alert = null;
+  if (!entry.degraded && entry.badSamples >= DEGRADE_AFTER_SAMPLES) {
+    entry.degraded = true;
+    entry.degradedSince = now;
+    alert = 'degraded';
+  } else if (entry.degraded && entry.goodSamples >= RECOVER_AFTER_SAMPLES) {
+    entry.degraded = false;
+    entry.degradedSince = null;
+    entry.reasons = [];
+    alert = 'recovered';
+  }
+  return { entry, alert };
+}
+
+// Nearest-rank percentile of a list of numbers (null when empty).
+function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+function summarize(values) {
+  return { p50: percentile(values, 50), p90: percentile(values, 90), p99: percentile(values, 99) };
+}
+
+/**
+ * Dashboard payload: room-wide percentiles over fresh samples plus one row
+ * per viewer (degraded first). Viewers who stopped reporting are marked stale.
+ */
+function healthView(health, now = Date.now()) {
+  const fresh = [];
+  const candidates = {};
+  const viewers = [...health.values()].map((entry) => {
+    const stale = !entry.sample || now - entry.sample.at > STALE_MS;
+    if (!stale) {
+      fresh.push(entry.sample);
+      const type = entry.sample.candidateType || 'unknown';
+      candidates[type] = (candidates[type] || 0) + 1;
+    }
+    return {
+      id: entry.id,
+      name: entry.name,
+      ...entry.sample,
+      freezes: entry.freezes,
+      audioOnly: !!entry.audioOnly,
+      degraded: entry.degraded,
+      degradedSince: entry.degradedSince,
+      reasons: entry.reasons,
+      stale,
+      history: entry.history
+    };
+  });
+  viewers.sort((a, b) => Number(b.degraded) - Number(a.degraded) || a.name.localeCompare(b.name));
+
+  const pick = (field) => fresh.map((s) => s[field]).filter((v) => v !== null);
+  return {
+    reporting: fresh.length,
+    degraded: viewers.filter((v) => v.degraded && !v.stale).length,
+    latency: summarize(pick('latency')),
+    loss: summarize(pick('loss')),
+    bitrateKbps: summarize(pick('bitrateKbps')),
+    candidates,
+    thresholds: THRESHOLDS,
+    viewers
+  };
+}
+
+module.exports = {
+  CANDIDATE_TYPES,
+  THRESHOLDS,
+  normalizeSample,
+  recordSample,
+  percentile,
+  healthView
+};
@@ -89,25 +89,30 @@ class StripeHandler {
 
     console.log('[Stripe] Webhook event:', event.type);
 
-    // Handle the event
-    switch (event.type) {
-      case 'checkout.session.completed':
-        await this.handleCheckoutCompleted(event.data.object);
-        break;
-
-      case 'payment_intent.succeeded':
-        console.log('[Stripe] Payment succeeded:', event.data.object.id);
-        break;
-
-      case 'payment_intent.payment_failed':
-        console.log('[Stripe] Payment failed:', event.data.object.id);
-        break;
-
-      default:
-        console.log('[Stripe] Unhandled event type:', event.type);
+    // Handle the event (failures are tagged with the event type for /metrics)
+    try {
+      switch (event.type) {
+        case 'checkout.session.completed':
+          await this.handleCheckoutCompleted(event.data.object);
+          break;
+
+        case 'payment_intent.succeeded':
+          console.log('[Stripe] Payment succeeded:', event.data.object.id);
+          break;
+
+        case 'payment_intent.payment_failed':
+          console.log('[Stripe] Payment failed:', event.data.object.id);
+          break;
+
+        default:
+          console.log('[Stripe] Unhandled event type:', event.type);
+      }
+    } catch (err) {
+      err.eventType = event.type;
+      throw err;
     }
 
-    return { received: true };
+    return { received: true, type: event.type };
   }
 
   /**
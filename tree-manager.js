@@ -130,6 +130,31 @@ class TreeManager {
   destroyRoom(roomName) {
     this.trees.delete(roomName);
   }
+
+  /**
+   * Shape of a room's relay tree: node count, depth (deepest tier), the
+   * largest number of children on one node and on the host, and orphans.
+   */
+  getStats(roomName) {
+    const tree = this.trees.get(roomName);
+    if (!tree) return null;
+
+    let depth = 0;
+    let maxFanout = 0;
+    tree.nodes.forEach((node) => {
+      depth = Math.max(depth, node.tier);
+      maxFanout = Math.max(maxFanout, node.children.size);
+    });
+    const host = tree.nodes.get(tree.host);
+
+    return {
+      nodes: tree.nodes.size,
+      depth,
+      maxFanout,
+      hostFanout: host ? host.children.size : 0,
+      orphans: tree.orphans.size
+    };
+  }
 }
 
 module.exports = TreeManager;